@@ -0,0 +1,162 @@
+/**
+ * Active Sessions Model - signed-in sessions across users and restarts
+ * Lives in the express-session SQLite file. Rows are keyed by the demo
+ * session ID, which survives session ID rotation; sid tracks the current
+ * store ID so a revoked session can be destroyed there. Admin APIs refer
+ * to sessions by a random public ID, never a session ID.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const crypto = require('crypto');
+const securityConfig = require('../config/security');
+const storageConfig = require('../config/storage');
+
+const DB_PATH = storageConfig.dataPath('sessions.db');
+
+const { idleTimeout, absoluteTimeout } = securityConfig.session;
+
+const toSession = (row) => row && ({
+  id: row.id,
+  sessionId: row.session_key,
+  sid: row.sid,
+  username: row.username,
+  ip: row.ip,
+  userAgent: row.user_agent,
+  startedAt: new Date(row.started_at).toISOString(),
+  lastActivityAt: new Date(row.last_activity_at).toISOString(),
+  revokedAt: row.revoked_at ? new Date(row.revoked_at).toISOString() : null,
+  revokedBy: row.revoked_by
+});
+
+// Not revoked and within both session limits
+const LIVE = `revoked_at IS NULL AND last_activity_at > ? AND started_at > ?`;
+const liveParams = (now = Date.now()) => [now - idleTimeout, now - absoluteTimeout];
+
+class ActiveSessions {
+  constructor() {
+    this.db = new sqlite3.Database(DB_PATH);
+    this.db.configure('busyTimeout', 5000); // Shared with the session store
+    this.init();
+  }
+
+  init() {
+    this.db.serialize(() => {
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS active_sessions (
+          id TEXT PRIMARY KEY,
+          session_key TEXT UNIQUE NOT NULL,
+          sid TEXT NOT NULL,
+          username TEXT NOT NULL,
+          ip TEXT,
+          user_agent TEXT,
+          started_at INTEGER NOT NULL,
+          last_activity_at INTEGER NOT NULL,
+          revoked_at INTEGER,
+          revoked_by TEXT
+        )
+      `);
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_active_sessions_user ON active_sessions (username)`);
+    });
+
+    // Forget sessions that can no longer be alive
+    setInterval(() => this.cleanupStale(), 60 * 60 * 1000).unref();
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ changes: this.changes });
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  /**
+   * Record a session at sign-in; later calls (sessions from before
+   * tracking existed) only refresh sid and activity
+   */
+  async record({ sessionId, sid, username, ip, userAgent, startedAt, lastActivityAt }) {
+    await this.run(
+      `INSERT INTO active_sessions (id, session_key, sid, username, ip, user_agent, started_at, last_activity_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (session_key) DO UPDATE SET sid = excluded.sid, last_activity_at = excluded.last_activity_at`,
+      [crypto.randomBytes(12).toString('hex'), sessionId, sid, username, ip, userAgent,
+        startedAt, lastActivityAt]
+    );
+  }
+
+  async find(sessionId) {
+    const rows = await this.all(`SELECT * FROM active_sessions WHERE session_key = ?`, [sessionId]);
+    return toSession(rows[0]);
+  }
+
+  async findById(id) {
+    const rows = await this.all(`SELECT * FROM active_sessions WHERE id = ?`, [id]);
+    return toSession(rows[0]);
+  }
+
+  /**
+   * Live sessions, newest first; optionally one user's
+   */
+  async list(username = null) {
+    const rows = await this.all(
+      `SELECT * FROM active_sessions WHERE ${LIVE}
+       ${username ? 'AND username = ?' : ''}
+       ORDER BY started_at DESC`,
+      [...liveParams(), ...(username ? [username] : [])]
+    );
+    return rows.map(toSession);
+  }
+
+  /**
+   * Live sessions of a user other than the given one
+   */
+  async countActive(username, exceptSessionId) {
+    const rows = await this.all(
+      `SELECT COUNT(*) AS count FROM active_sessions
+       WHERE ${LIVE} AND username = ? AND session_key != ?`,
+      [...liveParams(), username, exceptSessionId || '']
+    );
+    return rows[0].count;
+  }
+
+  /**
+   * Mark revoked; the row stays so a request racing the revocation is
+   * still refused. Returns the session, or null if not live.
+   */
+  async revoke(id, revokedBy) {
+    const { changes } = await this.run(
+      `UPDATE active_sessions SET revoked_at = ?, revoked_by = ? WHERE id = ? AND ${LIVE}`,
+      [Date.now(), revokedBy, id, ...liveParams()]
+    );
+    return changes > 0 ? this.findById(id) : null;
+  }
+
+  /**
+   * Ended by logout or expiry (revoked rows are kept for cleanupStale)
+   */
+  async remove(sessionId) {
+    await this.run(
+      `DELETE FROM active_sessions WHERE session_key = ? AND revoked_at IS NULL`,
+      [sessionId]
+    );
+  }
+
+  async cleanupStale() {
+    this.db.run(
+      `DELETE FROM active_sessions WHERE last_activity_at <= ? OR started_at <= ?`,
+      liveParams()
+    );
+  }
+}
+
+module.exports = new ActiveSessions();
@@ -0,0 +1,430 @@
+/**
+ * Admin routes: MO user and session management
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { requirePermission, PERMISSIONS } = require('../middleware/permissions');
+const { handleValidationErrors } = require('../middleware/security');
+const { checkPassword } = require('../services/passwordPolicy');
+const UserStore = require('../models/UserStore');
+const UserMfa = require('../models/UserMfa');
+const LoginAttempts = require('../models/LoginAttempts');
+const ActiveSessions = require('../models/ActiveSessions');
+const sessionLifecycle = require('../services/sessionLifecycle');
+const eventBus = require('../services/eventBus');
+const { isSupportedCountry } = require('../services/phoneNumber');
+
+router.use(requireAuth, requirePermission(PERMISSIONS.USERS_MANAGE));
+
+const usernameParam = param('username')
+  .trim()
+  .matches(/^[a-zA-Z0-9._-]{3,50}$/)
+  .withMessage('Invalid username format');
+
+const passwordField = (field) => body(field)
+  .custom((value, { req }) => {
+    const username = req.params.username || req.body.username;
+    const failures = checkPassword(String(value), { username });
+    if (failures.length > 0) {
+      throw new Error(`Password policy: ${failures.map(f => f.message).join('; ')}`);
+    }
+    return true;
+  });
+
+const roleField = () => body('role')
+  .isIn(UserStore.roles)
+  .withMessage(`Role must be one of: ${UserStore.roles.join(', ')}`);
+
+const allowedSessionsField = () => body('allowedSessions')
+  .isInt({ min: 1, max: 20 })
+  .withMessage('allowedSessions must be between 1 and 20')
+  .toInt();
+
+// Region for the operator's national-format numbers; null falls back to PHONE_DEFAULT_REGION
+const defaultRegionField = () => body('defaultRegion')
+  .optional({ values: 'null' })
+  .customSanitizer(value => String(value).toUpperCase())
+  .custom((value) => {
+    if (!/^[A-Z]{2}$/.test(value) || !isSupportedCountry(value)) {
+      throw new Error('defaultRegion must be a supported ISO 3166 country code such as GB');
+    }
+    return true;
+  });
+
+const sessionIdParam = param('id')
+  .matches(/^[a-f0-9]{24}$/)
+  .withMessage('Invalid session ID');
+
+// Admin view of a session: the public ID only, never the session IDs
+const toListedSession = (req) => (session) => ({
+  id: session.id,
+  username: session.username,
+  ip: session.ip,
+  userAgent: session.userAgent,
+  startedAt: session.startedAt,
+  lastActivityAt: session.lastActivityAt, // Recorded about once a minute
+  current: session.sessionId === req.session.demoSessionId
+});
+
+const destroyStoredSession = (store, sid) => new Promise((resolve, reject) => {
+  store.destroy(sid, (err) => (err ? reject(err) : resolve()));
+});
+
+/**
+ * End someone's session now: marked revoked (so a request racing this is
+ * still refused), removed from the session store, captures purged, and
+ * its open pages told. Returns the session, or null if no longer live.
+ */
+const revokeSession = async (req, session) => {
+  const revoked = await ActiveSessions.revoke(session.id, req.session.moUser.username);
+  if (!revoked) return null;
+
+  await destroyStoredSession(req.sessionStore, revoked.sid);
+  const purge = await sessionLifecycle.end(revoked.sessionId);
+  eventBus.publish(revoked.sessionId, 'session.ended', { reason: 'revoked' });
+
+  req.auditLog('SESSION_REVOKED', {
+    targetUser: revoked.username,
+    sessionId: revoked.sessionId,
+    revokedBy: req.session.moUser.username,
+    pendingSends: Boolean(purge?.pendingSends)
+  });
+  return revoked;
+};
+
+/**
+ * Revoke every live session of a user except the caller's current one;
+ * resolves the number revoked. Used when an account change must not wait
+ * for the user's next login to take effect.
+ */
+const revokeUserSessions = async (req, username) => {
+  const sessions = (await ActiveSessions.list(username))
+    .filter(session => session.sessionId !== req.session.demoSessionId);
+
+  let revoked = 0;
+  for (const session of sessions) {
+    if (await revokeSession(req, session)) revoked += 1;
+  }
+  return revoked;
+};
+
+/**
+ * Refuse changes that would leave no active administrator
+ */
+const protectsLastAdmin = async (username) => {
+  const user = await UserStore.findByUsername(username);
+  if (!user || user.role !== 'admin' || user.status !== 'active') return false;
+  return (await UserStore.countAdmins()) <= 1;
+};
+
+// List users
+router.get('/users', async (req, res) => {
+  try {
+    const users = await UserStore.list();
+    res.json({ success: true, users, count: users.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+// Create user (temporary password generated unless supplied)
+router.post('/users',
+  [
+    body('username')
+      .trim()
+      .matches(/^[a-zA-Z0-9._-]{3,50}$/)
+      .withMessage('Invalid username format'),
+    roleField(),
+    allowedSessionsField().optional(),
+    defaultRegionField(),
+    passwordField('password').optional(),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const { username, role, allowedSessions, defaultRegion } = req.body;
+      const temporaryPassword = req.body.password ? null : UserStore.generateTemporaryPassword();
+
+      const user = await UserStore.create({
+        username,
+        password: req.body.password || temporaryPassword,
+        role,
+        allowedSessions,
+        defaultRegion: defaultRegion || null,
+        createdBy: req.session.moUser.username
+      });
+
+      req.auditLog('USER_CREATED', { targetUser: username, role, defaultRegion: user.defaultRegion });
+
+      res.status(201).json({
+        success: true,
+        user,
+        ...(temporaryPassword && { temporaryPassword })
+      });
+
+    } catch (error) {
+      if (error.code === 'USER_EXISTS') {
+        return res.status(409).json({ error: error.message, code: error.code });
+      }
+      res.status(500).json({ error: 'Failed to create user' });
+    }
+  }
+);
+
+// Change role, concurrent session allowance and/or default phone region
+router.patch('/users/:username',
+  [
+    usernameParam,
+    roleField().optional(),
+    allowedSessionsField().optional(),
+    defaultRegionField(),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const { role, allowedSessions, defaultRegion } = req.body;
+
+      if (role && role !== 'admin' && await protectsLastAdmin(username)) {
+        return res.status(409).json({
+          error: 'Cannot remove the last active administrator',
+          code: 'LAST_ADMIN'
+        });
+      }
+
+      const previous = await UserStore.findByUsername(username);
+      if (!previous) {
+        return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+      }
+
+      const user = await UserStore.update(username, {
+        ...(role && { role }),
+        ...(allowedSessions !== undefined && { allowedSessions }),
+        ...(defaultRegion !== undefined && { defaultRegion: defaultRegion || null })
+      });
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+      }
+
+      // Sessions carry the role they signed in with; the caller's own
+      // current session is updated in place instead
+      const sessionsRevoked = role && role !== previous.role ? await revokeUserSessions(req, username) : 0;
+      if (role && username === req.session.moUser.username) req.session.moUser.role = role;
+
+      req.auditLog('USER_UPDATED', { targetUser: username, role, allowedSessions, defaultRegion, sessionsRevoked });
+      res.json({ success: true, user, sessionsRevoked });
+
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to update user' });
+    }
+  }
+);
+
+// Disable account (login refused until re-enabled)
+router.post('/users/:username/disable',
+  [usernameParam, handleValidationErrors],
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+
+      if (username === req.session.moUser.username) {
+        return res.status(409).json({
+          error: 'Administrators cannot disable their own account',
+          code: 'SELF_DISABLE'
+        });
+      }
+
+      if (await protectsLastAdmin(username)) {
+        return res.status(409).json({
+          error: 'Cannot disable the last active administrator',
+          code: 'LAST_ADMIN'
+        });
+      }
+
+      const user = await UserStore.setStatus(username, 'disabled');
+      if (!user) {
+        return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+      }
+
+      const sessionsRevoked = await revokeUserSessions(req, username);
+
+      req.auditLog('USER_DISABLED', { targetUser: username, sessionsRevoked });
+      res.json({ success: true, user, sessionsRevoked });
+
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to disable user' });
+    }
+  }
+);
+
+// Re-enable a disabled account
+router.post('/users/:username/enable',
+  [usernameParam, handleValidationErrors],
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const user = await UserStore.setStatus(username, 'active');
+      if (!user) {
+        return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+      }
+
+      req.auditLog('USER_ENABLED', { targetUser: username });
+      res.json({ success: true, user });
+
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to enable user' });
+    }
+  }
+);
+
+// Clear an account lock
+router.post('/users/:username/unlock',
+  [usernameParam, handleValidationErrors],
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const user = await UserStore.unlock(username);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+      }
+
+      // Clear backoff too, otherwise the next attempt is still refused
+      await LoginAttempts.reset(username);
+
+      req.auditLog('ACCOUNT_UNLOCKED', { targetUser: username, unlockedBy: req.session.moUser.username });
+      res.json({ success: true, user });
+
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to unlock user' });
+    }
+  }
+);
+
+// Reset password (and optionally two-factor enrollment)
+router.post('/users/:username/reset',
+  [
+    usernameParam,
+    passwordField('password').optional(),
+    body('resetMfa').optional().isBoolean().toBoolean(),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const temporaryPassword = req.body.password ? null : UserStore.generateTemporaryPassword();
+
+      const result = await UserStore.setPassword(
+        username,
+        req.body.password || temporaryPassword,
+        { mustChange: true }
+      );
+      if (!result.updated) {
+        return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+      }
+
+      if (req.body.resetMfa) {
+        await UserMfa.reset(username);
+      }
+
+      const sessionsRevoked = await revokeUserSessions(req, username);
+
+      req.auditLog('USER_RESET', { targetUser: username, resetMfa: Boolean(req.body.resetMfa), sessionsRevoked });
+
+      res.json({
+        success: true,
+        mustChangePassword: true,
+        sessionsRevoked,
+        ...(temporaryPassword && { temporaryPassword })
+      });
+
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to reset user' });
+    }
+  }
+);
+
+// Active sessions across users (?username= for one user)
+router.get('/sessions',
+  [
+    query('username')
+      .optional()
+      .trim()
+      .matches(/^[a-zA-Z0-9._-]{3,50}$/)
+      .withMessage('Invalid username format'),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const sessions = await ActiveSessions.list(req.query.username || null);
+      res.json({ success: true, sessions: sessions.map(toListedSession(req)), count: sessions.length });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to list sessions' });
+    }
+  }
+);
+
+// One user's active sessions
+router.get('/users/:username/sessions',
+  [usernameParam, handleValidationErrors],
+  async (req, res) => {
+    try {
+      const sessions = await ActiveSessions.list(req.params.username);
+      res.json({ success: true, sessions: sessions.map(toListedSession(req)), count: sessions.length });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to list sessions' });
+    }
+  }
+);
+
+// Revoke a single session
+router.post('/sessions/:id/revoke',
+  [sessionIdParam, handleValidationErrors],
+  async (req, res) => {
+    try {
+      const session = await ActiveSessions.findById(req.params.id);
+      if (!session || session.revokedAt) {
+        return res.status(404).json({ error: 'Session not found or already ended', code: 'SESSION_NOT_FOUND' });
+      }
+
+      if (session.sessionId === req.session.demoSessionId) {
+        return res.status(409).json({
+          error: 'Use logout to end your own session',
+          code: 'SELF_REVOKE'
+        });
+      }
+
+      const revoked = await revokeSession(req, session);
+      if (!revoked) {
+        return res.status(404).json({ error: 'Session not found or already ended', code: 'SESSION_NOT_FOUND' });
+      }
+
+      res.json({ success: true, session: toListedSession(req)(revoked) });
+
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to revoke session' });
+    }
+  }
+);
+
+// Revoke all of a user's sessions (the caller's own current one excepted)
+router.post('/users/:username/sessions/revoke',
+  [usernameParam, handleValidationErrors],
+  async (req, res) => {
+    try {
+      const { username } = req.params;
+      const revoked = await revokeUserSessions(req, username);
+
+      req.auditLog('USER_SESSIONS_REVOKED', { targetUser: username, count: revoked });
+      res.json({ success: true, revoked });
+
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+  }
+);
+
+module.exports = router;
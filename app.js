@@ -4,36 +4,30 @@
  */
 
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const helmet = require('helmet');
 const session = require('express-session');
+const cookieParser = require('cookie-parser');
 const SQLiteStore = require('connect-sqlite3')(session);
 const csrf = require('csurf');
 const path = require('path');
-const winston = require('winston');
 
 const securityConfig = require('./config/security');
+const storageConfig = require('./config/storage');
 const authRoutes = require('./routes/auth');
 const captureRoutes = require('./routes/capture');
 const messagingRoutes = require('./routes/messaging');
+const templateRoutes = require('./routes/templates');
 const auditRoutes = require('./routes/audit');
+const adminRoutes = require('./routes/admin');
+const webhookRoutes = require('./routes/webhooks');
+const eventRoutes = require('./routes/events');
 const { securityMiddleware } = require('./middleware/security');
 const { rateLimiter } = require('./middleware/rateLimiter');
 const auditLogger = require('./middleware/auditLogger');
-
-// Security audit logger
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: 'logs/security-audit.log' }),
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.Console()
-  ]
-});
+const messageWorker = require('./services/messageWorker');
+const logger = require('./services/logger');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -64,21 +58,22 @@ app.use(helmet({
   referrerPolicy: { policy: 'strict-origin-when-cross-origin' }
 }));
 
-// Body parsing with size limits
-app.use(express.json({ limit: '10kb' }));
-app.use(express.urlencoded({ extended: true, limit: '10kb' }));
+// Body parsing with size limits; webhooks keep the raw bytes for signature
+// checks whether the provider posts JSON or a form
+const keepWebhookBody = (req, res, buf) => {
+  if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+};
+app.use(express.json({ limit: '10kb', verify: keepWebhookBody }));
+app.use(express.urlencoded({ extended: true, limit: '10kb', verify: keepWebhookBody }));
 
 // CORS configuration
 app.use(securityConfig.cors);
 
-// Global rate limiting
-app.use(rateLimiter.general);
-
 // Session configuration with SQLite store
 const sessionMiddleware = session({
   store: new SQLiteStore({
     db: 'sessions.db',
-    dir: './data',
+    dir: storageConfig.dataDir,
     concurrentDB: true
   }),
   secret: process.env.SESSION_SECRET || crypto.randomBytes(64).toString('hex'),
@@ -88,7 +83,7 @@ const sessionMiddleware = session({
   cookie: {
     secure: process.env.NODE_ENV === 'production',
     httpOnly: true,
-    maxAge: 30 * 60 * 1000, // 30 minutes
+    maxAge: securityConfig.session.idleTimeout, // Server-side limits in services/sessionLifecycle
     sameSite: 'strict',
     domain: process.env.COOKIE_DOMAIN || undefined
   },
@@ -97,7 +92,8 @@ const sessionMiddleware = session({
 
 app.use(sessionMiddleware);
 
-// CSRF protection
+// CSRF protection (secret kept in its own cookie, read by cookie-parser)
+app.use(cookieParser());
 const csrfProtection = csrf({
   cookie: {
     httpOnly: true,
@@ -106,10 +102,17 @@ const csrfProtection = csrf({
   }
 });
 
+// Exact method + path only. Webhooks carry no browser session; their
+// router rejects any request without a valid provider signature instead
+const CSRF_EXEMPT = [
+  { method: 'GET', path: '/health' },
+  { method: 'POST', path: '/api/webhooks/sms/dlr' },
+  { method: 'POST', path: '/api/webhooks/sms/inbound' }
+];
+
 // Apply CSRF to all routes except specific exemptions
 app.use((req, res, next) => {
-  // Exempt health checks but nothing else
-  if (req.path === '/health') return next();
+  if (CSRF_EXEMPT.some(e => e.method === req.method && e.path === req.path)) return next();
   csrfProtection(req, res, next);
 });
 
@@ -119,14 +122,25 @@ app.use(securityMiddleware);
 // Audit logging
 app.use(auditLogger(logger));
 
+// Provider webhooks get their own limit: receipt bursts for a large
+// batch must not use up (or be refused by) the browser-facing budget
+app.use('/api/webhooks', rateLimiter.webhook, webhookRoutes);
+
+// Global rate limiting (after session + audit so limits can key on the
+// signed-in user and every limit hit is audited)
+app.use(rateLimiter.general);
+
 // Static files
 app.use(express.static(path.join(__dirname, '../client')));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/capture', captureRoutes);
+app.use('/api/messaging/templates', templateRoutes);
 app.use('/api/messaging', messagingRoutes);
 app.use('/api/audit', auditRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/events', eventRoutes);
 
 // CSRF token endpoint for frontend
 app.get('/api/csrf-token', (req, res) => {
@@ -149,10 +163,15 @@ app.use((err, req, res, next) => {
 
   if (err.code === 'EBADCSRFTOKEN') {
     return res.status(403).json({ 
-      error: 'Invalid security token. Please refresh the page.' 
+      error: 'Invalid security token. Please refresh the page.'
     });
   }
 
+  // Body parser limits (e.g. an oversized capture import file)
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body too large', code: 'PAYLOAD_TOO_LARGE' });
+  }
+
   res.status(500).json({ error: 'Internal server error' });
 });
 
@@ -161,16 +180,21 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Resource not found' });
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
+// Tests load the app without a listener or queue worker
+if (require.main === module) {
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    logger.info('SIGTERM received, shutting down gracefully');
+    messageWorker.stop(); // Jobs mid-send are reclaimed after their lease on restart
+    process.exit(0);
+  });
 
-app.listen(PORT, () => {
-  logger.info(`Mobile Objex Secure Demo running on port ${PORT}`);
-  console.log(`🔒 Secure server running at http://localhost:${PORT}`);
-  console.log(`📋 Audit logs: ./logs/security-audit.log`);
-});
+  app.listen(PORT, () => {
+    logger.info(`Mobile Objex Secure Demo running on port ${PORT}`);
+    console.log(`🔒 Secure server running at http://localhost:${PORT}`);
+    console.log(`📋 Audit logs: ./logs/security-audit.log`);
+    messageWorker.start();
+  });
+}
 
 module.exports = app;
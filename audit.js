@@ -0,0 +1,171 @@
+/**
+ * Audit log query and export routes (admin only)
+ */
+
+const express = require('express');
+const { query } = require('express-validator');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { requirePermission, PERMISSIONS } = require('../middleware/permissions');
+const { handleValidationErrors } = require('../middleware/security');
+const AuditLog = require('../models/AuditLog');
+
+const CSV_COLUMNS = ['id', 'timestamp', 'action', 'user', 'target', 'sessionId', 'ip', 'userAgent', 'path', 'method', 'details'];
+
+router.use(requireAuth, requirePermission(PERMISSIONS.AUDIT_READ));
+
+const filterRules = [
+  query('user')
+    .optional()
+    .trim()
+    .matches(/^[a-zA-Z0-9._-]{1,50}$/)
+    .withMessage('Invalid user filter'),
+  query('action')
+    .optional()
+    .trim()
+    .matches(/^[A-Z_]+(,[A-Z_]+)*$/)
+    .withMessage('Action must be a comma-separated list such as LOGIN_FAILED,DATA_CAPTURED'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Time range must be ISO 8601'),
+  query('sessionId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('Invalid session ID')
+];
+
+/**
+ * Normalise query-string filters for the model
+ */
+const parseFilters = (q) => ({
+  user: q.user,
+  actions: q.action ? q.action.split(',') : undefined,
+  from: q.from ? new Date(q.from).toISOString() : undefined,
+  to: q.to ? new Date(q.to).toISOString() : undefined,
+  sessionId: q.sessionId
+});
+
+/**
+ * CSV cell: quoted, and defused against spreadsheet formula injection
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Write to the response, waiting for it to drain when its buffer is full
+ * so a slow client can't make a large export pile up in memory. Rejects
+ * if the client goes away first.
+ */
+const writeChunk = (res, chunk) => {
+  if (res.destroyed) return Promise.reject(new Error('Client disconnected'));
+  if (res.write(chunk)) return null;
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      reject(new Error('Client disconnected'));
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+};
+
+// Query events (newest first, cursor pagination)
+router.get('/',
+  [
+    ...filterRules,
+    query('cursor').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const filters = parseFilters(req.query);
+      const page = await AuditLog.query(filters, {
+        cursor: req.query.cursor,
+        limit: req.query.limit || 100
+      });
+
+      req.auditLog('AUDIT_QUERIED', { filters });
+
+      res.json({
+        success: true,
+        events: page.events,
+        count: page.events.length,
+        nextCursor: page.nextCursor
+      });
+
+    } catch (error) {
+      res.status(500).json({ error: 'Audit query failed' });
+    }
+  }
+);
+
+// Walk the hash chain and checkpoints; reports the first broken link
+router.get('/verify', async (req, res) => {
+  try {
+    const result = await AuditLog.verifyChain();
+
+    req.auditLog('AUDIT_VERIFIED', {
+      valid: result.valid,
+      entriesChecked: result.entriesChecked,
+      firstBrokenSeq: result.firstBroken?.seq
+    });
+
+    res.status(result.valid ? 200 : 409).json({ success: result.valid, ...result });
+
+  } catch (error) {
+    res.status(500).json({ error: 'Audit verification failed' });
+  }
+});
+
+// Export matching events as CSV or NDJSON (oldest first)
+router.get('/export',
+  [
+    query('format')
+      .optional()
+      .isIn(['csv', 'ndjson'])
+      .withMessage('Format must be csv or ndjson'),
+    ...filterRules,
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    const format = req.query.format || 'ndjson';
+    const filters = parseFilters(req.query);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+    req.auditLog('AUDIT_EXPORTED', { format, filters });
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-${stamp}.${format}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      if (format === 'csv') {
+        await writeChunk(res, CSV_COLUMNS.join(',') + '\n');
+      }
+
+      // Every matching event, however many; the model pages through them
+      await AuditLog.each(filters, (event) => writeChunk(res, format === 'csv'
+        ? CSV_COLUMNS.map(col => csvCell(event[col])).join(',') + '\n'
+        : JSON.stringify(event) + '\n'));
+      res.end();
+
+    } catch (error) {
+      // Headers already sent; terminate the stream so the client sees a failure
+      res.destroy(error);
+    }
+  }
+);
+
+module.exports = router;
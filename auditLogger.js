@@ -2,7 +2,20 @@
  * Security audit logging middleware
  */
 
+const AuditLog = require('../models/AuditLog');
+const securityConfig = require('../config/security');
+
 const auditLogger = (logger) => {
+  // Periodic signed checkpoints of the chain head
+  setInterval(async () => {
+    try {
+      const checkpoint = await AuditLog.createCheckpoint();
+      if (checkpoint) logger.info('AUDIT_CHECKPOINT', checkpoint);
+    } catch (err) {
+      logger.error('Audit checkpoint failed', { error: err.message });
+    }
+  }, securityConfig.audit.checkpointInterval).unref();
+
   return (req, res, next) => {
     req.auditLog = (action, details = {}) => {
       const logEntry = {
@@ -17,7 +30,15 @@ const auditLogger = (logger) => {
         ...details
       };
 
-      logger.info('AUDIT', logEntry);
+      // Chain first so the file line carries the same seq/hash as the store
+      AuditLog.append(logEntry)
+        .then(({ seq, hash }) => {
+          logger.info('AUDIT', { ...logEntry, seq, hash });
+        })
+        .catch((err) => {
+          logger.info('AUDIT', logEntry);
+          logger.error('Audit store write failed', { error: err.message, action });
+        });
     };
 
     // Log all requests
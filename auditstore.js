@@ -0,0 +1,438 @@
+/**
+ * Audit Log Model - Queryable, tamper-evident store for security audit events
+ * Each entry carries a sequence number and an HMAC-SHA256 chained to the
+ * previous entry; signed checkpoints pin the chain head periodically
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const crypto = require('crypto');
+const logger = require('../services/logger');
+const storageConfig = require('../config/storage');
+
+const DB_PATH = storageConfig.dataPath('audit.db');
+const GENESIS_HASH = '0'.repeat(64);
+
+const loadChainKey = () => {
+  if (process.env.AUDIT_HMAC_KEY) return process.env.AUDIT_HMAC_KEY;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('AUDIT_HMAC_KEY must be set in production');
+  }
+  logger.warn('AUDIT_HMAC_KEY not set; using an insecure development key for the audit chain');
+  return 'mo-dev-audit-chain-key';
+};
+
+const CHAIN_KEY = loadChainKey();
+
+// Entry fields stored in their own columns; everything else goes to details
+const BASE_FIELDS = ['timestamp', 'action', 'user', 'sessionId', 'ip', 'userAgent', 'path', 'method'];
+
+const toEvent = (row) => ({
+  id: row.id,
+  timestamp: row.timestamp,
+  action: row.action,
+  user: row.username,
+  target: row.target,
+  sessionId: row.session_id,
+  ip: row.ip,
+  userAgent: row.user_agent,
+  path: row.path,
+  method: row.method,
+  details: row.details ? JSON.parse(row.details) : {}
+});
+
+class AuditLog {
+  constructor() {
+    this.db = new sqlite3.Database(DB_PATH);
+    this.init();
+  }
+
+  init() {
+    this.db.serialize(() => {
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS audit_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          timestamp TEXT NOT NULL,
+          action TEXT NOT NULL,
+          username TEXT,
+          target TEXT,
+          session_id TEXT,
+          ip TEXT,
+          user_agent TEXT,
+          path TEXT,
+          method TEXT,
+          details TEXT,
+          seq INTEGER UNIQUE,
+          prev_hash TEXT,
+          hash TEXT
+        )
+      `);
+
+      // Signed snapshots of the chain head
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS audit_checkpoints (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          seq INTEGER NOT NULL,
+          hash TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          signature TEXT NOT NULL
+        )
+      `);
+
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_audit_user_time ON audit_events (username, timestamp)`);
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_audit_target_time ON audit_events (target, timestamp)`);
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_audit_action_time ON audit_events (action, timestamp)`);
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_audit_session ON audit_events (session_id)`);
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_audit_time ON audit_events (timestamp)`);
+
+      this.migrate();
+    });
+
+    // Other processes may append too; wait on their write lock
+    this.db.configure('busyTimeout', 5000);
+
+    // Appends are queued so sequence numbers and links never interleave
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Add chain columns to audit tables created before hash chaining
+   */
+  migrate() {
+    this.db.all(`PRAGMA table_info(audit_events)`, (err, columns) => {
+      if (err) return;
+      const existing = columns.map(c => c.name);
+      const missing = [
+        ['seq', 'INTEGER'],
+        ['prev_hash', 'TEXT'],
+        ['hash', 'TEXT']
+      ].filter(([name]) => !existing.includes(name));
+
+      this.db.serialize(() => {
+        missing.forEach(([name, type]) => {
+          this.db.run(`ALTER TABLE audit_events ADD COLUMN ${name} ${type}`);
+        });
+        this.db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_seq ON audit_events (seq)`);
+      });
+    });
+  }
+
+  /**
+   * Link hash: HMAC over sequence, previous hash and the stored columns
+   */
+  computeHash(seq, prevHash, row) {
+    const canonical = JSON.stringify([
+      seq,
+      prevHash,
+      row.timestamp,
+      row.action,
+      row.username,
+      row.target,
+      row.session_id,
+      row.ip,
+      row.user_agent,
+      row.path,
+      row.method,
+      row.details
+    ]);
+    return crypto.createHmac('sha256', CHAIN_KEY).update(canonical).digest('hex');
+  }
+
+  signCheckpoint(seq, hash, createdAt) {
+    return crypto.createHmac('sha256', CHAIN_KEY)
+      .update(`checkpoint:${seq}:${hash}:${createdAt}`)
+      .digest('hex');
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  getTail() {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT seq, hash FROM audit_events WHERE seq IS NOT NULL ORDER BY seq DESC LIMIT 1`,
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || { seq: 0, hash: GENESIS_HASH });
+        }
+      );
+    });
+  }
+
+  /**
+   * Persist one audit entry (as built by the auditLogger middleware),
+   * chained to the current tail. Resolves with its seq and hash.
+   */
+  async append(entry) {
+    const details = {};
+    for (const [key, value] of Object.entries(entry)) {
+      if (!BASE_FIELDS.includes(key)) details[key] = value;
+    }
+
+    // Account the event is about, when it differs from the actor
+    const target = details.targetUser || details.username || null;
+
+    const row = {
+      timestamp: entry.timestamp,
+      action: entry.action,
+      username: entry.user ?? null,
+      target: target !== entry.user ? target : null,
+      session_id: entry.sessionId ?? null,
+      ip: entry.ip ?? null,
+      user_agent: entry.userAgent ?? null,
+      path: entry.path ?? null,
+      method: entry.method ?? null,
+      details: JSON.stringify(details)
+    };
+
+    const write = this.writeQueue.then(async () => {
+      // IMMEDIATE takes the write lock before reading the tail
+      await this.run('BEGIN IMMEDIATE');
+      try {
+        const tail = await this.getTail();
+        const seq = tail.seq + 1;
+        const hash = this.computeHash(seq, tail.hash, row);
+
+        const result = await this.run(
+          `INSERT INTO audit_events
+           (timestamp, action, username, target, session_id, ip, user_agent, path, method,
+            details, seq, prev_hash, hash)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [row.timestamp, row.action, row.username, row.target, row.session_id, row.ip,
+            row.user_agent, row.path, row.method, row.details, seq, tail.hash, hash]
+        );
+        await this.run('COMMIT');
+
+        return { id: result.lastID, seq, hash };
+      } catch (err) {
+        await this.run('ROLLBACK').catch(() => {});
+        throw err;
+      }
+    });
+
+    // Keep the queue alive after a failed write
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Record a signed checkpoint of the chain head (skipped if unchanged)
+   */
+  async createCheckpoint() {
+    const tail = await this.getTail();
+    if (tail.seq === 0) return null;
+
+    const last = await new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT seq FROM audit_checkpoints ORDER BY id DESC LIMIT 1`,
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+    if (last && last.seq === tail.seq) return null;
+
+    const createdAt = new Date().toISOString();
+    const signature = this.signCheckpoint(tail.seq, tail.hash, createdAt);
+
+    await this.run(
+      `INSERT INTO audit_checkpoints (seq, hash, created_at, signature) VALUES (?, ?, ?, ?)`,
+      [tail.seq, tail.hash, createdAt, signature]
+    );
+
+    return { seq: tail.seq, hash: tail.hash, createdAt, signature };
+  }
+
+  /**
+   * Walk the chain and the checkpoints; reports the first broken link
+   */
+  async verifyChain() {
+    let expectedSeq = 1;
+    let prevHash = GENESIS_HASH;
+    let firstBroken = null;
+    const hashesBySeq = new Map();
+
+    const entries = await new Promise((resolve, reject) => {
+      this.db.each(
+        `SELECT * FROM audit_events WHERE seq IS NOT NULL ORDER BY seq ASC`,
+        (err, row) => {
+          if (err || firstBroken) return;
+
+          let reason = null;
+          if (row.seq !== expectedSeq) {
+            reason = `Sequence gap: expected ${expectedSeq}, found ${row.seq}`;
+          } else if (row.prev_hash !== prevHash) {
+            reason = 'Previous-hash link does not match the preceding entry';
+          } else if (row.hash !== this.computeHash(row.seq, row.prev_hash, row)) {
+            reason = 'Entry contents do not match its hash';
+          }
+
+          if (reason) {
+            firstBroken = { seq: expectedSeq, id: row.id, reason };
+            return;
+          }
+
+          hashesBySeq.set(row.seq, row.hash);
+          expectedSeq = row.seq + 1;
+          prevHash = row.hash;
+        },
+        (err, count) => {
+          if (err) reject(err);
+          else resolve(count);
+        }
+      );
+    });
+
+    const checkpoints = await new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM audit_checkpoints ORDER BY id ASC`,
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+
+    let checkpointFailure = null;
+    for (const checkpoint of checkpoints) {
+      const expected = this.signCheckpoint(checkpoint.seq, checkpoint.hash, checkpoint.created_at);
+      if (checkpoint.signature !== expected) {
+        checkpointFailure = { checkpointId: checkpoint.id, seq: checkpoint.seq, reason: 'Invalid checkpoint signature' };
+        break;
+      }
+
+      // Only entries the walk reached can be compared
+      if (firstBroken && checkpoint.seq >= firstBroken.seq) continue;
+
+      if (!hashesBySeq.has(checkpoint.seq)) {
+        checkpointFailure = { checkpointId: checkpoint.id, seq: checkpoint.seq, reason: 'Checkpointed entry is missing (log truncated?)' };
+        break;
+      }
+      if (hashesBySeq.get(checkpoint.seq) !== checkpoint.hash) {
+        checkpointFailure = { checkpointId: checkpoint.id, seq: checkpoint.seq, reason: 'Chain was rewritten after this checkpoint' };
+        break;
+      }
+    }
+
+    return {
+      valid: !firstBroken && !checkpointFailure,
+      entriesChecked: entries,
+      lastValidSeq: expectedSeq - 1,
+      checkpointsChecked: checkpoints.length,
+      firstBroken,
+      checkpointFailure,
+      verifiedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Translate API filters into a WHERE clause
+   */
+  buildFilter({ user, actions, from, to, sessionId, beforeId, afterId } = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (user) {
+      clauses.push('(username = ? OR target = ?)');
+      params.push(user, user);
+    }
+    if (actions && actions.length > 0) {
+      clauses.push(`action IN (${actions.map(() => '?').join(', ')})`);
+      params.push(...actions);
+    }
+    if (from) {
+      clauses.push('timestamp >= ?');
+      params.push(from);
+    }
+    if (to) {
+      clauses.push('timestamp <= ?');
+      params.push(to);
+    }
+    if (sessionId) {
+      clauses.push('session_id = ?');
+      params.push(sessionId);
+    }
+    if (beforeId) {
+      clauses.push('id < ?');
+      params.push(beforeId);
+    }
+    if (afterId) {
+      clauses.push('id > ?');
+      params.push(afterId);
+    }
+
+    return {
+      where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Newest-first page of events; nextCursor is the last id returned
+   */
+  async query(filters, { cursor, limit = 100 } = {}) {
+    const { where, params } = this.buildFilter({ ...filters, beforeId: cursor });
+
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM audit_events ${where} ORDER BY id DESC LIMIT ?`,
+        [...params, limit + 1],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+
+          const hasMore = rows.length > limit;
+          const events = rows.slice(0, limit).map(toEvent);
+          resolve({
+            events,
+            nextCursor: hasMore ? events[events.length - 1].id : null
+          });
+        }
+      );
+    });
+  }
+
+  /**
+   * Visit every matching event oldest-first, a page at a time so the
+   * whole log is never held in memory. Each page is read after the
+   * previous one's onEvent calls (which may return promises) settle.
+   * Resolves with the number of events visited.
+   */
+  async each(filters, onEvent, { pageSize = 500 } = {}) {
+    let afterId = null;
+    let count = 0;
+
+    for (;;) {
+      const { where, params } = this.buildFilter({ ...filters, afterId });
+      const rows = await new Promise((resolve, reject) => {
+        this.db.all(
+          `SELECT * FROM audit_events ${where} ORDER BY id ASC LIMIT ?`,
+          [...params, pageSize],
+          (err, result) => {
+            if (err) reject(err);
+            else resolve(result);
+          }
+        );
+      });
+
+      for (const row of rows) {
+        await onEvent(toEvent(row));
+      }
+      count += rows.length;
+
+      if (rows.length < pageSize) return count;
+      afterId = rows[rows.length - 1].id;
+    }
+  }
+}
+
+module.exports = new AuditLog();
@@ -3,43 +3,67 @@
  */
 
 const crypto = require('crypto');
+const bcrypt = require('bcrypt');
 const { body, validationResult } = require('express-validator');
+const UserStore = require('../models/UserStore');
+const ActiveSessions = require('../models/ActiveSessions');
+const sessionLifecycle = require('../services/sessionLifecycle');
+const eventBus = require('../services/eventBus');
 
-// Hardcoded MO users for demo (hashed passwords)
-const MO_USERS = [
-  {
-    username: 'demo.admin',
-    passwordHash: '$2b$10$YourHashedPasswordHere', // bcrypt hash
-    role: 'admin',
-    allowedSessions: 5
-  },
-  {
-    username: 'demo.operator',
-    passwordHash: '$2b$10$YourHashedPasswordHere',
-    role: 'operator',
-    allowedSessions: 3
-  }
-];
-
-// Active sessions tracking (in-memory for demo, Redis in production)
-const activeSessions = new Map();
+// Compared against for unknown usernames so response timing does not leak them
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
 
 /**
  * Verify MO user credentials
  */
 const validateMOCredentials = async (username, password) => {
-  const user = MO_USERS.find(u => u.username === username);
-  if (!user) return null;
-  
-  const bcrypt = require('bcrypt');
-  const valid = await bcrypt.compare(password, user.passwordHash);
-  return valid ? user : null;
+  const user = await UserStore.findByUsername(username);
+  const valid = await bcrypt.compare(password, user ? user.passwordHash : DUMMY_HASH);
+
+  if (!user || !valid) return null;
+  if (user.status !== 'active' || user.lockedAt) return null;
+  return user;
 };
 
 /**
- * Middleware: Require authentication
+ * Record the signed-in session (store ID, activity) for admin listing,
+ * revocation and concurrency limits
  */
-const requireAuth = (req, res, next) => {
+const trackSession = async (req) => {
+  if (!req.session.demoSessionId) return;
+
+  await ActiveSessions.record({
+    sessionId: req.session.demoSessionId,
+    sid: req.sessionID,
+    username: req.session.moUser.username,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+    startedAt: Date.parse(req.session.moUser.sessionStart),
+    lastActivityAt: req.session.lastActivity || Date.now()
+  });
+};
+
+const END_RESPONSES = {
+  idle: { code: 'SESSION_EXPIRED', error: 'Session expired due to inactivity' },
+  absolute: { code: 'SESSION_EXPIRED', error: 'Session reached its maximum length. Please sign in again.' },
+  revoked: { code: 'SESSION_REVOKED', error: 'Session was ended by an administrator' }
+};
+
+/**
+ * Why the session may not continue: 'revoked', 'idle', 'absolute' or null
+ */
+const endedReason = async (session) => {
+  const tracked = await ActiveSessions.find(session.demoSessionId);
+  if (tracked && tracked.revokedAt) return 'revoked';
+  return sessionLifecycle.expiredReason(session);
+};
+
+/**
+ * Session check behind requireAuth and requireAuthPassive. Sessions that
+ * were revoked or are past their idle or absolute limit are purged and
+ * destroyed; only active checks count as activity.
+ */
+const authenticate = ({ passive }) => async (req, res, next) => {
   if (!req.session || !req.session.moUser) {
     return res.status(401).json({ 
       error: 'Authentication required',
@@ -48,21 +72,42 @@ const requireAuth = (req, res, next) => {
   }
 
   // Check session validity
-  if (req.session.lastActivity) {
-    const idleTime = Date.now() - req.session.lastActivity;
-    const MAX_IDLE = 30 * 60 * 1000; // 30 minutes
-    
-    if (idleTime > MAX_IDLE) {
-      req.session.destroy();
-      return res.status(401).json({ 
-        error: 'Session expired due to inactivity',
-        code: 'SESSION_EXPIRED'
-      });
+  let reason;
+  try {
+    reason = await endedReason(req.session);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (reason) {
+    const username = req.session.moUser.username;
+    const sessionId = req.session.demoSessionId;
+
+    try {
+      await sessionLifecycle.end(sessionId);
+    } catch (error) {
+      return next(error);
+    }
+    // Revocation was audited and announced by the admin route
+    if (reason !== 'revoked') {
+      req.auditLog('SESSION_EXPIRED', { username, sessionId, reason });
+      eventBus.publish(sessionId, 'session.ended', { reason });
     }
+
+    req.session.destroy(() => {});
+    return res.status(401).json({ ...END_RESPONSES[reason], reason });
   }
 
-  // Update last activity
-  req.session.lastActivity = Date.now();
+  // Update last activity (slides the idle deadline); the activity record
+  // follows whenever the stored expiry does
+  let synced = false;
+  if (!passive) {
+    try {
+      synced = await sessionLifecycle.touch(req.session);
+    } catch (error) {
+      return next(error);
+    }
+  }
   
   // Regenerate session ID periodically to prevent fixation
   if (!req.session.lastRegenerated || 
@@ -72,41 +117,34 @@ const requireAuth = (req, res, next) => {
       if (err) return next(err);
       Object.assign(req.session, oldSession);
       req.session.lastRegenerated = Date.now();
-      next();
+      trackSession(req).then(() => next(), next); // New store ID
     });
+  } else if (synced) {
+    trackSession(req).then(() => next(), next);
   } else {
     next();
   }
 };
 
 /**
- * Middleware: Check concurrent session limits
+ * Middleware: Require authentication
  */
-const checkConcurrentSessions = (req, res, next) => {
-  const username = req.session?.moUser?.username;
-  if (!username) return next();
-
-  const userSessions = Array.from(activeSessions.values())
-    .filter(s => s.username === username && s.sessionId !== req.sessionID);
-
-  const user = MO_USERS.find(u => u.username === username);
-  if (user && userSessions.length >= user.allowedSessions) {
-    return res.status(403).json({
-      error: 'Maximum concurrent sessions exceeded',
-      code: 'MAX_SESSIONS'
-    });
-  }
+const requireAuth = authenticate({ passive: false });
 
-  // Track this session
-  activeSessions.set(req.sessionID, {
-    username,
-    sessionId: req.sessionID,
-    startedAt: Date.now(),
-    ip: req.ip,
-    userAgent: req.headers['user-agent']
-  });
+/**
+ * Middleware: Require authentication without counting the request as
+ * activity (status polling must not keep an idle session alive)
+ */
+const requireAuthPassive = authenticate({ passive: true });
 
-  next();
+/**
+ * Whether a user already holds as many live sessions as allowedSessions
+ * permits (sessions are recorded at sign-in by trackSession); checked
+ * before a login creates another
+ */
+const checkConcurrentSessions = async (user) => {
+  const live = await ActiveSessions.countActive(user.username);
+  return live >= user.allowedSessions;
 };
 
 /**
@@ -133,11 +171,97 @@ const loginValidation = [
   }
 ];
 
+/**
+ * Second-factor validation rules (TOTP code or recovery code)
+ */
+const mfaCodeValidation = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9]{5}-?[A-Za-z0-9]{5}$/)
+    .withMessage('Invalid recovery code format'),
+  body()
+    .custom((value) => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('Authentication code required');
+      }
+      return true;
+    }),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+/**
+ * Authenticator-code-only validation (enrollment and recovery code
+ * replacement, where a recovery code is not an acceptable factor)
+ */
+const totpCodeValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
+/**
+ * Password change validation rules (policy itself enforced in the route)
+ */
+const passwordChangeValidation = [
+  body('currentPassword')
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Current password required'),
+  body('newPassword')
+    .isLength({ min: 1, max: 128 })
+    .withMessage('New password required'),
+  body('confirmPassword')
+    .custom((value, { req }) => {
+      if (value !== req.body.newPassword) {
+        throw new Error('Passwords do not match');
+      }
+      return true;
+    }),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array() 
+      });
+    }
+    next();
+  }
+];
+
 module.exports = {
   requireAuth,
+  requireAuthPassive,
   checkConcurrentSessions,
+  trackSession,
   validateMOCredentials,
   loginValidation,
-  MO_USERS,
-  activeSessions
+  mfaCodeValidation,
+  totpCodeValidation,
+  passwordChangeValidation
 };
@@ -0,0 +1,45 @@
+/**
+ * Blind index - keyed HMAC of sensitive values for equality lookup
+ * Lets rows be matched, de-duplicated and joined without decrypting them.
+ *
+ * BLIND_INDEX_KEY must stay stable: changing it orphans every stored index.
+ * It is deliberately separate from the rotating encryption keyring.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const loadIndexKey = () => {
+  if (process.env.BLIND_INDEX_KEY) return process.env.BLIND_INDEX_KEY;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('BLIND_INDEX_KEY must be set in production');
+  }
+  logger.warn('BLIND_INDEX_KEY not set; using an insecure development key for blind indexes');
+  return 'mo-dev-blind-index-key';
+};
+
+const INDEX_KEY = loadIndexKey();
+
+/**
+ * Digits only, so formatting differences don't produce different indexes.
+ * Callers pass E.164 from services/phoneNumber; national formats would
+ * index differently from the same number written internationally.
+ */
+const normalizePhone = (phoneNumber) => String(phoneNumber).replace(/\D/g, '');
+
+/**
+ * Domain-separated HMAC-SHA256 (hex)
+ */
+const blindIndex = (domain, value) =>
+  crypto.createHmac('sha256', INDEX_KEY)
+    .update(`${domain}:${value}`)
+    .digest('hex');
+
+const phoneIndex = (phoneNumber) => blindIndex('phone', normalizePhone(phoneNumber));
+
+module.exports = {
+  blindIndex,
+  phoneIndex,
+  normalizePhone
+};
@@ -3,31 +3,57 @@
  */
 
 const express = require('express');
+const crypto = require('crypto');
+const { body, param, query } = require('express-validator');
 const router = express.Router();
 const { requireAuth } = require('../middleware/auth');
+const { requirePermission, PERMISSIONS } = require('../middleware/permissions');
+const { rateLimiter } = require('../middleware/rateLimiter');
 const { validators, handleValidationErrors } = require('../middleware/security');
 const SessionData = require('../models/SessionData');
+const { parseImport, validateRows, fingerprint } = require('../services/captureImport');
+const { normalizePhone, samePhone, maskPhone, regionFor } = require('../services/phoneNumber');
+const { blindIndex, phoneIndex } = require('../services/blindIndex');
+const eventBus = require('../services/eventBus');
+
+const IMPORT_TOKEN_TTL = 15 * 60 * 1000; // Time to confirm a previewed import
+
+// Double-entry fields shared by capture and edit
+const captureFields = [
+  validators.phoneNumber,
+  body('confirmPhoneNumber')
+    .custom((value, { req }) => {
+      // Same number in any format (phoneNumber is already E.164)
+      if (!samePhone(value, req.body.phoneNumber, regionFor(req.session.moUser))) {
+        throw new Error('Phone numbers do not match');
+      }
+      return true;
+    }),
+  validators.safetyCode,
+  body('confirmSafetyCode')
+    .custom((value, { req }) => {
+      if (value !== req.body.safetyCode) {
+        throw new Error('Safety codes do not match');
+      }
+      return true;
+    })
+];
+
+const captureIdParam = param('id').isInt({ min: 1 }).withMessage('Invalid capture ID').toInt();
+
+// Keyed hashes for audit entries, never the values themselves
+const auditHashes = ({ phoneNumber, safetyCode }) => ({
+  phoneHash: phoneIndex(phoneNumber).substring(0, 16),
+  codeHash: blindIndex('safety_code', safetyCode).substring(0, 16)
+});
 
 // Capture phone and safety code
 router.post('/',
   requireAuth,
+  requirePermission(PERMISSIONS.CAPTURE_CREATE),
+  rateLimiter.capture,
   [
-    validators.phoneNumber,
-    body('confirmPhoneNumber')
-      .custom((value, { req }) => {
-        if (value !== req.body.phoneNumber) {
-          throw new Error('Phone numbers do not match');
-        }
-        return true;
-      }),
-    validators.safetyCode,
-    body('confirmSafetyCode')
-      .custom((value, { req }) => {
-        if (value !== req.body.safetyCode) {
-          throw new Error('Safety codes do not match');
-        }
-        return true;
-      }),
+    ...captureFields,
     handleValidationErrors
   ],
   async (req, res) => {
@@ -36,37 +62,283 @@ router.post('/',
       const sessionId = req.session.demoSessionId;
       const username = req.session.moUser.username;
 
-      // Double-entry verification already done in validation
-      
+      // Double-entry verification and E.164 normalization already done in validation
+      const { country, lineType } = normalizePhone(phoneNumber);
+
       // Store encrypted
-      await SessionData.captureData(sessionId, phoneNumber, safetyCode);
+      const capture = await SessionData.captureData(sessionId, phoneNumber, safetyCode);
 
       // Audit log
       req.auditLog('DATA_CAPTURED', {
         username,
         sessionId,
-        phoneHash: require('crypto')
-          .createHash('sha256')
-          .update(phoneNumber)
-          .digest('hex')
-          .substring(0, 16) // Log only hash for privacy
+        captureId: capture.id,
+        phoneHash: capture.phoneIndex.substring(0, 16), // Keyed blind index, never the number
+        country,
+        lineType
+      });
+
+      // Other open pages of this session add it to their preview
+      eventBus.publish(sessionId, 'capture.added', {
+        id: capture.id,
+        phone: maskPhone(phoneNumber),
+        code: safetyCode,
+        createdAt: new Date().toISOString()
       });
 
       res.json({
         success: true,
         message: 'Information captured securely',
+        id: capture.id,
+        phone: maskPhone(phoneNumber),
+        country,
+        lineType,
+        // Landlines usually can't receive SMS
+        ...(lineType === 'landline' && { warning: 'This looks like a landline number' }),
         timestamp: new Date().toISOString()
       });
 
     } catch (error) {
+      if (error.code === 'DUPLICATE_CAPTURE') {
+        req.auditLog('CAPTURE_DUPLICATE', { sessionId: req.session.demoSessionId });
+        return res.status(409).json({
+          error: 'This phone number has already been captured in this session',
+          code: 'DUPLICATE_CAPTURE'
+        });
+      }
+
       req.auditLog('CAPTURE_ERROR', { error: error.message });
       res.status(500).json({ error: 'Failed to capture data' });
     }
   }
 );
 
+// Bulk import from a CSV/TSV file sent as the raw request body.
+// ?dryRun=true validates and returns a per-row report plus a confirmToken;
+// committing resends the same file with ?confirmToken=... and imports its
+// valid rows in one transaction.
+router.post('/import',
+  requireAuth,
+  requirePermission(PERMISSIONS.CAPTURE_CREATE),
+  rateLimiter.import,
+  express.text({ type: ['text/csv', 'text/tab-separated-values', 'text/plain'], limit: '256kb' }),
+  [
+    query('dryRun').optional().isBoolean().toBoolean(),
+    query('confirmToken').optional().isHexadecimal().isLength({ min: 32, max: 32 }),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    const sessionId = req.session.demoSessionId;
+    const username = req.session.moUser.username;
+
+    try {
+      const { dryRun, confirmToken } = req.query;
+
+      if (typeof req.body !== 'string' || req.body.trim() === '') {
+        return res.status(400).json({
+          error: 'Send the file as text/csv or text/tab-separated-values',
+          code: 'IMPORT_EMPTY'
+        });
+      }
+      if (!dryRun && !confirmToken) {
+        return res.status(400).json({
+          error: 'Preview the import with dryRun=true, then commit it with the confirmToken',
+          code: 'IMPORT_CONFIRMATION_REQUIRED'
+        });
+      }
+
+      const rows = parseImport(req.body);
+      const existing = await SessionData.getPhoneIndexes(sessionId);
+      const { report, captures, summary } = validateRows(rows, existing, regionFor(req.session.moUser));
+      const fileHash = fingerprint(req.body);
+
+      if (dryRun) {
+        const token = captures.length > 0 ? crypto.randomBytes(16).toString('hex') : null;
+        req.session.captureImport = token
+          ? { token, fileHash, valid: summary.valid, expiresAt: Date.now() + IMPORT_TOKEN_TTL }
+          : null;
+
+        req.auditLog('CAPTURE_IMPORT_PREVIEWED', { username, sessionId, ...summary });
+
+        return res.json({
+          success: true,
+          dryRun: true,
+          confirmToken: token,
+          expiresAt: token ? new Date(req.session.captureImport.expiresAt).toISOString() : null,
+          summary,
+          rows: report
+        });
+      }
+
+      // Commit only the exact file that was previewed, while the preview still holds
+      const pending = req.session.captureImport;
+      const tokenMatches = pending && pending.expiresAt > Date.now() &&
+        crypto.timingSafeEqual(Buffer.from(pending.token), Buffer.from(confirmToken));
+
+      if (!tokenMatches || pending.fileHash !== fileHash) {
+        return res.status(409).json({
+          error: 'Import confirmation is invalid or expired; preview the file again',
+          code: 'IMPORT_TOKEN_INVALID'
+        });
+      }
+      if (summary.valid !== pending.valid) {
+        return res.status(409).json({
+          error: 'The session changed since the preview; review the report and preview again',
+          code: 'IMPORT_CHANGED',
+          summary,
+          rows: report
+        });
+      }
+
+      const ids = await SessionData.importCaptures(sessionId, captures);
+      req.session.captureImport = null;
+
+      req.auditLog('CAPTURES_IMPORTED', {
+        username,
+        sessionId,
+        count: ids.length,
+        skipped: summary.invalid + summary.duplicate,
+        fileHash: fileHash.substring(0, 16)
+      });
+
+      eventBus.publish(sessionId, 'capture.imported', { count: ids.length });
+
+      res.json({
+        success: true,
+        imported: ids.length,
+        summary,
+        rows: report
+      });
+
+    } catch (error) {
+      if (['IMPORT_FORMAT', 'IMPORT_EMPTY', 'IMPORT_TOO_LARGE'].includes(error.code)) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      if (error.code === 'DUPLICATE_CAPTURE') {
+        req.auditLog('CAPTURE_IMPORT_FAILED', { sessionId, line: error.line, error: error.message });
+        return res.status(409).json({ error: error.message, code: error.code, line: error.line });
+      }
+
+      req.auditLog('CAPTURE_ERROR', { error: error.message });
+      res.status(500).json({ error: 'Import failed' });
+    }
+  }
+);
+
+// Correct a capture of the caller's session; the full double entry is
+// required again, as when capturing
+router.patch('/:id',
+  requireAuth,
+  requirePermission(PERMISSIONS.CAPTURE_CREATE),
+  rateLimiter.capture,
+  [
+    captureIdParam,
+    ...captureFields,
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    const sessionId = req.session.demoSessionId;
+    const username = req.session.moUser.username;
+
+    try {
+      const { phoneNumber, safetyCode } = req.body;
+      const current = await SessionData.getCapture(sessionId, username, req.params.id);
+      if (!current) {
+        return res.status(404).json({ error: 'Capture not found', code: 'CAPTURE_NOT_FOUND' });
+      }
+
+      const changed = [
+        current.phoneNumber !== phoneNumber && 'phoneNumber',
+        current.safetyCode !== safetyCode && 'safetyCode'
+      ].filter(Boolean);
+      // Written even when unchanged, so a locked capture is still refused
+      await SessionData.updateCapture(sessionId, current, { phoneNumber, safetyCode });
+
+      const { country, lineType } = normalizePhone(phoneNumber);
+
+      req.auditLog('CAPTURE_EDITED', {
+        username,
+        sessionId,
+        captureId: current.id,
+        changed,
+        before: auditHashes(current),
+        after: auditHashes({ phoneNumber, safetyCode })
+      });
+
+      eventBus.publish(sessionId, 'capture.updated', {
+        id: current.id,
+        phone: maskPhone(phoneNumber),
+        code: safetyCode
+      });
+
+      res.json({
+        success: true,
+        id: current.id,
+        changed,
+        phone: maskPhone(phoneNumber),
+        country,
+        lineType,
+        ...(lineType === 'landline' && { warning: 'This looks like a landline number' })
+      });
+
+    } catch (error) {
+      if (['DUPLICATE_CAPTURE', 'CAPTURE_LOCKED'].includes(error.code)) {
+        return res.status(409).json({ error: error.message, code: error.code });
+      }
+
+      req.auditLog('CAPTURE_ERROR', { error: error.message });
+      res.status(500).json({ error: 'Failed to update capture' });
+    }
+  }
+);
+
+// Void a capture of the caller's session so it is never messaged
+router.delete('/:id',
+  requireAuth,
+  requirePermission(PERMISSIONS.CAPTURE_CREATE),
+  rateLimiter.capture,
+  [
+    captureIdParam,
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    const sessionId = req.session.demoSessionId;
+    const username = req.session.moUser.username;
+
+    try {
+      const current = await SessionData.getCapture(sessionId, username, req.params.id);
+      if (!current) {
+        return res.status(404).json({ error: 'Capture not found', code: 'CAPTURE_NOT_FOUND' });
+      }
+
+      const { removed } = await SessionData.voidCapture(sessionId, current.id);
+
+      req.auditLog('CAPTURE_VOIDED', {
+        username,
+        sessionId,
+        captureId: current.id,
+        previousStatus: current.status,
+        removed,
+        before: auditHashes(current)
+      });
+
+      eventBus.publish(sessionId, 'capture.voided', { id: current.id });
+
+      res.json({ success: true, id: current.id, removed });
+
+    } catch (error) {
+      if (['DUPLICATE_CAPTURE', 'CAPTURE_LOCKED'].includes(error.code)) {
+        return res.status(409).json({ error: error.message, code: error.code });
+      }
+
+      req.auditLog('CAPTURE_ERROR', { error: error.message });
+      res.status(500).json({ error: 'Failed to void capture' });
+    }
+  }
+);
+
 // Get current session captures (for messaging page)
-router.get('/current', requireAuth, async (req, res) => {
+router.get('/current', requireAuth, requirePermission(PERMISSIONS.CAPTURE_READ), async (req, res) => {
   try {
     const sessionId = req.session.demoSessionId;
     const username = req.session.moUser.username;
@@ -75,7 +347,7 @@ router.get('/current', requireAuth, async (req, res) => {
 
     res.json({
       success: true,
-      captures: data,
+      captures: data.map(capture => ({ ...capture, maskedPhone: maskPhone(capture.phoneNumber) })),
       count: data.length,
       sessionActive: true
     });
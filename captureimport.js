@@ -0,0 +1,205 @@
+/**
+ * Bulk capture import - CSV/TSV parsing and per-row validation
+ * Rows get the same checks as the double-entry form: phone numbers are
+ * normalized to E.164 in the operator's region, safety codes follow the
+ * form's rule, confirm columns (when present) must match, and no number
+ * may appear twice (within the file or already in the session).
+ */
+
+const crypto = require('crypto');
+const { CAPTURE_RULES } = require('../middleware/security');
+const { phoneIndex } = require('./blindIndex');
+const { normalizePhone, samePhone, maskPhone } = require('./phoneNumber');
+
+const MAX_ROWS = 1000;
+
+// Accepted header names per field, compared without case, spaces, _ or -
+const COLUMNS = {
+  phoneNumber: ['phonenumber', 'phone', 'mobile', 'number'],
+  confirmPhoneNumber: ['confirmphonenumber', 'confirmphone'],
+  safetyCode: ['safetycode', 'code'],
+  confirmSafetyCode: ['confirmsafetycode', 'confirmcode']
+};
+
+const importError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Tab if the header has one, otherwise whichever of ; and , it uses more
+ */
+const detectDelimiter = (headerLine) => {
+  if (headerLine.includes('\t')) return '\t';
+  const count = char => headerLine.split(char).length - 1;
+  return count(';') > count(',') ? ';' : ',';
+};
+
+/**
+ * RFC 4180 style parsing: quoted fields may hold delimiters, newlines and
+ * doubled quotes. Returns [{ line, fields }] with 1-based starting lines.
+ */
+const parseDelimited = (text, delimiter) => {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+      fields = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw importError('IMPORT_FORMAT', `Unterminated quoted field starting on line ${recordLine}`);
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    records.push({ line: recordLine, fields });
+  }
+
+  // Blank lines carry no data
+  return records.filter(record => record.fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse an uploaded file into rows keyed by field name
+ */
+const parseImport = (text) => {
+  const content = text.replace(/^\uFEFF/, ''); // Spreadsheet BOM
+  const delimiter = detectDelimiter(content.split(/\r?\n/, 1)[0]);
+  const [header, ...records] = parseDelimited(content, delimiter);
+
+  if (!header) throw importError('IMPORT_EMPTY', 'The file has no rows');
+
+  const names = header.fields.map(name => name.toLowerCase().replace(/[\s_-]/g, ''));
+  const positions = {};
+  for (const [field, aliases] of Object.entries(COLUMNS)) {
+    const index = names.findIndex(name => aliases.includes(name));
+    if (index !== -1) positions[field] = index;
+  }
+
+  if (positions.phoneNumber === undefined || positions.safetyCode === undefined) {
+    throw importError('IMPORT_FORMAT', 'Header row must name a phoneNumber and a safetyCode column');
+  }
+  if (records.length === 0) throw importError('IMPORT_EMPTY', 'The file has no data rows');
+  if (records.length > MAX_ROWS) {
+    throw importError('IMPORT_TOO_LARGE', `Import is limited to ${MAX_ROWS} rows per file`);
+  }
+
+  return records.map(record => ({
+    line: record.line,
+    values: Object.fromEntries(
+      Object.entries(positions).map(([field, index]) => [field, (record.fields[index] ?? '').trim()])
+    )
+  }));
+};
+
+/**
+ * Validate parsed rows against the capture rules and existing phone
+ * indexes, reading national numbers in region. Returns the per-row
+ * report (masked) and the importable captures (E.164).
+ */
+const validateRows = (rows, existingIndexes, region) => {
+  const seen = new Map(); // phone index -> first line
+  const report = [];
+  const captures = [];
+
+  for (const { line, values } of rows) {
+    const safetyCode = values.safetyCode.toUpperCase(); // As the form does while typing
+    const errors = [];
+
+    let phone = null;
+    try {
+      phone = normalizePhone(values.phoneNumber, region);
+    } catch (error) {
+      errors.push(error.message);
+    }
+    if (!CAPTURE_RULES.safetyCode.pattern.test(safetyCode)) {
+      errors.push(CAPTURE_RULES.safetyCode.message);
+    }
+
+    // Double entry: confirm columns, when present, must repeat the value
+    if (phone && values.confirmPhoneNumber !== undefined && !samePhone(values.confirmPhoneNumber, phone.e164, region)) {
+      errors.push('Phone numbers do not match');
+    }
+    if (values.confirmSafetyCode !== undefined && values.confirmSafetyCode.toUpperCase() !== safetyCode) {
+      errors.push('Safety codes do not match');
+    }
+
+    let status = errors.length > 0 ? 'invalid' : 'valid';
+    if (status === 'valid') {
+      const index = phoneIndex(phone.e164);
+      if (seen.has(index)) {
+        status = 'duplicate';
+        errors.push(`Same phone number as line ${seen.get(index)}`);
+      } else if (existingIndexes.has(index)) {
+        status = 'duplicate';
+        errors.push('Phone number already captured in this session');
+      } else {
+        seen.set(index, line);
+        captures.push({ line, phoneNumber: phone.e164, safetyCode });
+      }
+    }
+
+    report.push({
+      line,
+      phone: phone ? maskPhone(phone.e164) : null,
+      lineType: phone ? phone.lineType : null,
+      status,
+      errors
+    });
+  }
+
+  const count = status => report.filter(row => row.status === status).length;
+
+  return {
+    report,
+    captures,
+    summary: {
+      rows: report.length,
+      valid: count('valid'),
+      invalid: count('invalid'),
+      duplicate: count('duplicate')
+    }
+  };
+};
+
+/**
+ * Content fingerprint binding a commit to the file that was previewed
+ */
+const fingerprint = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+module.exports = {
+  MAX_ROWS,
+  parseImport,
+  validateRows,
+  fingerprint
+};
@@ -1,63 +1,80 @@
 /**
  * Secure Data Capture Handler
- * Real-time validation, encryption indicators, session management
+ * Real-time validation, encryption indicators, session data preview
+ * (auth and session handling in session.js)
  */
 
-class SecureCapture {
+class SecureCapture extends SecureSession {
   constructor() {
-    this.csrfToken = null;
+    super();
     this.sessionData = [];
-    this.countdownInterval = null;
-    this.sessionExpiry = Date.now() + (30 * 60 * 1000); // 30 minutes
+    this.pendingImport = null;
     this.init();
   }
 
   async init() {
-    await this.checkAuth();
-    await this.fetchCSRFToken();
+    await this.startSession();
     this.setupEventListeners();
-    this.startCountdown();
-    this.loadSessionData();
+    if (this.can('capture:read')) {
+      this.loadSessionData();
+    }
+    this.subscribeEvents();
     this.updateSessionDisplay();
   }
 
-  async checkAuth() {
-    try {
-      const response = await fetch('/api/auth/status', {
-        credentials: 'include'
+  /**
+   * Captures from other tabs and delivery progress
+   */
+  handleEvents(on) {
+    on('capture.added', (data) => {
+      if (this.sessionData.some(item => item.id === data.id)) return; // Our own capture
+      this.sessionData.push({
+        id: data.id,
+        phone: data.phone,
+        code: data.code,
+        status: 'new',
+        timestamp: new Date(data.createdAt).toLocaleTimeString()
       });
-      
-      if (!response.ok) {
-        window.location.href = '/pages/login.html';
-        return;
-      }
-      
-      const data = await response.json();
-      document.getElementById('currentUser').textContent = data.username;
-      
-    } catch (error) {
-      window.location.href = '/pages/login.html';
-    }
+      this.updatePreview();
+      this.updateStats();
+    });
+
+    on('capture.updated', (data) => {
+      const item = this.sessionData.find(entry => entry.id === data.id);
+      if (!item || document.querySelector(`.preview-item[data-id="${data.id}"] form`)) return;
+      Object.assign(item, { phone: data.phone, code: data.code });
+      this.updatePreview();
+    });
+
+    on('capture.voided', (data) => {
+      this.sessionData = this.sessionData.filter(entry => entry.id !== data.id);
+      this.updatePreview();
+      this.updateStats();
+    });
+
+    on('capture.imported', () => this.loadSessionData());
+
+    on('delivery.status', (data) => {
+      const item = this.sessionData.find(entry => entry.id === data.captureId);
+      if (!item) return;
+      item.status = data.status;
+      this.updatePreview();
+    });
   }
 
-  async fetchCSRFToken() {
-    try {
-      const response = await fetch('/api/csrf-token', {
-        credentials: 'include'
-      });
-      const data = await response.json();
-      this.csrfToken = data.csrfToken;
-      
-      const tokenField = document.getElementById('csrfToken');
-      if (tokenField) tokenField.value = this.csrfToken;
-    } catch (error) {
-      this.showError('Security token refresh failed');
-    }
+  resync() {
+    if (this.can('capture:read')) this.loadSessionData();
+  }
+
+  applyPermissions() {
+    super.applyPermissions();
+
+    const denied = document.getElementById('captureDenied');
+    if (denied) denied.classList.toggle('hidden', this.can('capture:create'));
   }
 
   setupEventListeners() {
     const form = document.getElementById('captureForm');
-    const logoutBtn = document.getElementById('logoutBtn');
     
     // Real-time validation
     const phoneInput = document.getElementById('phoneNumber');
@@ -65,10 +82,14 @@ class SecureCapture {
     const codeInput = document.getElementById('safetyCode');
     const codeConfirm = document.getElementById('confirmSafetyCode');
 
+    // Phone entries match ignoring spacing and punctuation; the server
+    // compares the canonical numbers
+    const comparable = (input) => (input.type === 'tel' ? this.phoneDigits(input.value) : input.value);
+
     const checkMatch = (input1, input2, indicatorId) => {
       const indicator = document.getElementById(indicatorId);
       if (input2.value) {
-        if (input1.value === input2.value) {
+        if (comparable(input1) === comparable(input2)) {
           indicator.textContent = '✓ Match';
           indicator.className = 'match-indicator match-success';
           input2.classList.remove('mismatch');
@@ -96,8 +117,20 @@ class SecureCapture {
       form.addEventListener('submit', (e) => this.handleCapture(e));
     }
 
-    if (logoutBtn) {
-      logoutBtn.addEventListener('click', () => this.logout());
+    // Bulk import: upload -> preview report -> explicit confirm
+    const importForm = document.getElementById('importForm');
+    if (importForm) {
+      importForm.addEventListener('submit', (e) => this.previewImport(e));
+      document.getElementById('importConfirmBtn').addEventListener('click', () => this.confirmImport());
+      document.getElementById('importCancelBtn').addEventListener('click', () => this.resetImport());
+      document.getElementById('importFile').addEventListener('change', () => this.resetImport());
+    }
+
+    // Edit / void controls on previewed captures
+    const preview = document.getElementById('dataPreview');
+    if (preview) {
+      preview.addEventListener('click', (e) => this.handlePreviewAction(e));
+      preview.addEventListener('submit', (e) => this.saveEdit(e));
     }
 
     // Warn before unload if unsaved data
@@ -118,7 +151,7 @@ class SecureCapture {
     const confirmCode = document.getElementById('confirmSafetyCode').value.trim().toUpperCase();
 
     // Client-side double-entry verification
-    if (phoneNumber !== confirmPhone) {
+    if (this.phoneDigits(phoneNumber) !== this.phoneDigits(confirmPhone)) {
       this.showError('Phone numbers do not match');
       document.getElementById('confirmPhoneNumber').focus();
       return;
@@ -130,10 +163,10 @@ class SecureCapture {
       return;
     }
 
-    // Validate E.164 phone format
-    const phoneRegex = /^\+?[1-9]\d{1,14}$/;
+    // Basic shape only; the server validates the number for its country
+    const phoneRegex = /^[+\d\s().-]{3,25}$/;
     if (!phoneRegex.test(phoneNumber)) {
-      this.showError('Invalid phone number format. Use E.164 format (+1234567890)');
+      this.showError('Invalid phone number format. Use digits, with +country code for other countries');
       return;
     }
 
@@ -167,9 +200,11 @@ class SecureCapture {
       const data = await response.json();
 
       if (response.ok) {
-        this.handleCaptureSuccess(phoneNumber, safetyCode);
+        this.handleCaptureSuccess(data, safetyCode);
+        if (data.warning) this.showWarning(data.warning);
       } else {
-        this.showError(data.error || 'Capture failed');
+        const details = (data.details || []).map(d => d.message).join('; ');
+        this.showError(details || data.error || 'Capture failed');
       }
 
     } catch (error) {
@@ -180,11 +215,14 @@ class SecureCapture {
     }
   }
 
-  handleCaptureSuccess(phone, code) {
-    // Add to local preview
+  handleCaptureSuccess(data, code) {
+    // Add to local preview (masked by the server)
+    if (this.sessionData.some(item => item.id === data.id)) return; // Already arrived as an event
     this.sessionData.push({
-      phone: phone.replace(/(\d{3})\d{4}(\d{4})/, '$1****$2'), // Masked for display
+      id: data.id,
+      phone: data.phone,
       code: code,
+      status: 'new',
       timestamp: new Date().toLocaleTimeString()
     });
 
@@ -208,6 +246,129 @@ class SecureCapture {
     this.fetchCSRFToken();
   }
 
+  async previewImport(e) {
+    e.preventDefault();
+
+    const file = document.getElementById('importFile').files[0];
+    if (!file) return;
+
+    const btn = document.getElementById('importPreviewBtn');
+    btn.disabled = true;
+    btn.querySelector('.btn-text').textContent = 'Checking...';
+
+    try {
+      const content = await file.text();
+      const contentType = /\.tsv$/i.test(file.name) ? 'text/tab-separated-values' : 'text/csv';
+      const data = await this.sendImport(content, contentType, 'dryRun=true');
+
+      if (!data) return;
+
+      this.pendingImport = data.confirmToken ? { content, contentType, token: data.confirmToken } : null;
+      this.renderImportReport(data);
+
+      document.getElementById('importConfirmBtn').classList.toggle('hidden', !this.pendingImport);
+      document.getElementById('importCancelBtn').classList.remove('hidden');
+
+    } catch (error) {
+      this.showError('Could not read the file');
+    } finally {
+      btn.disabled = false;
+      btn.querySelector('.btn-text').textContent = 'Preview Import';
+    }
+  }
+
+  async confirmImport() {
+    if (!this.pendingImport) return;
+
+    const btn = document.getElementById('importConfirmBtn');
+    btn.disabled = true;
+
+    try {
+      const { content, contentType, token } = this.pendingImport;
+      const data = await this.sendImport(content, contentType, `confirmToken=${encodeURIComponent(token)}`);
+
+      if (!data) return;
+
+      this.resetImport();
+      document.getElementById('importForm').reset();
+
+      const summary = document.getElementById('importSummary');
+      summary.textContent = `Imported ${data.imported} capture${data.imported === 1 ? '' : 's'} securely`;
+      summary.classList.remove('hidden');
+
+      if (this.can('capture:read')) this.loadSessionData();
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  /**
+   * POST the file; returns the parsed body, or null after showing the error
+   */
+  async sendImport(content, contentType, params) {
+    try {
+      const response = await fetch(`/api/capture/import?${params}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': contentType,
+          'CSRF-Token': this.csrfToken
+        },
+        credentials: 'include',
+        body: content
+      });
+
+      const data = await response.json();
+      this.fetchCSRFToken();
+
+      if (response.ok) return data;
+
+      // Changed since preview: show the fresh report and require another preview
+      if (data.code === 'IMPORT_CHANGED') {
+        this.pendingImport = null;
+        this.renderImportReport(data);
+        document.getElementById('importConfirmBtn').classList.add('hidden');
+      }
+      this.showError(data.error || 'Import failed');
+      return null;
+
+    } catch (error) {
+      this.showError('Network error. Please retry.');
+      return null;
+    }
+  }
+
+  renderImportReport(data) {
+    const { summary, rows } = data;
+    const summaryEl = document.getElementById('importSummary');
+    const report = document.getElementById('importReport');
+
+    summaryEl.textContent = `${summary.rows} rows: ${summary.valid} ready to import, ` +
+      `${summary.invalid} invalid, ${summary.duplicate} duplicate`;
+    summaryEl.classList.remove('hidden');
+
+    report.innerHTML = rows.map(row => `
+      <div class="preview-item import-row-${row.status}">
+        <div class="preview-info">
+          <span class="preview-phone">${this.escapeHtml(row.phone || '(invalid number)')}</span>
+          <span class="preview-time">Line ${row.line}</span>
+        </div>
+        <span class="import-row-errors">${row.errors.length > 0 ? row.errors.map(e => this.escapeHtml(e)).join('<br>') : '✓ Ready'}</span>
+      </div>
+    `).join('');
+    report.classList.remove('hidden');
+  }
+
+  resetImport() {
+    this.pendingImport = null;
+    ['importConfirmBtn', 'importCancelBtn', 'importReport', 'importSummary'].forEach((id) => {
+      document.getElementById(id).classList.add('hidden');
+    });
+  }
+
+  phoneDigits(value) {
+    return value.replace(/[^\d+]/g, '');
+  }
+
   updatePreview() {
     const container = document.getElementById('dataPreview');
     
@@ -222,17 +383,135 @@ class SecureCapture {
       return;
     }
 
+    const actions = this.can('capture:create') ? `
+        <div class="preview-actions">
+          <button type="button" class="btn-link" data-action="edit">Edit</button>
+          <button type="button" class="btn-link" data-action="void">Void</button>
+        </div>` : '';
+
     container.innerHTML = this.sessionData.map(item => `
-      <div class="preview-item">
+      <div class="preview-item" data-id="${item.id}">
         <div class="preview-info">
-          <span class="preview-phone">${item.phone}</span>
+          <span class="preview-phone">${this.escapeHtml(item.phone)}</span>
           <span class="preview-time">${item.timestamp}</span>
         </div>
-        <span class="preview-code">${item.code}</span>
+        <span class="preview-code">${this.escapeHtml(item.code)}</span>
+        ${item.status && item.status !== 'new' ? `<span class="preview-status status-${this.escapeHtml(item.status)}">${this.escapeHtml(item.status)}</span>` : ''}${actions}
       </div>
     `).join('');
   }
 
+  handlePreviewAction(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const itemEl = button.closest('.preview-item');
+    const item = this.sessionData.find(entry => String(entry.id) === itemEl.dataset.id);
+    if (!item) return;
+
+    if (button.dataset.action === 'edit') this.startEdit(itemEl);
+    else if (button.dataset.action === 'void') this.voidCapture(item);
+    else if (button.dataset.action === 'cancel-edit') this.updatePreview();
+  }
+
+  /**
+   * Swap a preview row for a double-entry form; the number is entered
+   * again in full since the preview only holds the masked form
+   */
+  startEdit(itemEl) {
+    this.updatePreview(); // One edit at a time
+    const row = document.querySelector(`.preview-item[data-id="${itemEl.dataset.id}"]`);
+    const item = this.sessionData.find(entry => String(entry.id) === row.dataset.id);
+
+    row.innerHTML = `
+      <form class="secure-form preview-edit">
+        <input type="tel" name="phoneNumber" required placeholder="${this.escapeHtml(item.phone)}" autocomplete="off" aria-label="Phone number">
+        <input type="tel" name="confirmPhoneNumber" required placeholder="Confirm phone number" autocomplete="off" aria-label="Confirm phone number">
+        <input type="text" name="safetyCode" required value="${this.escapeHtml(item.code)}" autocomplete="off" aria-label="Safety code" style="text-transform: uppercase;">
+        <input type="text" name="confirmSafetyCode" required placeholder="Confirm safety code" autocomplete="off" aria-label="Confirm safety code" style="text-transform: uppercase;">
+        <div class="preview-actions">
+          <button type="submit" class="btn-link">Save</button>
+          <button type="button" class="btn-link" data-action="cancel-edit">Cancel</button>
+        </div>
+      </form>
+    `;
+    row.querySelector('[name="phoneNumber"]').focus();
+  }
+
+  async saveEdit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const id = form.closest('.preview-item').dataset.id;
+    const field = name => form.elements[name].value.trim();
+    const phoneNumber = field('phoneNumber');
+    const safetyCode = field('safetyCode').toUpperCase();
+
+    if (this.phoneDigits(phoneNumber) !== this.phoneDigits(field('confirmPhoneNumber'))) {
+      this.showError('Phone numbers do not match');
+      return;
+    }
+    if (safetyCode !== field('confirmSafetyCode').toUpperCase()) {
+      this.showError('Safety codes do not match');
+      return;
+    }
+
+    const data = await this.sendCaptureChange(id, 'PATCH', {
+      phoneNumber,
+      confirmPhoneNumber: field('confirmPhoneNumber'),
+      safetyCode,
+      confirmSafetyCode: field('confirmSafetyCode').toUpperCase()
+    });
+    if (!data) return;
+
+    const item = this.sessionData.find(entry => String(entry.id) === id);
+    item.phone = data.phone;
+    item.code = safetyCode;
+    this.updatePreview();
+    if (data.warning) this.showWarning(data.warning);
+  }
+
+  async voidCapture(item) {
+    if (!window.confirm(`Void the capture for ${item.phone}? It will not be messaged.`)) return;
+
+    const data = await this.sendCaptureChange(item.id, 'DELETE');
+    if (!data) return;
+
+    this.sessionData = this.sessionData.filter(entry => entry.id !== item.id);
+    this.updatePreview();
+    this.updateStats();
+  }
+
+  /**
+   * PATCH or DELETE one capture; returns the parsed body, or null after
+   * showing the error
+   */
+  async sendCaptureChange(id, method, payload) {
+    try {
+      const response = await fetch(`/api/capture/${encodeURIComponent(id)}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'CSRF-Token': this.csrfToken
+        },
+        credentials: 'include',
+        body: payload ? JSON.stringify(payload) : undefined
+      });
+
+      const data = await response.json();
+      this.fetchCSRFToken();
+
+      if (response.ok) return data;
+
+      const details = (data.details || []).map(d => d.message).join('; ');
+      this.showError(details || data.error || 'Update failed');
+      return null;
+
+    } catch (error) {
+      this.showError('Network error. Please retry.');
+      return null;
+    }
+  }
+
   updateStats() {
     document.getElementById('captureCount').textContent = this.sessionData.length;
   }
@@ -243,33 +522,6 @@ class SecureCapture {
     document.getElementById('footerSessionId').textContent = sessionId;
   }
 
-  startCountdown() {
-    this.countdownInterval = setInterval(() => {
-      const remaining = this.sessionExpiry - Date.now();
-      
-      if (remaining <= 0) {
-        clearInterval(this.countdownInterval);
-        window.sessionExpired = true;
-        alert('Session expired. All data has been securely purged.');
-        this.logout();
-        return;
-      }
-
-      const minutes = Math.floor(remaining / 60000);
-      const seconds = Math.floor((remaining % 60000) / 1000);
-      const formatted = `${minutes}:${seconds.toString().padStart(2, '0')}`;
-      
-      document.getElementById('countdown').textContent = formatted;
-      document.getElementById('sessionTimer').textContent = formatted;
-
-      // Warning at 5 minutes
-      if (minutes === 5 && seconds === 0) {
-        this.showWarning('Session expires in 5 minutes. Complete your tasks soon.');
-      }
-
-    }, 1000);
-  }
-
   async loadSessionData() {
     try {
       const response = await fetch('/api/capture/current', {
@@ -280,8 +532,10 @@ class SecureCapture {
         const data = await response.json();
         if (data.captures && data.captures.length > 0) {
           this.sessionData = data.captures.map(c => ({
-            phone: c.phoneNumber.replace(/(\d{3})\d{4}(\d{4})/, '$1****$2'),
+            id: c.id,
+            phone: c.maskedPhone,
             code: c.safetyCode,
+            status: c.status,
             timestamp: new Date(c.createdAt).toLocaleTimeString()
           }));
           this.updatePreview();
@@ -292,48 +546,6 @@ class SecureCapture {
       console.error('Failed to load session data');
     }
   }
-
-  showError(message) {
-    // Create error toast
-    const toast = document.createElement('div');
-    toast.className = 'error-toast';
-    toast.innerHTML = `
-      <span class="error-icon">⚠️</span>
-      <span>${message}</span>
-    `;
-    document.body.appendChild(toast);
-    
-    setTimeout(() => toast.remove(), 5000);
-  }
-
-  showWarning(message) {
-    const toast = document.createElement('div');
-    toast.className = 'warning-toast';
-    toast.innerHTML = `
-      <span class="warning-icon">⏰</span>
-      <span>${message}</span>
-    `;
-    document.body.appendChild(toast);
-  }
-
-  async logout() {
-    clearInterval(this.countdownInterval);
-    
-    try {
-      await fetch('/api/auth/logout', {
-        method: 'POST',
-        headers: {
-          'CSRF-Token': this.csrfToken
-        },
-        credentials: 'include'
-      });
-    } catch (error) {
-      console.error('Logout error');
-    } finally {
-      sessionStorage.clear();
-      window.location.href = '/pages/login.html';
-    }
-  }
 }
 
 // Initialize
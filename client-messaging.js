@@ -0,0 +1,632 @@
+/**
+ * Secure Messaging Handler
+ * Compose from a template, pick recipients, confirm, then follow delivery
+ * (auth and session handling in session.js)
+ */
+
+const PREVIEW_DELAY = 400; // Debounce for live counts while typing
+const RESULTS_POLL_INTERVAL = 5 * 1000;
+const RESULTS_POLL_LIMIT = 10 * 60 * 1000; // Receipts may never arrive for some numbers
+
+// Statuses a recipient's message won't leave; 'sent' still awaits its receipt
+const FINAL_STATUSES = ['failed', 'dead', 'suppressed', 'skipped', 'cancelled'];
+
+class SecureMessaging extends SecureSession {
+  constructor() {
+    super();
+    this.templates = [];
+    this.recipients = []; // Unsent captures of this session
+    this.recipientsLoaded = false;
+    this.previewTimer = null;
+    this.previewSeq = 0; // Drops count updates that arrive out of order
+    this.pendingSend = null; // Payload shown in the confirmation step
+    this.batch = null; // { id, startedAt, rows: Map captureId -> result row }
+    this.resultsPoll = null;
+    this.init();
+  }
+
+  async init() {
+    await this.startSession();
+    this.setupEventListeners();
+    if (this.can('message:send')) {
+      await this.loadTemplates();
+    }
+    if (this.can('capture:read')) {
+      this.loadRecipients();
+    }
+    this.subscribeEvents();
+  }
+
+  /**
+   * Captures from other tabs change who can be messaged; delivery events
+   * drive the results table
+   */
+  handleEvents(on) {
+    on('capture.added', (data) => {
+      if (this.recipients.some(item => item.id === data.id)) return;
+      // New arrivals wait to be picked, so a reviewed send doesn't grow
+      this.recipients.push({
+        id: data.id,
+        phone: data.phone,
+        selected: false,
+        timestamp: new Date(data.createdAt).toLocaleTimeString()
+      });
+      this.renderRecipients();
+    });
+
+    on('capture.updated', (data) => {
+      const item = this.recipients.find(entry => entry.id === data.id);
+      if (!item) return;
+      item.phone = data.phone;
+      this.renderRecipients();
+    });
+
+    on('capture.voided', (data) => this.dropRecipient(data.id));
+    on('capture.imported', () => this.loadRecipients());
+
+    on('delivery.status', (data) => {
+      // Claimed by a send (here or in another tab)
+      this.dropRecipient(data.captureId);
+
+      const row = this.findResultRow(data);
+      if (!row) return;
+      if (data.batchId) {
+        row.status = data.status;
+        row.deliveryId = data.deliveryId || row.deliveryId;
+        row.nextAttemptAt = data.nextAttemptAt || null;
+      } else {
+        row.receipt = data.status; // Delivery receipt from the provider
+      }
+      this.renderResults();
+    });
+  }
+
+  resync() {
+    if (this.can('capture:read')) this.loadRecipients();
+    this.pollResults();
+  }
+
+  applyPermissions() {
+    super.applyPermissions();
+
+    const denied = document.getElementById('messagingDenied');
+    if (denied) denied.classList.toggle('hidden', this.can('message:send'));
+  }
+
+  setupEventListeners() {
+    const form = document.getElementById('composeForm');
+    if (form) {
+      form.addEventListener('submit', (e) => this.reviewSend(e));
+      // Any change invalidates the reviewed send and the counts
+      form.addEventListener('input', () => this.schedulePreview());
+    }
+
+    const messageText = document.getElementById('messageText');
+    messageText.addEventListener('input', () => {
+      document.getElementById('messageLength').textContent = `${Array.from(messageText.value).length} / 1600`;
+    });
+
+    document.getElementById('templateSelect').addEventListener('change', () => {
+      this.renderTemplateFields();
+      this.schedulePreview();
+    });
+
+    const list = document.getElementById('recipientList');
+    list.addEventListener('change', (e) => {
+      const item = this.recipients.find(entry => String(entry.id) === e.target.dataset.id);
+      if (!item) return;
+      item.selected = e.target.checked;
+      this.updateSelectedCount();
+      this.schedulePreview();
+    });
+
+    document.getElementById('selectAllBtn').addEventListener('click', () => this.selectAll(true));
+    document.getElementById('selectNoneBtn').addEventListener('click', () => this.selectAll(false));
+
+    document.getElementById('confirmSendBtn').addEventListener('click', () => this.confirmSend());
+    document.getElementById('cancelSendBtn').addEventListener('click', () => this.hideConfirm());
+  }
+
+  async loadTemplates() {
+    try {
+      const response = await fetch('/api/messaging/templates', {
+        credentials: 'include'
+      });
+      if (!response.ok) return;
+
+      const data = await response.json();
+      this.templates = data.templates || [];
+
+      const select = document.getElementById('templateSelect');
+      select.innerHTML = this.templates.map(template => `
+        <option value="${template.id}">${this.escapeHtml(template.name)}</option>
+      `).join('');
+
+      const preferred = this.templates.find(template => template.name === 'default');
+      if (preferred) select.value = String(preferred.id);
+      this.renderTemplateFields();
+
+    } catch (error) {
+      this.showError('Failed to load templates');
+    }
+  }
+
+  selectedTemplate() {
+    const id = document.getElementById('templateSelect').value;
+    return this.templates.find(template => String(template.id) === id) || null;
+  }
+
+  /**
+   * Message box when the template has {{message}}, plus an input for each
+   * other variable (blank uses the template's default)
+   */
+  renderTemplateFields() {
+    const template = this.selectedTemplate();
+    const variables = template ? template.variables : {};
+
+    document.getElementById('templateHint').textContent = template?.description || '';
+    document.getElementById('messageGroup').classList.toggle('hidden', !Object.hasOwn(variables, 'message'));
+
+    document.getElementById('variableFields').innerHTML = Object.entries(variables)
+      .filter(([name]) => name !== 'message')
+      .map(([name, defaultValue]) => `
+        <div class="form-group">
+          <label for="var-${this.escapeHtml(name)}">${this.escapeHtml(name)}</label>
+          <div class="input-wrapper">
+            <input type="text" id="var-${this.escapeHtml(name)}" data-variable="${this.escapeHtml(name)}" maxlength="500"
+              placeholder="${this.escapeHtml(defaultValue ?? 'Required')}" autocomplete="off">
+          </div>
+        </div>
+      `).join('');
+  }
+
+  /**
+   * Request body for preview and send, or null until recipients are picked
+   */
+  buildPayload() {
+    const template = this.selectedTemplate();
+    const captureIds = this.recipients.filter(item => item.selected).map(item => item.id);
+    if (!template || captureIds.length === 0) return null;
+
+    const payload = { templateId: template.id, captureIds };
+
+    const message = document.getElementById('messageText').value.trim();
+    if (Object.hasOwn(template.variables, 'message') && message) payload.message = message;
+
+    const overrides = {};
+    document.querySelectorAll('#variableFields [data-variable]').forEach((input) => {
+      if (input.value.trim()) overrides[input.dataset.variable] = input.value.trim();
+    });
+    if (Object.keys(overrides).length > 0) payload.overrides = overrides;
+
+    return payload;
+  }
+
+  /**
+   * Variables with no default that are still blank
+   */
+  missingVariables(payload) {
+    const template = this.selectedTemplate();
+    return Object.entries(template.variables)
+      .filter(([, defaultValue]) => defaultValue === null)
+      .filter(([name]) => (name === 'message' ? !payload.message : !payload.overrides?.[name]))
+      .map(([name]) => name);
+  }
+
+  schedulePreview() {
+    this.hideConfirm();
+    clearTimeout(this.previewTimer);
+    this.previewTimer = setTimeout(() => this.updateCounts(), PREVIEW_DELAY);
+  }
+
+  /**
+   * Live counts from the server's preview: the exact messages each
+   * recipient would get, safety code included
+   */
+  async updateCounts() {
+    const counts = document.getElementById('messageCounts');
+    const payload = this.buildPayload();
+    const seq = ++this.previewSeq;
+
+    counts.classList.remove('counts-error');
+    if (!payload) {
+      counts.textContent = this.templates.length === 0
+        ? 'No active templates'
+        : 'Select recipients to see segment counts';
+      return;
+    }
+
+    const missing = this.missingVariables(payload);
+    if (missing.length > 0) {
+      counts.textContent = `Fill in ${missing.join(', ')} to see segment counts`;
+      return;
+    }
+
+    const result = await this.postJSON('/api/messaging/preview', payload);
+    if (seq !== this.previewSeq || !result) return;
+
+    const { response, data } = result;
+    if (!response.ok) {
+      counts.textContent = this.errorText(data, 'Preview failed');
+      counts.classList.add('counts-error');
+      return;
+    }
+    this.renderCounts(data);
+  }
+
+  renderCounts(data) {
+    const counts = document.getElementById('messageCounts');
+    const eligible = data.recipients.filter(recipient => recipient.status === 'eligible');
+
+    if (eligible.length === 0) {
+      counts.textContent = 'None of the selected recipients can be messaged';
+      return;
+    }
+
+    // Safety codes differ in length, so messages can differ in segments
+    const longest = eligible.reduce((max, recipient) => (recipient.units > max.units ? recipient : max));
+    const varies = eligible.some(recipient => recipient.segments !== longest.segments);
+    const forcing = Array.from(new Set(eligible.flatMap(recipient => recipient.nonGsmCharacters)));
+    const { totals } = data;
+
+    counts.innerHTML = `
+      <div>${longest.characters} characters · ${varies ? 'up to ' : ''}${longest.segments} segment${longest.segments === 1 ? '' : 's'} (${this.escapeHtml(longest.encoding)})</div>
+      <div>${totals.segments} segments for ${totals.recipients} recipient${totals.recipients === 1 ? '' : 's'} · about ${totals.estimatedCost} ${this.escapeHtml(totals.currency)}</div>
+      ${forcing.length > 0 ? `<div class="counts-note">Sent as UCS-2 (fewer characters per segment) because of: ${forcing.map(char => this.escapeHtml(char)).join(' ')}</div>` : ''}
+    `;
+  }
+
+  /**
+   * Confirmation step: a fresh preview of exactly what will be sent
+   */
+  async reviewSend(e) {
+    e.preventDefault();
+
+    const payload = this.buildPayload();
+    if (!payload) {
+      this.showError('Select at least one recipient');
+      return;
+    }
+    const missing = this.missingVariables(payload);
+    if (missing.length > 0) {
+      this.showError(`Fill in ${missing.join(', ')}`);
+      return;
+    }
+
+    const btn = document.getElementById('reviewBtn');
+    btn.disabled = true;
+
+    try {
+      const result = await this.postJSON('/api/messaging/preview', payload);
+      if (!result) return;
+
+      const { response, data } = result;
+      if (!response.ok) {
+        this.showError(this.errorText(data, 'Preview failed'));
+        return;
+      }
+      this.renderCounts(data);
+      this.showConfirm(payload, data);
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  showConfirm(payload, data) {
+    const { totals } = data;
+    const lines = [
+      `${totals.recipients} recipient${totals.recipients === 1 ? '' : 's'}, ${totals.segments} segments, about ${totals.estimatedCost} ${totals.currency}`
+    ];
+    if (totals.deferred > 0) lines.push(`${totals.deferred} held until their quiet hours end`);
+    if (totals.landline > 0) lines.push(`${totals.landline} landline number(s), likely undeliverable`);
+    if (totals.suppressed > 0) lines.push(`${totals.suppressed} opted out, will not be messaged`);
+    if (totals.skipped > 0) lines.push(`${totals.skipped} skipped`);
+
+    // The server leaves {{safetyCode}} in the preview; each recipient gets their own
+    document.getElementById('confirmMessage').textContent = data.message;
+    document.getElementById('confirmTotals').innerHTML = lines.map(line => `<li>${this.escapeHtml(line)}</li>`).join('');
+
+    const confirmBtn = document.getElementById('confirmSendBtn');
+    confirmBtn.disabled = totals.recipients === 0;
+    confirmBtn.querySelector('.btn-text').textContent = `Send ${totals.recipients} message${totals.recipients === 1 ? '' : 's'}`;
+
+    this.pendingSend = payload;
+    document.getElementById('sendConfirm').classList.remove('hidden');
+  }
+
+  hideConfirm() {
+    this.pendingSend = null;
+    document.getElementById('sendConfirm').classList.add('hidden');
+  }
+
+  async confirmSend() {
+    if (!this.pendingSend) return;
+
+    const btn = document.getElementById('confirmSendBtn');
+    btn.disabled = true;
+
+    try {
+      const result = await this.postJSON('/api/messaging/send', this.pendingSend);
+      this.fetchCSRFToken();
+      if (!result) return;
+
+      const { response, data } = result;
+      if (!response.ok) {
+        this.showError(this.errorText(data, 'Message sending failed'));
+        return;
+      }
+
+      this.hideConfirm();
+      this.showResults(data);
+      this.loadRecipients(); // Sent captures are no longer new
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  /**
+   * POST JSON with the CSRF token; { response, data }, or null after
+   * showing a network error. An ended session goes back to login.
+   */
+  async postJSON(url, payload) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'CSRF-Token': this.csrfToken
+        },
+        credentials: 'include',
+        body: JSON.stringify(payload)
+      });
+      const data = await response.json();
+
+      if (response.status === 401) {
+        this.handleSessionExpired(data.error);
+        return null;
+      }
+      return { response, data };
+
+    } catch (error) {
+      this.showError('Network error. Please retry.');
+      return null;
+    }
+  }
+
+  errorText(data, fallback) {
+    const details = (data.details || []).map(d => d.message || d.reason).filter(Boolean).join('; ');
+    return [data.error, details].filter(Boolean).join(': ') || fallback;
+  }
+
+  async loadRecipients() {
+    try {
+      const response = await fetch('/api/capture/current', {
+        credentials: 'include'
+      });
+      if (!response.ok) return;
+
+      const data = await response.json();
+      const previous = new Map(this.recipients.map(item => [item.id, item.selected]));
+
+      // All selected at first (the server's default); later loads keep choices
+      this.recipients = (data.captures || []).map(c => ({
+        id: c.id,
+        phone: c.maskedPhone,
+        selected: !this.recipientsLoaded || (previous.get(c.id) ?? false),
+        timestamp: new Date(c.createdAt).toLocaleTimeString()
+      }));
+      this.recipientsLoaded = true;
+      this.renderRecipients();
+      this.schedulePreview();
+
+    } catch (error) {
+      console.error('Failed to load recipients');
+    }
+  }
+
+  dropRecipient(id) {
+    const item = this.recipients.find(entry => entry.id === id);
+    if (!item) return;
+
+    this.recipients = this.recipients.filter(entry => entry !== item);
+    this.renderRecipients();
+    if (item.selected) this.schedulePreview();
+  }
+
+  selectAll(selected) {
+    this.recipients.forEach((item) => { item.selected = selected; });
+    this.renderRecipients();
+    this.schedulePreview();
+  }
+
+  renderRecipients() {
+    const container = document.getElementById('recipientList');
+    this.updateSelectedCount();
+
+    if (this.recipients.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <span class="empty-icon">📭</span>
+          <p>No unsent captures in this session</p>
+          <span>Capture numbers first, then message them here</span>
+        </div>
+      `;
+      return;
+    }
+
+    container.innerHTML = this.recipients.map(item => `
+      <label class="preview-item recipient-item">
+        <input type="checkbox" data-id="${item.id}" ${item.selected ? 'checked' : ''} aria-label="Send to ${this.escapeHtml(item.phone)}">
+        <div class="preview-info">
+          <span class="preview-phone">${this.escapeHtml(item.phone)}</span>
+          <span class="preview-time">${item.timestamp}</span>
+        </div>
+      </label>
+    `).join('');
+  }
+
+  updateSelectedCount() {
+    document.getElementById('selectedCount').textContent = this.recipients.filter(item => item.selected).length;
+  }
+
+  /**
+   * Results table for a send: one row per recipient, kept current by
+   * delivery events (polling while the stream is down)
+   */
+  showResults(data) {
+    const phoneOf = id => this.recipients.find(item => item.id === id)?.phone;
+
+    this.batch = {
+      id: data.batchId,
+      startedAt: Date.now(),
+      rows: new Map(data.results.map(result => [result.captureId, {
+        captureId: result.captureId,
+        phone: result.phone || phoneOf(result.captureId) || `Capture ${result.captureId}`,
+        status: result.status,
+        nextAttemptAt: result.scheduledFor || null,
+        reason: result.reason || null,
+        deliveryId: null,
+        receipt: null
+      }]))
+    };
+
+    clearInterval(this.resultsPoll);
+    document.getElementById('resultsCard').classList.remove('hidden');
+    this.renderResults();
+
+    // Events may have gone out before the response arrived
+    if (this.batch.id) {
+      this.pollResults();
+      this.startResultsPoll();
+    }
+  }
+
+  findResultRow(data) {
+    const row = this.batch?.rows.get(data.captureId);
+    if (!row) return null;
+    if (data.batchId) return data.batchId === this.batch.id ? row : null;
+    // Receipts carry the delivery ID rather than the batch
+    return !row.deliveryId || row.deliveryId === data.deliveryId ? row : null;
+  }
+
+  isFinal(row) {
+    return Boolean(row.receipt) || FINAL_STATUSES.includes(row.status);
+  }
+
+  startResultsPoll() {
+    this.resultsPoll = setInterval(() => {
+      const rows = Array.from(this.batch.rows.values());
+      if (rows.every(row => this.isFinal(row)) || Date.now() - this.batch.startedAt > RESULTS_POLL_LIMIT) {
+        clearInterval(this.resultsPoll);
+        return;
+      }
+      // The event stream pushes progress while it's up
+      if (this.events && this.events.readyState === EventSource.OPEN) return;
+      this.pollResults();
+    }, RESULTS_POLL_INTERVAL);
+  }
+
+  /**
+   * Batch progress, then receipts for messages already sent
+   */
+  async pollResults() {
+    const batch = this.batch;
+    if (!batch || !batch.id) return;
+
+    try {
+      const response = await fetch(`/api/messaging/batches/${encodeURIComponent(batch.id)}`, {
+        credentials: 'include'
+      });
+      if (response.status === 401) {
+        this.refreshSession();
+        return;
+      }
+      if (!response.ok) return;
+
+      const data = await response.json();
+      data.recipients.forEach((recipient) => {
+        const row = batch.rows.get(recipient.captureId);
+        if (!row) return;
+        Object.assign(row, {
+          status: recipient.status,
+          nextAttemptAt: recipient.nextAttemptAt,
+          reason: recipient.lastError,
+          deliveryId: recipient.deliveryId
+        });
+      });
+
+      const awaiting = Array.from(batch.rows.values()).filter(row => row.status === 'sent' && row.deliveryId && !row.receipt);
+      await Promise.all(awaiting.map(async (row) => {
+        const receipt = await fetch(`/api/messaging/status/${encodeURIComponent(row.deliveryId)}`, {
+          credentials: 'include'
+        });
+        if (!receipt.ok) return;
+        const { status } = await receipt.json();
+        if (status.status !== 'sent') row.receipt = status.status;
+      }));
+
+      if (batch === this.batch) this.renderResults();
+
+    } catch (error) {
+      // Offline: try again on the next interval
+    }
+  }
+
+  resultStatus(row) {
+    return row.receipt || row.status;
+  }
+
+  resultDetail(row) {
+    const time = iso => new Date(iso).toLocaleTimeString();
+
+    switch (this.resultStatus(row)) {
+      case 'queued':
+        return row.nextAttemptAt && new Date(row.nextAttemptAt) > new Date()
+          ? `Scheduled for ${time(row.nextAttemptAt)}`
+          : 'Waiting to send';
+      case 'sending':
+        return 'Sending';
+      case 'deferred':
+        return `Held for quiet hours until ${time(row.nextAttemptAt)}`;
+      case 'retrying':
+        return `Retrying at ${time(row.nextAttemptAt)}`;
+      case 'sent':
+        return 'Awaiting delivery receipt';
+      case 'delivered':
+        return 'Delivered';
+      case 'suppressed':
+        return 'Recipient opted out';
+      case 'cancelled':
+        return 'Cancelled';
+      default:
+        return row.reason || '';
+    }
+  }
+
+  renderResults() {
+    const rows = Array.from(this.batch.rows.values());
+    const byStatus = rows.reduce((counts, row) => {
+      const status = this.resultStatus(row);
+      counts[status] = (counts[status] || 0) + 1;
+      return counts;
+    }, {});
+    const finished = rows.filter(row => this.isFinal(row)).length;
+
+    document.getElementById('resultsSummary').textContent =
+      `${finished} of ${rows.length} finished · ` +
+      Object.entries(byStatus).map(([status, count]) => `${count} ${status}`).join(', ');
+
+    document.getElementById('resultsBody').innerHTML = rows.map(row => `
+      <tr>
+        <td class="preview-phone">${this.escapeHtml(row.phone)}</td>
+        <td><span class="preview-status status-${this.escapeHtml(this.resultStatus(row))}">${this.escapeHtml(this.resultStatus(row))}</span></td>
+        <td>${this.escapeHtml(this.resultDetail(row))}</td>
+      </tr>
+    `).join('');
+  }
+}
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+  new SecureMessaging();
+});
@@ -0,0 +1,315 @@
+/**
+ * Signed-in page base
+ * Auth check, CSRF token, permissions, session countdown and the live
+ * event stream, shared by the capture and messaging pages
+ */
+
+class SecureSession {
+  constructor() {
+    this.csrfToken = null;
+    this.permissions = [];
+    this.countdownInterval = null;
+    this.sessionPollInterval = null;
+    this.sessionRefreshing = false;
+    this.events = null; // EventSource on /api/events
+    this.session = null; // Remaining time as reported by /api/auth/status
+    this.sessionDeadline = null; // Local clock time the session ends
+  }
+
+  /**
+   * Common start-up; pages run their own setup after it
+   */
+  async startSession() {
+    await this.checkAuth();
+    await this.fetchCSRFToken();
+    this.setupSessionControls();
+    this.startCountdown();
+  }
+
+  setupSessionControls() {
+    const logoutBtn = document.getElementById('logoutBtn');
+    if (logoutBtn) {
+      logoutBtn.addEventListener('click', () => this.logout());
+    }
+
+    const extendBtn = document.getElementById('extendSessionBtn');
+    if (extendBtn) {
+      extendBtn.addEventListener('click', () => this.extendSession());
+    }
+  }
+
+  /**
+   * Live updates from the server: session timing here, page events via
+   * handleEvents. EventSource reconnects by itself and resumes with
+   * Last-Event-ID.
+   */
+  subscribeEvents() {
+    if (!window.EventSource) return; // Status polling still covers the session
+
+    this.events = new EventSource('/api/events', { withCredentials: true });
+    const on = (type, handler) => this.events.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+
+    this.handleEvents(on);
+
+    on('session.status', (data) => this.applySession(data));
+    on('session.warning', (data) => this.applySession(data));
+    on('session.ended', (data) => this.handleSessionExpired(this.sessionEndMessage(data.reason)));
+
+    // Replay wasn't possible (server restart, long disconnect): reload
+    on('resync', () => {
+      this.resync();
+      this.refreshSession();
+    });
+
+    // A refused reconnect (e.g. 401) closes the stream for good: find out why
+    this.events.addEventListener('error', () => {
+      if (this.events.readyState !== EventSource.CLOSED) return;
+      this.refreshSession();
+      setTimeout(() => {
+        if (!window.sessionExpired) this.subscribeEvents();
+      }, 10 * 1000);
+    });
+  }
+
+  /**
+   * Page events; on(type, handler) registers one
+   */
+  handleEvents(on) {}
+
+  /**
+   * Events were missed and can't be replayed: reload page data
+   */
+  resync() {}
+
+  sessionEndMessage(reason) {
+    const messages = {
+      idle: 'Session expired due to inactivity.',
+      absolute: 'Session reached its maximum length.',
+      logout: 'You signed out in another window.',
+      revoked: 'An administrator ended this session.'
+    };
+    return messages[reason] || 'Your session was ended.';
+  }
+
+  async checkAuth() {
+    try {
+      const response = await fetch('/api/auth/status', {
+        credentials: 'include'
+      });
+      
+      if (!response.ok) {
+        window.location.href = '/pages/login.html';
+        return;
+      }
+      
+      const data = await response.json();
+      document.getElementById('currentUser').textContent = data.username;
+      this.permissions = data.permissions || [];
+      this.applyPermissions();
+      this.applySession(data.session);
+      
+    } catch (error) {
+      window.location.href = '/pages/login.html';
+    }
+  }
+
+  can(permission) {
+    return this.permissions.includes(permission);
+  }
+
+  /**
+   * Hide controls the server would refuse (server still enforces)
+   */
+  applyPermissions() {
+    document.querySelectorAll('[data-permission]').forEach(el => {
+      el.classList.toggle('hidden', !this.can(el.dataset.permission));
+    });
+  }
+
+  async fetchCSRFToken() {
+    try {
+      const response = await fetch('/api/csrf-token', {
+        credentials: 'include'
+      });
+      const data = await response.json();
+      this.csrfToken = data.csrfToken;
+      
+      const tokenField = document.getElementById('csrfToken');
+      if (tokenField) tokenField.value = this.csrfToken;
+    } catch (error) {
+      this.showError('Security token refresh failed');
+    }
+  }
+
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = String(value);
+    return div.innerHTML.replace(/"/g, '&quot;'); // Also safe inside attributes
+  }
+
+  /**
+   * Adopt the server's view of the session. Remaining time (not the
+   * server's clock) sets the local deadline, so clock skew doesn't matter.
+   */
+  applySession(session) {
+    if (!session) return;
+    this.session = session;
+    this.sessionDeadline = Date.now() + session.remaining;
+    this.renderCountdown();
+  }
+
+  /**
+   * Passive status check: doesn't count as activity on the server.
+   * Activity elsewhere (another tab, a send) shows up here as more time.
+   */
+  async refreshSession() {
+    if (this.sessionRefreshing) return;
+    this.sessionRefreshing = true;
+
+    try {
+      const response = await fetch('/api/auth/status', {
+        credentials: 'include'
+      });
+
+      if (response.status === 401) {
+        const data = await response.json().catch(() => ({}));
+        this.handleSessionExpired(data.error);
+        return;
+      }
+      if (response.ok) {
+        const data = await response.json();
+        this.applySession(data.session);
+      }
+    } catch (error) {
+      // Offline: keep counting down on the last known deadline
+    } finally {
+      this.sessionRefreshing = false;
+    }
+  }
+
+  async extendSession() {
+    const btn = document.getElementById('extendSessionBtn');
+    btn.disabled = true;
+
+    try {
+      const response = await fetch('/api/auth/session/extend', {
+        method: 'POST',
+        headers: {
+          'CSRF-Token': this.csrfToken
+        },
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (response.status === 401) {
+        this.handleSessionExpired(data.error);
+        return;
+      }
+      if (!response.ok) {
+        this.showError(data.error || 'Could not extend the session');
+        return;
+      }
+      this.applySession(data.session);
+    } catch (error) {
+      this.showError('Network error. Please retry.');
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  startCountdown() {
+    this.countdownInterval = setInterval(() => this.renderCountdown(), 1000);
+    // Fallback while the event stream is down; it pushes timing otherwise
+    this.sessionPollInterval = setInterval(() => {
+      if (this.events && this.events.readyState === EventSource.OPEN) return;
+      this.refreshSession();
+    }, 30 * 1000);
+  }
+
+  renderCountdown() {
+    if (!this.session) return;
+    const remaining = this.sessionDeadline - Date.now();
+
+    // Out of time locally: the server decides whether it really ended
+    if (remaining <= 0) {
+      this.refreshSession();
+      return;
+    }
+
+    const minutes = Math.floor(remaining / 60000);
+    const seconds = Math.floor((remaining % 60000) / 1000);
+    const formatted = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    
+    document.getElementById('countdown').textContent = formatted;
+    const timer = document.getElementById('sessionTimer');
+    if (timer) timer.textContent = formatted;
+
+    // Warning window (5 minutes by default), with an extend option while
+    // the absolute limit leaves room for one
+    const warning = document.getElementById('sessionWarning');
+    const warn = remaining <= this.session.warningTime;
+    warning.classList.toggle('hidden', !warn);
+    if (warn) {
+      document.getElementById('sessionWarningText').textContent = this.session.extendable
+        ? `Session expires in ${formatted}.`
+        : `Session reaches its maximum length in ${formatted}. Save your work and sign in again.`;
+      document.getElementById('extendSessionBtn').classList.toggle('hidden', !this.session.extendable);
+    }
+  }
+
+  handleSessionExpired(message) {
+    if (window.sessionExpired) return;
+    clearInterval(this.countdownInterval);
+    clearInterval(this.sessionPollInterval);
+    if (this.events) this.events.close();
+    window.sessionExpired = true;
+    alert(`${message || 'Session expired.'} All data has been securely purged.`);
+    sessionStorage.clear();
+    window.location.href = '/pages/login.html';
+  }
+
+  showError(message) {
+    // Create error toast
+    const toast = document.createElement('div');
+    toast.className = 'error-toast';
+    toast.innerHTML = `
+      <span class="error-icon">⚠️</span>
+      <span>${message}</span>
+    `;
+    document.body.appendChild(toast);
+    
+    setTimeout(() => toast.remove(), 5000);
+  }
+
+  showWarning(message) {
+    const toast = document.createElement('div');
+    toast.className = 'warning-toast';
+    toast.innerHTML = `
+      <span class="warning-icon">⏰</span>
+      <span>${message}</span>
+    `;
+    document.body.appendChild(toast);
+  }
+
+  async logout() {
+    clearInterval(this.countdownInterval);
+    clearInterval(this.sessionPollInterval);
+    if (this.events) this.events.close(); // Our own logout isn't news
+    window.sessionExpired = true;
+    
+    try {
+      await fetch('/api/auth/logout', {
+        method: 'POST',
+        headers: {
+          'CSRF-Token': this.csrfToken
+        },
+        credentials: 'include'
+      });
+    } catch (error) {
+      console.error('Logout error');
+    } finally {
+      sessionStorage.clear();
+      window.location.href = '/pages/login.html';
+    }
+  }
+}
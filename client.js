@@ -7,11 +7,15 @@ class SecureAuth {
   constructor() {
     this.csrfToken = null;
     this.sessionCheckInterval = null;
+    this.mfaMode = null; // 'verify' or 'enroll' while a second factor is pending
+    this.useRecoveryCode = false;
+    this.passwordPolicy = null;
     this.init();
   }
 
   async init() {
     await this.fetchCSRFToken();
+    this.fetchPasswordPolicy();
     this.setupEventListeners();
     this.checkExistingSession();
   }
@@ -33,14 +37,53 @@ class SecureAuth {
     }
   }
 
+  async fetchPasswordPolicy() {
+    try {
+      const response = await fetch('/api/auth/password-policy', {
+        credentials: 'include'
+      });
+      if (response.ok) {
+        this.passwordPolicy = await response.json();
+      }
+    } catch (error) {
+      // Meter stays hidden; the server still enforces the policy
+    }
+  }
+
   setupEventListeners() {
     const loginForm = document.getElementById('loginForm');
+    const mfaForm = document.getElementById('mfaForm');
     const togglePassword = document.querySelector('.toggle-password');
+    const toggleRecovery = document.getElementById('toggleRecoveryCode');
+    const passwordChangeForm = document.getElementById('passwordChangeForm');
+    const passwordField = document.getElementById('password');
+    const newPasswordField = document.getElementById('newPassword');
 
     if (loginForm) {
       loginForm.addEventListener('submit', (e) => this.handleLogin(e));
     }
 
+    if (mfaForm) {
+      mfaForm.addEventListener('submit', (e) => this.handleMfaSubmit(e));
+    }
+
+    if (toggleRecovery) {
+      toggleRecovery.addEventListener('click', () => this.toggleRecoveryCode());
+    }
+
+    if (passwordChangeForm) {
+      passwordChangeForm.addEventListener('submit', (e) => this.handlePasswordChange(e));
+    }
+
+    // Live strength meters driven by the server's password policy
+    if (passwordField) {
+      passwordField.addEventListener('input', () => this.renderStrength(passwordField, 'passwordStrength'));
+    }
+
+    if (newPasswordField) {
+      newPasswordField.addEventListener('input', () => this.renderStrength(newPasswordField, 'newPasswordStrength'));
+    }
+
     if (togglePassword) {
       togglePassword.addEventListener('click', () => this.togglePassword());
     }
@@ -86,7 +129,7 @@ class SecureAuth {
       const data = await response.json();
 
       if (response.ok) {
-        this.handleLoginSuccess(data);
+        this.routeAuthStep(data);
       } else {
         this.handleLoginError(data);
       }
@@ -99,6 +142,25 @@ class SecureAuth {
       btnLoader.classList.add('hidden');
       // Clear password
       document.getElementById('password').value = '';
+      this.renderStrength(document.getElementById('password'), 'passwordStrength');
+    }
+  }
+
+  /**
+   * Show whichever login step the server says comes next
+   */
+  routeAuthStep(data) {
+    // Session is regenerated between steps, so the token changes
+    if (data.csrfToken) this.csrfToken = data.csrfToken;
+
+    if (data.recoveryCodes) {
+      this.showRecoveryCodes(data);
+    } else if (data.mfaRequired) {
+      this.showMfaStep(data);
+    } else if (data.passwordChangeRequired) {
+      this.showPasswordChangeStep(data);
+    } else {
+      this.handleLoginSuccess(data);
     }
   }
 
@@ -118,6 +180,297 @@ class SecureAuth {
     return true;
   }
 
+  async showMfaStep(data) {
+    this.mfaMode = data.enrollmentRequired ? 'enroll' : 'verify';
+    this.useRecoveryCode = false;
+
+    document.getElementById('loginForm').classList.add('hidden');
+    document.getElementById('mfaForm').classList.remove('hidden');
+    document.getElementById('toggleRecoveryCode').classList.toggle('hidden', this.mfaMode === 'enroll');
+    document.getElementById('mfaCode').focus();
+
+    if (this.mfaMode === 'enroll') {
+      await this.startEnrollment();
+    }
+  }
+
+  async startEnrollment() {
+    try {
+      const response = await fetch('/api/auth/mfa/enroll', {
+        method: 'POST',
+        headers: {
+          'CSRF-Token': this.csrfToken
+        },
+        credentials: 'include'
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        this.handleMfaError(data);
+        return;
+      }
+
+      document.getElementById('mfaQrCode').src = data.qrCode;
+      document.getElementById('mfaSecret').textContent = data.secret;
+      document.getElementById('mfaEnrollment').classList.remove('hidden');
+
+    } catch (error) {
+      this.showError('Network error. Please check your connection.');
+    }
+  }
+
+  async handleMfaSubmit(e) {
+    e.preventDefault();
+
+    const codeField = document.getElementById('mfaCode');
+    const value = codeField.value.trim();
+    const btn = document.getElementById('mfaBtn');
+
+    const valid = this.useRecoveryCode
+      ? /^[A-Za-z0-9]{5}-?[A-Za-z0-9]{5}$/.test(value)
+      : /^\d{6}$/.test(value);
+
+    if (!valid) {
+      this.showError(this.useRecoveryCode
+        ? 'Recovery codes look like ABCDE-12345'
+        : 'Enter the 6-digit code from your authenticator app');
+      return;
+    }
+
+    const endpoint = this.mfaMode === 'enroll'
+      ? '/api/auth/mfa/activate'
+      : '/api/auth/mfa/verify';
+
+    btn.disabled = true;
+    btn.querySelector('.btn-loader').classList.remove('hidden');
+
+    try {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'CSRF-Token': this.csrfToken
+        },
+        credentials: 'include',
+        body: JSON.stringify(this.useRecoveryCode ? { recoveryCode: value } : { code: value })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        this.routeAuthStep(data);
+      } else {
+        this.handleMfaError(data);
+      }
+
+    } catch (error) {
+      this.showError('Network error. Please check your connection.');
+    } finally {
+      btn.disabled = false;
+      btn.querySelector('.btn-loader').classList.add('hidden');
+      codeField.value = '';
+    }
+  }
+
+  handleMfaError(data) {
+    this.showError(data.error || 'Verification failed. Please try again.');
+
+    // Pending login expired, too many attempts or the login was refused
+    // at the last step: back to the password step
+    if (['LOGIN_REQUIRED', 'MAX_SESSIONS', 'AUTH_FAILED'].includes(data.code)) {
+      this.resetToPasswordStep();
+    }
+  }
+
+  toggleRecoveryCode() {
+    const codeField = document.getElementById('mfaCode');
+    const label = document.getElementById('mfaCodeLabel');
+    const toggle = document.getElementById('toggleRecoveryCode');
+
+    this.useRecoveryCode = !this.useRecoveryCode;
+    codeField.value = '';
+
+    if (this.useRecoveryCode) {
+      label.textContent = 'Recovery Code';
+      codeField.removeAttribute('pattern');
+      codeField.maxLength = 11;
+      codeField.inputMode = 'text';
+      codeField.placeholder = 'ABCDE-12345';
+      toggle.textContent = 'Use authenticator code instead';
+    } else {
+      label.textContent = 'Authentication Code';
+      codeField.setAttribute('pattern', '\\d{6}');
+      codeField.maxLength = 6;
+      codeField.inputMode = 'numeric';
+      codeField.placeholder = '123456';
+      toggle.textContent = 'Use a recovery code instead';
+    }
+    codeField.focus();
+  }
+
+  showRecoveryCodes(data) {
+    const list = document.getElementById('recoveryCodeList');
+    list.innerHTML = '';
+    data.recoveryCodes.forEach(code => {
+      const item = document.createElement('li');
+      item.textContent = code;
+      list.appendChild(item);
+    });
+
+    document.getElementById('mfaForm').classList.add('hidden');
+    document.getElementById('recoveryCodes').classList.remove('hidden');
+
+    document.getElementById('recoveryContinue').addEventListener('click', () => {
+      const { recoveryCodes, ...next } = data;
+      list.innerHTML = '';
+      document.getElementById('recoveryCodes').classList.add('hidden');
+      this.routeAuthStep(next);
+    }, { once: true });
+  }
+
+  showPasswordChangeStep(data) {
+    const reason = document.getElementById('passwordChangeReason');
+    reason.textContent = data.code === 'PASSWORD_RESET_REQUIRED'
+      ? 'An administrator reset your password. Choose a new one to continue.'
+      : 'Your password has expired. Choose a new one to continue.';
+
+    ['loginForm', 'mfaForm', 'recoveryCodes'].forEach(id => {
+      document.getElementById(id).classList.add('hidden');
+    });
+    document.getElementById('passwordChangeForm').classList.remove('hidden');
+    document.getElementById('currentPassword').focus();
+  }
+
+  async handlePasswordChange(e) {
+    e.preventDefault();
+
+    const currentField = document.getElementById('currentPassword');
+    const newField = document.getElementById('newPassword');
+    const confirmField = document.getElementById('confirmNewPassword');
+    const btn = document.getElementById('passwordChangeBtn');
+
+    if (newField.value !== confirmField.value) {
+      this.showError('New passwords do not match');
+      confirmField.focus();
+      return;
+    }
+
+    if (this.passwordPolicy && this.evaluatePassword(newField.value).some(rule => !rule.met)) {
+      this.showError('New password does not meet the password policy');
+      newField.focus();
+      return;
+    }
+
+    btn.disabled = true;
+    btn.querySelector('.btn-loader').classList.remove('hidden');
+
+    try {
+      const response = await fetch('/api/auth/password', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'CSRF-Token': this.csrfToken
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          currentPassword: currentField.value,
+          newPassword: newField.value,
+          confirmPassword: confirmField.value
+        })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        document.getElementById('passwordChangeForm').classList.add('hidden');
+        this.routeAuthStep(data);
+      } else if (data.code === 'AUTH_REQUIRED' || data.code === 'LOGIN_REQUIRED') {
+        this.showError('Login expired. Please sign in again.');
+        document.getElementById('passwordChangeForm').classList.add('hidden');
+        this.resetToPasswordStep();
+      } else if (data.code === 'MAX_SESSIONS') {
+        this.showError(data.error);
+        document.getElementById('passwordChangeForm').classList.add('hidden');
+        this.resetToPasswordStep();
+      } else {
+        const details = Array.isArray(data.details)
+          ? ': ' + data.details.map(d => d.message || d.msg).join('; ')
+          : '';
+        this.showError((data.error || 'Password change failed') + details);
+      }
+
+    } catch (error) {
+      this.showError('Network error. Please check your connection.');
+    } finally {
+      btn.disabled = false;
+      btn.querySelector('.btn-loader').classList.add('hidden');
+      [currentField, newField, confirmField].forEach(field => { field.value = ''; });
+      this.renderStrength(newField, 'newPasswordStrength');
+    }
+  }
+
+  /**
+   * Same rules the server enforces (from /api/auth/password-policy)
+   */
+  evaluatePassword(password) {
+    const policy = this.passwordPolicy;
+    return [
+      { label: `At least ${policy.minLength} characters`, met: password.length >= policy.minLength },
+      policy.requireUppercase && { label: 'An uppercase letter', met: /[A-Z]/.test(password) },
+      policy.requireLowercase && { label: 'A lowercase letter', met: /[a-z]/.test(password) },
+      policy.requireNumbers && { label: 'A number', met: /\d/.test(password) },
+      policy.requireSpecialChars && { label: 'A special character', met: /[^A-Za-z0-9]/.test(password) }
+    ].filter(Boolean);
+  }
+
+  renderStrength(input, meterId) {
+    const meter = document.getElementById(meterId);
+    if (!meter) return;
+
+    meter.innerHTML = '';
+    meter.className = 'password-strength';
+    if (!this.passwordPolicy || !input.value) return;
+
+    const rules = this.evaluatePassword(input.value);
+    const metCount = rules.filter(rule => rule.met).length;
+    const ratio = metCount / rules.length;
+    const level = ratio === 1 ? 'strong' : ratio >= 0.6 ? 'fair' : 'weak';
+
+    meter.classList.add(`strength-${level}`);
+
+    const bar = document.createElement('div');
+    bar.className = 'strength-bar';
+    const fill = document.createElement('span');
+    fill.style.width = `${Math.round(ratio * 100)}%`;
+    bar.appendChild(fill);
+
+    const label = document.createElement('span');
+    label.className = 'strength-label';
+    label.textContent = { weak: 'Weak', fair: 'Fair', strong: 'Meets policy' }[level];
+
+    const list = document.createElement('ul');
+    list.className = 'strength-rules';
+    rules.forEach(rule => {
+      const item = document.createElement('li');
+      item.textContent = `${rule.met ? '✓' : '✗'} ${rule.label}`;
+      if (rule.met) item.className = 'met';
+      list.appendChild(item);
+    });
+
+    meter.append(bar, label, list);
+  }
+
+  resetToPasswordStep() {
+    this.mfaMode = null;
+    document.getElementById('mfaForm').classList.add('hidden');
+    document.getElementById('mfaEnrollment').classList.add('hidden');
+    document.getElementById('mfaQrCode').removeAttribute('src');
+    document.getElementById('mfaSecret').textContent = '';
+    document.getElementById('loginForm').classList.remove('hidden');
+    this.fetchCSRFToken();
+  }
+
   handleLoginSuccess(data) {
     // Clear any stored data
     sessionStorage.clear();
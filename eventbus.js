@@ -0,0 +1,93 @@
+/**
+ * Event bus - live per-session events for the capture page (routes/events)
+ * Events are published to a demo session and kept briefly so a stream that
+ * reconnects with Last-Event-ID gets what it missed. Memory only: after a
+ * restart (new epoch) or a gap, clients are told to reload instead.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const REPLAY_LIMIT = 100; // Events kept per session for replay
+const REPLAY_WINDOW = 10 * 60 * 1000; // ...and for no longer than this
+const CHANNEL_TTL = 24 * 60 * 60 * 1000; // Outlives any session (absolute timeout)
+
+class EventBus {
+  constructor() {
+    this.epoch = crypto.randomBytes(4).toString('hex');
+    this.sequence = 0; // Shared by all sessions, so IDs never repeat
+    this.sessions = new Map(); // sessionId -> { events, droppedThrough, lastAt }
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // One listener per open stream
+
+    setInterval(() => this.prune(), REPLAY_WINDOW).unref();
+  }
+
+  /**
+   * Publish to every open stream of a session: { id, type, data }
+   */
+  publish(sessionId, type, data = {}) {
+    if (!sessionId) return null;
+
+    const channel = this.sessions.get(sessionId) || { events: [], droppedThrough: 0 };
+    this.sequence += 1;
+
+    const event = { id: `${this.epoch}-${this.sequence}`, sequence: this.sequence, type, data, at: Date.now() };
+    channel.events.push(event);
+    channel.lastAt = event.at;
+    if (channel.events.length > REPLAY_LIMIT) channel.droppedThrough = channel.events.shift().sequence;
+    this.sessions.set(sessionId, channel);
+
+    this.emitter.emit(sessionId, event);
+    return event;
+  }
+
+  /**
+   * ID marking "now", for streams that have seen no event yet
+   */
+  currentId() {
+    return `${this.epoch}-${this.sequence}`;
+  }
+
+  /**
+   * Events published after lastEventId, or null when they can't all be
+   * replayed (another epoch, or some already dropped)
+   */
+  since(sessionId, lastEventId) {
+    const [epoch, sequence] = String(lastEventId).split('-');
+    const last = Number(sequence);
+    if (epoch !== this.epoch || !Number.isInteger(last)) return null;
+
+    const channel = this.sessions.get(sessionId);
+    if (!channel) return []; // Nothing published to this session
+    if (last < channel.droppedThrough) return null;
+
+    return channel.events.filter(event => event.sequence > last);
+  }
+
+  /**
+   * Listen to a session's events; returns the unsubscribe function
+   */
+  subscribe(sessionId, listener) {
+    this.emitter.on(sessionId, listener);
+    return () => this.emitter.off(sessionId, listener);
+  }
+
+  /**
+   * Drop events past the replay window; channels themselves (and what
+   * they dropped) are kept as long as their session could still be alive
+   */
+  prune() {
+    const now = Date.now();
+    for (const [sessionId, channel] of this.sessions) {
+      while (channel.events.length > 0 && channel.events[0].at <= now - REPLAY_WINDOW) {
+        channel.droppedThrough = channel.events.shift().sequence;
+      }
+      if (channel.lastAt <= now - CHANNEL_TTL && this.emitter.listenerCount(sessionId) === 0) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+}
+
+module.exports = new EventBus();
@@ -0,0 +1,110 @@
+/**
+ * Live session events (Server-Sent Events)
+ * One stream per open page, scoped to the caller's demo session. Bus events
+ * carry IDs so a reconnect with Last-Event-ID replays what was missed;
+ * session timing is checked here and pushed as it changes.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuthPassive } = require('../middleware/auth');
+const eventBus = require('../services/eventBus');
+const sessionLifecycle = require('../services/sessionLifecycle');
+
+const SESSION_CHECK_INTERVAL = 15 * 1000; // Also keeps proxies from closing the stream
+const RECONNECT_DELAY = 5000;
+
+const writeEvent = (res, { id, type, data }) => {
+  if (res.writableEnded) return;
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * express-session stores a session when its response ends, which a stream
+ * never does; store it now in case requireAuth just rotated its ID
+ */
+const saveSession = (req, res, next) => {
+  req.session.save(next);
+};
+
+// Passive: an open stream is not activity, or no session would ever idle out
+router.get('/', requireAuthPassive, saveSession, (req, res) => {
+  const sessionId = req.session.demoSessionId;
+  const storeId = req.sessionID;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Unbuffered behind nginx
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+  // Replay what a reconnecting client missed, or have it reload
+  const lastEventId = req.get('Last-Event-ID');
+  const missed = lastEventId ? eventBus.since(sessionId, lastEventId) : [];
+  if (missed === null) {
+    writeEvent(res, { id: eventBus.currentId(), type: 'resync', data: {} });
+  } else {
+    missed.forEach(event => writeEvent(res, event));
+  }
+
+  // Give a stream with no events yet a position to resume from
+  if (!lastEventId && missed.length === 0) {
+    writeEvent(res, { id: eventBus.currentId(), type: 'ready', data: {} });
+  }
+
+  const unsubscribe = eventBus.subscribe(sessionId, (event) => {
+    writeEvent(res, event);
+    if (event.type === 'session.ended') res.end();
+  });
+
+  // Session timing from the store (other requests move it); pushed when
+  // the deadline moves, and once as a warning when it comes close
+  let lastExpiresAt = null;
+  let warnedFor = null;
+
+  const checkSession = () => {
+    req.sessionStore.get(storeId, (err, stored) => {
+      // Gone (ID rotated, logged out, expired): the client reconnects with
+      // its current cookie and learns which
+      if (err || !stored || !stored.moUser) {
+        res.end();
+        return;
+      }
+
+      const reason = sessionLifecycle.expiredReason(stored);
+      if (reason) {
+        writeEvent(res, { type: 'session.ended', data: { reason } });
+        res.end();
+        return;
+      }
+
+      const session = sessionLifecycle.describe(stored);
+      if (session.expiresAt !== lastExpiresAt) {
+        lastExpiresAt = session.expiresAt;
+        writeEvent(res, { type: 'session.status', data: session });
+      }
+      if (session.remaining <= session.warningTime && warnedFor !== session.expiresAt) {
+        warnedFor = session.expiresAt;
+        writeEvent(res, { type: 'session.warning', data: session });
+      }
+    });
+  };
+
+  checkSession();
+  const interval = setInterval(() => {
+    if (res.writableEnded) return;
+    res.write(': keepalive\n\n');
+    checkSession();
+  }, SESSION_CHECK_INTERVAL);
+
+  res.on('close', () => {
+    clearInterval(interval);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
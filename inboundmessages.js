@@ -0,0 +1,80 @@
+/**
+ * Inbound Messages Model - Replies received from recipients
+ * Sender and body are encrypted with the keyring, like captured data
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const keyring = require('../services/keyring');
+const { phoneIndex } = require('../services/blindIndex');
+const logger = require('../services/logger');
+const storageConfig = require('../config/storage');
+
+const DB_PATH = storageConfig.dataPath('demo-sessions.db');
+
+class InboundMessages {
+  constructor() {
+    this.db = new sqlite3.Database(DB_PATH);
+    this.db.configure('busyTimeout', 5000);
+    this.init();
+  }
+
+  init() {
+    this.db.serialize(() => {
+      // provider_message_id makes provider retries idempotent
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS inbound_messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          provider_message_id TEXT UNIQUE NOT NULL,
+          encrypted_phone TEXT NOT NULL,
+          phone_index TEXT NOT NULL,
+          encrypted_body TEXT NOT NULL,
+          keyword TEXT,
+          session_id TEXT,
+          capture_id INTEGER,
+          received_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_inbound_phone ON inbound_messages (phone_index)`);
+    });
+
+    keyring.on('rotated', () => this.reencrypt());
+    this.db.get('SELECT 1', () => this.reencrypt());
+  }
+
+  async reencrypt() {
+    try {
+      await keyring.reencryptColumns(this.db, 'inbound_messages', ['encrypted_phone', 'encrypted_body']);
+    } catch (error) {
+      logger.error('Inbound message re-encryption failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Store a reply, linked to the most recent message we sent that number.
+   * Resolves { id, duplicate } - duplicate when the provider re-delivers.
+   */
+  async record({ providerMessageId, from, text, keyword }) {
+    const index = phoneIndex(from);
+
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO inbound_messages
+         (provider_message_id, encrypted_phone, phone_index, encrypted_body, keyword, session_id, capture_id)
+         SELECT ?, ?, ?, ?, ?, ml.session_id, ml.capture_id
+         FROM (SELECT 1) LEFT JOIN (
+           SELECT session_id, capture_id FROM message_logs
+           WHERE phone_index = ? ORDER BY id DESC LIMIT 1
+         ) ml ON 1
+         WHERE true
+         ON CONFLICT(provider_message_id) DO NOTHING`,
+        [providerMessageId, keyring.encrypt(from), index, keyring.encrypt(text), keyword, index],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ id: this.changes ? this.lastID : null, duplicate: this.changes === 0 });
+        }
+      );
+    });
+  }
+}
+
+module.exports = new InboundMessages();
@@ -0,0 +1,285 @@
+/**
+ * Encryption keyring - versioned AES-256-GCM keys with rotation
+ *
+ * Ciphertext format: keyId:iv:authTag:ciphertext (hex parts)
+ * Values written before versioning (iv:authTag:ciphertext) use ENCRYPTION_KEY.
+ *
+ * Key sources, in order:
+ *   ENCRYPTION_KEYRING_FILE  JSON keyring on disk (created if missing, rotatable)
+ *   ENCRYPTION_KEYS          "id:hex,id:hex" (+ ENCRYPTION_ACTIVE_KEY_ID), rotate by redeploying
+ *   ENCRYPTION_KEY           single legacy key
+ * With none of these, production startup fails; development gets an ephemeral key.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const securityConfig = require('../config/security');
+const logger = require('./logger');
+
+const ALGORITHM = securityConfig.encryption.algorithm;
+const LEGACY_KEY_ID = 'legacy';
+const ROTATION_CHECK_INTERVAL = 60 * 60 * 1000; // hourly
+const REENCRYPT_BATCH_SIZE = 100;
+
+/**
+ * Accept 64 hex chars, base64 of 32 bytes, or a raw 32-byte string
+ */
+const parseKey = (value, label) => {
+  let key;
+  if (/^[0-9a-f]{64}$/i.test(value)) key = Buffer.from(value, 'hex');
+  else if (Buffer.from(value, 'base64').length === 32 && /^[A-Za-z0-9+/]+=*$/.test(value)) key = Buffer.from(value, 'base64');
+  else key = Buffer.from(value, 'utf8');
+
+  if (key.length !== 32) {
+    throw new Error(`${label} must be a 32-byte key (64 hex characters or base64)`);
+  }
+  return key;
+};
+
+class Keyring extends EventEmitter {
+  constructor() {
+    super();
+    this.keys = new Map(); // keyId -> { key, createdAt }
+    this.activeKeyId = null;
+    this.filePath = process.env.ENCRYPTION_KEYRING_FILE || null;
+    this.legacyKey = process.env.ENCRYPTION_KEY
+      ? parseKey(process.env.ENCRYPTION_KEY, 'ENCRYPTION_KEY')
+      : null;
+
+    this.load();
+
+    if (this.filePath) {
+      this.rotationTimer = setInterval(() => {
+        try {
+          this.rotateIfDue();
+        } catch (error) {
+          logger.error('Encryption key rotation failed', { error: error.message });
+        }
+      }, ROTATION_CHECK_INTERVAL);
+      this.rotationTimer.unref();
+    }
+  }
+
+  load() {
+    this.keys.clear();
+
+    if (this.filePath) {
+      this.loadFile();
+    } else if (process.env.ENCRYPTION_KEYS) {
+      process.env.ENCRYPTION_KEYS.split(',').forEach((pair) => {
+        const [keyId, value] = pair.trim().split(':');
+        this.keys.set(keyId, { key: parseKey(value, `ENCRYPTION_KEYS[${keyId}]`), createdAt: null });
+      });
+      this.activeKeyId = process.env.ENCRYPTION_ACTIVE_KEY_ID || Array.from(this.keys.keys()).pop();
+    } else if (this.legacyKey) {
+      this.keys.set(LEGACY_KEY_ID, { key: this.legacyKey, createdAt: null });
+      this.activeKeyId = LEGACY_KEY_ID;
+    } else if (process.env.NODE_ENV === 'production') {
+      throw new Error(
+        'No persistent encryption key configured. Set ENCRYPTION_KEYRING_FILE, ' +
+        'ENCRYPTION_KEYS or ENCRYPTION_KEY; captured data would be unreadable after a restart.'
+      );
+    } else {
+      logger.warn('No encryption key configured; using an ephemeral key (data unreadable after restart)');
+      this.keys.set('ephemeral', { key: crypto.randomBytes(32), createdAt: new Date().toISOString() });
+      this.activeKeyId = 'ephemeral';
+    }
+
+    if (this.legacyKey && !this.keys.has(LEGACY_KEY_ID)) {
+      this.keys.set(LEGACY_KEY_ID, { key: this.legacyKey, createdAt: null });
+    }
+
+    if (!this.keys.has(this.activeKeyId)) {
+      throw new Error(`Active encryption key "${this.activeKeyId}" is not in the keyring`);
+    }
+  }
+
+  loadFile() {
+    if (!fs.existsSync(this.filePath)) {
+      const keyId = this.newKeyId();
+      this.writeFile({
+        activeKeyId: keyId,
+        keys: { [keyId]: { key: crypto.randomBytes(32).toString('base64'), createdAt: new Date().toISOString() } }
+      });
+    }
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    for (const [keyId, entry] of Object.entries(data.keys)) {
+      this.keys.set(keyId, {
+        key: parseKey(entry.key, `keyring entry ${keyId}`),
+        createdAt: entry.createdAt
+      });
+    }
+    this.activeKeyId = data.activeKeyId;
+  }
+
+  /**
+   * Atomic write (temp file + rename), readable by the owner only
+   */
+  writeFile(data) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  newKeyId() {
+    return `k${Date.now().toString(36)}`;
+  }
+
+  getKey(keyId) {
+    let entry = this.keys.get(keyId);
+
+    // Another worker may have rotated; pick up its keys
+    if (!entry && this.filePath) {
+      this.load();
+      entry = this.keys.get(keyId);
+    }
+
+    if (!entry) throw new Error(`Unknown encryption key "${keyId}"`);
+    return entry.key;
+  }
+
+  encrypt(text) {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.getKey(this.activeKeyId), iv);
+    let encrypted = cipher.update(text, 'utf8', 'hex');
+    encrypted += cipher.final('hex');
+    const authTag = cipher.getAuthTag();
+    return `${this.activeKeyId}:${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
+  }
+
+  decrypt(encryptedData) {
+    const parts = encryptedData.split(':');
+    const [keyId, ivHex, authTagHex, encrypted] = parts.length === 3
+      ? [LEGACY_KEY_ID, ...parts]
+      : parts;
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.getKey(keyId), Buffer.from(ivHex, 'hex'));
+    decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    return decrypted;
+  }
+
+  /**
+   * True if the value is already under the active key
+   */
+  isCurrent(encryptedData) {
+    return encryptedData.startsWith(`${this.activeKeyId}:`);
+  }
+
+  /**
+   * Generate and activate a new key (file-backed keyrings only)
+   */
+  rotate() {
+    if (!this.filePath) {
+      throw new Error('Key rotation requires ENCRYPTION_KEYRING_FILE');
+    }
+
+    // Re-read first so keys added by other workers are kept
+    this.load();
+
+    const keyId = this.newKeyId();
+    const keys = {};
+    for (const [id, entry] of this.keys) {
+      if (id === LEGACY_KEY_ID && !this.fileHasKey(id)) continue; // env-provided, not persisted
+      keys[id] = { key: entry.key.toString('base64'), createdAt: entry.createdAt };
+    }
+    keys[keyId] = { key: crypto.randomBytes(32).toString('base64'), createdAt: new Date().toISOString() };
+
+    const previousKeyId = this.activeKeyId;
+    this.writeFile({ activeKeyId: keyId, keys });
+    this.load();
+
+    this.emit('rotated', { keyId, previousKeyId });
+    return keyId;
+  }
+
+  fileHasKey(keyId) {
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    return Boolean(data.keys[keyId]);
+  }
+
+  /**
+   * Pick up rotations made by other workers, then rotate if the active key is too old
+   */
+  rotateIfDue() {
+    const previousKeyId = this.activeKeyId;
+    this.load();
+    if (this.activeKeyId !== previousKeyId) {
+      this.emit('rotated', { keyId: this.activeKeyId, previousKeyId });
+    }
+
+    const active = this.keys.get(this.activeKeyId);
+    const age = active.createdAt ? Date.now() - new Date(active.createdAt).getTime() : Infinity;
+    if (age >= securityConfig.encryption.keyRotationInterval) {
+      return this.rotate();
+    }
+    return null;
+  }
+
+  /**
+   * Re-encrypt every value in the given columns that is not under the
+   * active key, in small batches so the database stays responsive.
+   * Values that can't be moved (written under an ephemeral or removed
+   * key) are skipped and logged; the rest still get re-encrypted.
+   */
+  async reencryptColumns(db, table, columns) {
+    let total = 0;
+
+    for (const column of columns) {
+      let lastId = 0;
+      let skipped = 0;
+
+      for (;;) {
+        const rows = await new Promise((resolve, reject) => {
+          db.all(
+            `SELECT rowid AS rid, ${column} AS value FROM ${table}
+             WHERE rowid > ? AND ${column} IS NOT NULL AND ${column} NOT LIKE ?
+             ORDER BY rowid LIMIT ?`,
+            [lastId, `${this.activeKeyId}:%`, REENCRYPT_BATCH_SIZE],
+            (err, result) => {
+              if (err) reject(err);
+              else resolve(result);
+            }
+          );
+        });
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+          try {
+            const reencrypted = this.encrypt(this.decrypt(row.value));
+            await new Promise((resolve, reject) => {
+              // Guard on the old value so a concurrent update is not overwritten
+              db.run(
+                `UPDATE ${table} SET ${column} = ? WHERE rowid = ? AND ${column} = ?`,
+                [reencrypted, row.rid, row.value],
+                (err) => {
+                  if (err) reject(err);
+                  else resolve();
+                }
+              );
+            });
+            total += 1;
+          } catch (error) {
+            skipped += 1;
+          }
+        }
+
+        lastId = rows[rows.length - 1].rid;
+        await new Promise(resolve => setImmediate(resolve)); // Yield between batches
+      }
+
+      if (skipped > 0) {
+        logger.warn('Values left under an unreadable or unavailable key', { table, column, skipped });
+      }
+    }
+
+    return total;
+  }
+}
+
+module.exports = new Keyring();
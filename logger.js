@@ -0,0 +1,27 @@
+/**
+ * Application logger (winston)
+ * Security audit trail plus operational messages from models and
+ * services, which load before the app and can't be handed a logger
+ */
+
+const winston = require('winston');
+
+// Tests log to nowhere and leave no files behind
+const transports = process.env.NODE_ENV === 'test'
+  ? [new winston.transports.Console({ silent: true })]
+  : [
+    new winston.transports.File({ filename: 'logs/security-audit.log' }),
+    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+    new winston.transports.Console()
+  ];
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports
+});
+
+module.exports = logger;
@@ -0,0 +1,149 @@
+/**
+ * Login Attempts Model - Persistent failed-login tracking
+ * Keyed by username and by IP; drives exponential backoff and account lockout
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const securityConfig = require('../config/security');
+const storageConfig = require('../config/storage');
+
+const DB_PATH = storageConfig.dataPath('users.db');
+
+const userKey = (username) => `user:${String(username).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+class LoginAttempts {
+  constructor() {
+    this.db = new sqlite3.Database(DB_PATH);
+    this.init();
+  }
+
+  init() {
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        key TEXT PRIMARY KEY,
+        failures INTEGER NOT NULL DEFAULT 0,
+        last_failure_at INTEGER NOT NULL,
+        blocked_until INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+
+    // Drop stale counters hourly
+    setInterval(() => this.cleanupStale(), 60 * 60 * 1000).unref();
+  }
+
+  async getState(key) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM login_attempts WHERE key = ?`,
+        [key],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        }
+      );
+    });
+  }
+
+  /**
+   * Is this username or IP currently in a backoff period?
+   */
+  async check(username, ip) {
+    const now = Date.now();
+    const [user, address] = await Promise.all([
+      this.getState(userKey(username)),
+      this.getState(ipKey(ip))
+    ]);
+
+    if (user && user.blocked_until > now) {
+      return { blocked: true, scope: 'user', retryAt: user.blocked_until };
+    }
+    if (address && address.blocked_until > now) {
+      return { blocked: true, scope: 'ip', retryAt: address.blocked_until };
+    }
+    return { blocked: false };
+  }
+
+  /**
+   * Count a failure for one key and apply backoff beyond the free attempts
+   */
+  async registerFailure(key, freeAttempts) {
+    const { baseDelay, maxDelay, failureWindow } = securityConfig.lockout;
+    const now = Date.now();
+
+    await new Promise((resolve, reject) => {
+      // Counter restarts once the previous failure falls outside the window
+      this.db.run(
+        `INSERT INTO login_attempts (key, failures, last_failure_at) VALUES (?, 1, ?)
+         ON CONFLICT(key) DO UPDATE SET
+           failures = CASE WHEN ? - last_failure_at > ? THEN 1 ELSE failures + 1 END,
+           last_failure_at = excluded.last_failure_at`,
+        [key, now, now, failureWindow],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+
+    const { failures } = await this.getState(key);
+    const excess = failures - freeAttempts;
+    const delay = excess > 0 ? Math.min(baseDelay * 2 ** (excess - 1), maxDelay) : 0;
+    const blockedUntil = delay ? now + delay : 0;
+
+    await new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE login_attempts SET blocked_until = ? WHERE key = ?`,
+        [blockedUntil, key],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+
+    return { failures, blockedUntil };
+  }
+
+  /**
+   * Record a failed login; lockAccount is set when the threshold is reached
+   */
+  async recordFailure(username, ip) {
+    const { threshold, freeAttempts, ipFreeAttempts } = securityConfig.lockout;
+
+    const user = await this.registerFailure(userKey(username), freeAttempts);
+    const address = await this.registerFailure(ipKey(ip), ipFreeAttempts);
+
+    return {
+      userFailures: user.failures,
+      ipFailures: address.failures,
+      lockAccount: user.failures >= threshold
+    };
+  }
+
+  /**
+   * Successful login clears the account counter (IP counter decays on its own)
+   */
+  async reset(username) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `DELETE FROM login_attempts WHERE key = ?`,
+        [userKey(username)],
+        (err) => {
+          if (err) reject(err);
+          else resolve({ reset: true });
+        }
+      );
+    });
+  }
+
+  async cleanupStale() {
+    const cutoff = Date.now() - securityConfig.lockout.failureWindow;
+    this.db.run(
+      `DELETE FROM login_attempts WHERE last_failure_at < ? AND blocked_until < ?`,
+      [cutoff, Date.now()]
+    );
+  }
+}
+
+module.exports = new LoginAttempts();
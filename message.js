@@ -3,119 +3,524 @@
  */
 
 const express = require('express');
+const { body, param } = require('express-validator');
 const router = express.Router();
 const { requireAuth } = require('../middleware/auth');
-const { validators, handleValidationErrors } = require('../middleware/security');
+const { requirePermission, PERMISSIONS } = require('../middleware/permissions');
+const { rateLimiter } = require('../middleware/rateLimiter');
+const { handleValidationErrors } = require('../middleware/security');
 const SessionData = require('../models/SessionData');
-const smsService = require('../services/smsService');
+const MessageQueue = require('../models/MessageQueue');
+const SuppressionList = require('../models/SuppressionList');
+const MessageTemplates = require('../models/MessageTemplates');
+const { resolveVariables, render, MAX_BODY_LENGTH } = require('../services/templateRenderer');
+const { analyze } = require('../services/smsEncoding');
+const { timeZonesFor, nextAllowedTime } = require('../services/quietHours');
+const { normalizePhone, maskPhone, regionFor } = require('../services/phoneNumber');
+const smsConfig = require('../config/sms');
+const messageWorker = require('../services/messageWorker');
 
-// Send message to captured numbers
-router.post('/send',
+// Scheduled send time; must be in the future and within the scheduling horizon
+const sendAtField = () => body('sendAt')
+  .isISO8601({ strict: true })
+  .withMessage('sendAt must be an ISO 8601 date-time')
+  .bail()
+  .custom((value) => {
+    const at = new Date(value).getTime();
+    if (at <= Date.now()) throw new Error('sendAt must be in the future');
+    if (at > Date.now() + smsConfig.queue.maxScheduleAhead) throw new Error('sendAt is too far in the future');
+    return true;
+  })
+  .toDate();
+
+// Send body: a template (default when omitted) plus variable overrides;
+// a bare message fills the default template's {{message}}. sendAt schedules it;
+// captureIds limits it to those recipients.
+const sendValidation = [
+  body('captureIds')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('captureIds must be a list of 1-500 capture IDs'),
+  body('captureIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Invalid capture ID')
+    .toInt(),
+  body('templateId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Invalid template ID')
+    .toInt(),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 1600 })
+    .withMessage('Message must be 1-1600 characters'),
+  body('overrides')
+    .optional()
+    .custom((value) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Overrides must be an object of variable: value');
+      }
+      if (Object.values(value).some(v => typeof v !== 'string' || v.length > 500)) {
+        throw new Error('Override values must be strings of at most 500 characters');
+      }
+      return true;
+    }),
+  body('message')
+    .custom((value, { req }) => {
+      if (!value && !req.body.templateId) {
+        throw new Error('Provide a message or a templateId');
+      }
+      return true;
+    }),
+  sendAtField().optional()
+];
+
+const formatExpiry = (iso) => (iso ? `${iso.slice(0, 16).replace('T', ' ')} UTC` : '');
+
+const sendError = (status, code, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+};
+
+const requestedCaptureIds = (req) => (req.body.captureIds ? Array.from(new Set(req.body.captureIds)) : null);
+
+/**
+ * When a recipient's message may go out: the requested time (now when
+ * unscheduled), pushed past quiet hours in their time zone
+ */
+const earliestSendTime = (phoneNumber, sendAt) =>
+  nextAllowedTime(sendAt || new Date(), timeZonesFor(phoneNumber)).getTime();
+
+/**
+ * Resolve the template and everything but the per-recipient safety code,
+ * and load this session's recipients split by consent. selection narrows the
+ * recipients: { statuses, captureIds, skipped } (skipped: already-rejected IDs)
+ */
+const prepareSend = async (req, { statuses = ['new'], captureIds = null, skipped: preSkipped = [] } = {}) => {
+  const { message, templateId } = req.body;
+  const sessionId = req.session.demoSessionId;
+  const username = req.session.moUser.username;
+
+  const template = templateId
+    ? await MessageTemplates.findById(templateId)
+    : await MessageTemplates.getDefault();
+
+  if (!template || template.status !== 'active') {
+    throw sendError(404, 'TEMPLATE_NOT_FOUND', 'Template not found');
+  }
+
+  // Safety check: prevent message injection (variables are stripped of <> too)
+  let variables;
+  try {
+    variables = resolveVariables(template.variables, {
+      ...(message && { message: message.replace(/[<>]/g, '') }),
+      ...req.body.overrides
+    });
+  } catch (error) {
+    throw sendError(400, error.code, error.message);
+  }
+
+  const session = await SessionData.getSession(sessionId);
+  const shared = {
+    ...variables,
+    operator: username,
+    expiresAt: formatExpiry(session?.expiresAt)
+  };
+
+  // Logged preview keeps {{safetyCode}} unrendered
+  const preview = render(template.body, shared);
+  if (render(template.body, { ...shared, safetyCode: 'X'.repeat(20) }).length > MAX_BODY_LENGTH) {
+    throw sendError(400, 'MESSAGE_TOO_LONG', `Rendered message exceeds ${MAX_BODY_LENGTH} characters`);
+  }
+
+  // Retrieve only current session's numbers
+  const recipients = captureIds && captureIds.length === 0
+    ? []
+    : await SessionData.getSessionData(sessionId, username, { statuses, captureIds });
+
+  // Requested captures that can't be messaged are reported, not silently dropped
+  const skipped = [...preSkipped];
+  if (captureIds) {
+    const found = new Set(recipients.map(recipient => recipient.id));
+    const missing = captureIds.filter(id => !found.has(id));
+    const current = missing.length > 0 ? await SessionData.getCaptureStatuses(sessionId, missing) : {};
+    missing.forEach((id) => {
+      skipped.push({
+        captureId: id,
+        status: 'skipped',
+        reason: current[id] ? `Capture is ${current[id]}` : 'Capture not found in this session'
+      });
+    });
+  }
+
+  if (recipients.length === 0) {
+    throw sendError(400, 'NO_RECIPIENTS', 'No eligible recipients in current session', skipped.length > 0 ? skipped : null);
+  }
+
+  // Send to canonical E.164; opted-out numbers (STOP) are never messaged
+  const eligible = [];
+  const suppressed = [];
+  for (const recipient of recipients) {
+    let phone;
+    try {
+      phone = normalizePhone(recipient.phoneNumber, regionFor(req.session.moUser));
+    } catch (error) {
+      skipped.push({ captureId: recipient.id, status: 'skipped', reason: error.message });
+      continue;
+    }
+
+    const normalized = { ...recipient, phoneNumber: phone.e164, lineType: phone.lineType };
+    if (await SuppressionList.isSuppressed(normalized.phoneNumber)) {
+      suppressed.push(normalized);
+    } else {
+      eligible.push(normalized);
+    }
+  }
+
+  return {
+    template,
+    preview,
+    eligible,
+    suppressed,
+    skipped,
+    renderFor: recipient => render(template.body, { ...shared, safetyCode: recipient.safetyCode })
+  };
+};
+
+// Encoding, segments and cost for the exact per-recipient messages, without sending
+router.post('/preview',
   requireAuth,
+  requirePermission(PERMISSIONS.MESSAGE_SEND),
   [
-    validators.messageContent,
+    ...sendValidation,
     handleValidationErrors
   ],
   async (req, res) => {
     try {
-      const { message } = req.body;
-      const sessionId = req.session.demoSessionId;
-      const username = req.session.moUser.username;
+      const { template, preview, eligible, suppressed, skipped, renderFor } = await prepareSend(req, {
+        captureIds: requestedCaptureIds(req)
+      });
+      const { costPerSegment, currency } = smsConfig.pricing;
+      const requestedAt = req.body.sendAt || new Date();
 
-      // Retrieve only current session's numbers
-      const recipients = await SessionData.getSessionData(sessionId, username);
+      const recipients = eligible.map((recipient) => {
+        const analysis = analyze(renderFor(recipient));
+        const scheduledFor = earliestSendTime(recipient.phoneNumber, requestedAt);
+        return {
+          captureId: recipient.id,
+          phone: maskPhone(recipient.phoneNumber),
+          lineType: recipient.lineType,
+          status: 'eligible',
+          scheduledFor: new Date(scheduledFor).toISOString(),
+          deferred: scheduledFor > requestedAt.getTime(),
+          ...analysis
+        };
+      });
 
-      if (recipients.length === 0) {
-        return res.status(400).json({
-          error: 'No eligible recipients in current session',
-          code: 'NO_RECIPIENTS'
-        });
-      }
+      const totalSegments = recipients.reduce((sum, r) => sum + r.segments, 0);
+      const encodings = recipients.reduce((counts, r) => {
+        counts[r.encoding] = (counts[r.encoding] || 0) + 1;
+        return counts;
+      }, {});
 
-      // Safety check: prevent message injection
-      const sanitizedMessage = message
-        .replace(/[<>]/g, '') // Remove HTML tags
-        .substring(0, 1600); // Hard limit
-
-      // Include safety code in message
-      const results = [];
-      
-      for (const recipient of recipients) {
-        const personalizedMessage = `${sanitizedMessage}\n\nSafety Code: ${recipient.safetyCode}`;
-        
-        try {
-          // Send via SMS Composer integration
-          const delivery = await smsService.send({
-            to: recipient.phoneNumber,
-            message: personalizedMessage,
-            sessionId,
-            username
-          });
-
-          // Mark as sent in database
-          await SessionData.markAsSent(sessionId, recipient.phoneNumber);
-          
-          // Log for audit
-          await SessionData.logMessage(
-            sessionId,
-            username,
-            recipient.phoneNumber,
-            sanitizedMessage,
-            'sent'
-          );
-
-          results.push({
-            phone: recipient.phoneNumber.replace(/(\d{3})\d{4}(\d{3})/, '$1****$2'), // Masked
-            status: 'sent',
-            deliveryId: delivery.id
-          });
-
-        } catch (sendError) {
-          results.push({
-            phone: recipient.phoneNumber.replace(/(\d{3})\d{4}(\d{3})/, '$1****$2'),
-            status: 'failed',
-            error: sendError.message
-          });
-          
-          await SessionData.logMessage(
-            sessionId,
-            username,
-            recipient.phoneNumber,
-            sanitizedMessage,
-            'failed'
-          );
+      res.json({
+        success: true,
+        template: { id: template.id, name: template.name, version: template.version },
+        message: preview,
+        sendAt: req.body.sendAt ? req.body.sendAt.toISOString() : null,
+        recipients: [
+          ...recipients,
+          ...suppressed.map(recipient => ({
+            captureId: recipient.id,
+            phone: maskPhone(recipient.phoneNumber),
+            status: 'suppressed'
+          })),
+          ...skipped
+        ],
+        totals: {
+          recipients: recipients.length,
+          suppressed: suppressed.length,
+          skipped: skipped.length,
+          deferred: recipients.filter(r => r.deferred).length,
+          landline: recipients.filter(r => r.lineType === 'landline').length, // Likely undeliverable
+          segments: totalSegments,
+          encodings,
+          estimatedCost: Math.round(totalSegments * costPerSegment * 10000) / 10000,
+          currency
         }
+      });
+
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message, code: error.code, details: error.details });
       }
+      res.status(500).json({ error: 'Preview failed' });
+    }
+  }
+);
 
-      // Audit log
-      req.auditLog('MESSAGES_SENT', {
-        username,
+/**
+ * Queue a batch for the recipients chosen by select(req), now or at sendAt;
+ * the worker delivers in the background, holding each message until the
+ * recipient's quiet hours end
+ */
+const queueSend = ({ action, claimFrom, select }) => async (req, res) => {
+  try {
+    const sessionId = req.session.demoSessionId;
+    const username = req.session.moUser.username;
+    const sendAt = req.body.sendAt || null;
+    const requestedAt = sendAt || new Date();
+    const selection = await select(req);
+    const { template, preview, eligible, suppressed, skipped, renderFor } = await prepareSend(req, selection);
+
+    // Render per recipient so each gets their own safety code
+    const { batchId, jobs } = eligible.length === 0
+      ? { batchId: null, jobs: [] }
+      : await MessageQueue.enqueueBatch({
         sessionId,
-        count: recipients.length,
-        successCount: results.filter(r => r.status === 'sent').length
+        username,
+        preview,
+        template: { id: template.id, version: template.version },
+        sendAt,
+        claimFrom,
+        recipients: eligible.map(recipient => ({
+          captureId: recipient.id,
+          phoneNumber: recipient.phoneNumber,
+          body: renderFor(recipient),
+          notBefore: earliestSendTime(recipient.phoneNumber, requestedAt)
+        }))
+      });
+
+    const deferredCount = jobs.filter(job => new Date(job.scheduledFor) > requestedAt).length;
+
+    if (batchId) messageWorker.wake();
+
+    // Audit log
+    req.auditLog(action, {
+      username,
+      sessionId,
+      batchId,
+      templateId: template.id,
+      templateVersion: template.version,
+      count: jobs.length,
+      suppressedCount: suppressed.length,
+      skippedCount: skipped.length,
+      scheduledFor: sendAt ? sendAt.toISOString() : null,
+      deferredCount
+    });
+
+    const suppressedResults = suppressed.map(recipient => ({
+      captureId: recipient.id,
+      phone: maskPhone(recipient.phoneNumber),
+      status: 'suppressed'
+    }));
+
+    res.status(batchId ? 202 : 200).json({
+      success: true,
+      batchId,
+      statusUrl: batchId ? `/api/messaging/batches/${batchId}` : null,
+      scheduledFor: sendAt ? sendAt.toISOString() : null,
+      template: { id: template.id, name: template.name, version: template.version },
+      results: [...jobs, ...suppressedResults, ...skipped],
+      summary: {
+        total: jobs.length + suppressed.length + skipped.length,
+        queued: jobs.length,
+        deferred: deferredCount,
+        suppressed: suppressed.length,
+        skipped: skipped.length
+      }
+    });
+
+  } catch (error) {
+    if (error.status || error.code === 'NO_RECIPIENTS') {
+      return res.status(error.status || 400).json({ error: error.message, code: error.code, details: error.details });
+    }
+
+    req.auditLog('SEND_ERROR', { error: error.message });
+    res.status(500).json({ error: 'Message sending failed' });
+  }
+};
+
+// Send to the session's new captures, or only the listed captureIds
+router.post('/send',
+  requireAuth,
+  requirePermission(PERMISSIONS.MESSAGE_SEND),
+  rateLimiter.send,
+  [
+    ...sendValidation,
+    handleValidationErrors
+  ],
+  queueSend({
+    action: 'MESSAGES_QUEUED',
+    claimFrom: ['new'],
+    select: req => ({ captureIds: requestedCaptureIds(req) })
+  })
+);
+
+// Send again to captures whose latest message failed (provider error or
+// failed delivery receipt); all of them, or only the listed captureIds
+router.post('/resend',
+  requireAuth,
+  requirePermission(PERMISSIONS.MESSAGE_SEND),
+  rateLimiter.send,
+  [
+    ...sendValidation,
+    handleValidationErrors
+  ],
+  queueSend({
+    action: 'MESSAGES_RESEND_QUEUED',
+    claimFrom: ['sent', 'failed'],
+    select: async (req) => {
+      const failed = await SessionData.getFailedCaptureIds(req.session.demoSessionId, req.session.moUser.username);
+      const requested = requestedCaptureIds(req);
+      if (!requested) return { statuses: ['sent', 'failed'], captureIds: failed };
+
+      return {
+        statuses: ['sent', 'failed'],
+        captureIds: requested.filter(id => failed.includes(id)),
+        skipped: requested.filter(id => !failed.includes(id)).map(id => ({
+          captureId: id,
+          status: 'skipped',
+          reason: 'No failed message to resend'
+        }))
+      };
+    }
+  })
+);
+
+// Batch progress with per-recipient status
+router.get('/batches/:id',
+  requireAuth,
+  requirePermission(PERMISSIONS.MESSAGE_STATUS),
+  [
+    param('id').isUUID().withMessage('Invalid batch ID'),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const batch = await MessageQueue.getBatch(req.params.id, req.session.moUser.username);
+
+      if (!batch) {
+        return res.status(404).json({ error: 'Batch not found', code: 'BATCH_NOT_FOUND' });
+      }
+
+      res.json({ success: true, ...batch });
+    } catch (error) {
+      res.status(500).json({ error: 'Batch lookup failed' });
+    }
+  }
+);
+
+// Cancel whatever of a batch hasn't gone out yet; its recipients return to where they were
+router.post('/batches/:id/cancel',
+  requireAuth,
+  requirePermission(PERMISSIONS.MESSAGE_SEND),
+  [
+    param('id').isUUID().withMessage('Invalid batch ID'),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const result = await MessageQueue.cancelBatch(req.params.id, req.session.moUser.username);
+
+      if (!result) {
+        return res.status(404).json({ error: 'Batch not found', code: 'BATCH_NOT_FOUND' });
+      }
+
+      req.auditLog('MESSAGE_BATCH_CANCELLED', { batchId: req.params.id, count: result.cancelled });
+
+      res.json({ success: true, batchId: req.params.id, cancelled: result.cancelled });
+    } catch (error) {
+      if (error.code === 'BATCH_NOT_PENDING') {
+        return res.status(409).json({ error: error.message, code: error.code });
+      }
+      res.status(500).json({ error: 'Batch cancellation failed' });
+    }
+  }
+);
+
+// Move a batch's unsent messages to a new time (quiet hours still apply)
+router.patch('/batches/:id',
+  requireAuth,
+  requirePermission(PERMISSIONS.MESSAGE_SEND),
+  [
+    param('id').isUUID().withMessage('Invalid batch ID'),
+    sendAtField(),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const { sendAt } = req.body;
+      const result = await MessageQueue.rescheduleBatch(
+        req.params.id,
+        req.session.moUser.username,
+        sendAt,
+        phoneNumber => earliestSendTime(phoneNumber, sendAt)
+      );
+
+      if (!result) {
+        return res.status(404).json({ error: 'Batch not found', code: 'BATCH_NOT_FOUND' });
+      }
+
+      req.auditLog('MESSAGE_BATCH_RESCHEDULED', {
+        batchId: req.params.id,
+        scheduledFor: sendAt.toISOString(),
+        count: result.rescheduled
       });
 
       res.json({
         success: true,
-        results,
-        summary: {
-          total: results.length,
-          sent: results.filter(r => r.status === 'sent').length,
-          failed: results.filter(r => r.status === 'failed').length
-        }
+        batchId: req.params.id,
+        scheduledFor: sendAt.toISOString(),
+        rescheduled: result.rescheduled,
+        results: result.jobs
       });
+    } catch (error) {
+      if (error.code === 'BATCH_NOT_PENDING') {
+        return res.status(409).json({ error: error.message, code: error.code });
+      }
+      res.status(500).json({ error: 'Batch reschedule failed' });
+    }
+  }
+);
 
+// Every message sent (or attempted) to one capture, with delivery status,
+// plus its queue jobs including any still pending
+router.get('/captures/:id/history',
+  requireAuth,
+  requirePermission(PERMISSIONS.MESSAGE_STATUS),
+  [
+    param('id').isInt({ min: 1 }).withMessage('Invalid capture ID').toInt(),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const username = req.session.moUser.username;
+      const history = await SessionData.getCaptureHistory(req.params.id, username);
+
+      if (!history) {
+        return res.status(404).json({ error: 'Capture not found', code: 'CAPTURE_NOT_FOUND' });
+      }
+
+      const jobs = await MessageQueue.getJobsForCapture(req.params.id, username);
+      res.json({ success: true, captureId: req.params.id, ...history, jobs });
     } catch (error) {
-      req.auditLog('SEND_ERROR', { error: error.message });
-      res.status(500).json({ error: 'Message sending failed' });
+      res.status(500).json({ error: 'History lookup failed' });
     }
   }
 );
 
-// Get message status
-router.get('/status/:deliveryId', requireAuth, async (req, res) => {
+// Get message status (as recorded from delivery receipts)
+router.get('/status/:deliveryId', requireAuth, requirePermission(PERMISSIONS.MESSAGE_STATUS), async (req, res) => {
   try {
-    const status = await smsService.getStatus(req.params.deliveryId);
+    const status = await SessionData.getDeliveryStatus(req.params.deliveryId, req.session.moUser.username);
+    if (!status) {
+      return res.status(404).json({ error: 'Delivery not found', code: 'DELIVERY_NOT_FOUND' });
+    }
     res.json({ status });
   } catch (error) {
     res.status(500).json({ error: 'Status check failed' });
@@ -0,0 +1,538 @@
+/**
+ * Message Queue Model - Durable outbound SMS jobs grouped into batches
+ * Recipient and body are encrypted with the keyring like captured data.
+ *
+ * A job waits in 'queued' until next_attempt_at (a scheduled send time or
+ * the end of the recipient's quiet hours), so scheduling survives restarts.
+ *
+ * Job lifecycle: queued -> sending -> sent
+ *                                  -> queued (transient error, backoff)
+ *                                  -> dead   (retries exhausted)
+ *                                  -> failed (permanent provider rejection)
+ *                                  -> suppressed (recipient opted out after queueing)
+ *                queued -> cancelled (batch cancelled before it fired)
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const crypto = require('crypto');
+const keyring = require('../services/keyring');
+const { phoneIndex } = require('../services/blindIndex');
+const { maskPhone } = require('../services/phoneNumber');
+const smsConfig = require('../config/sms');
+const logger = require('../services/logger');
+const storageConfig = require('../config/storage');
+
+const DB_PATH = storageConfig.dataPath('demo-sessions.db');
+const TERMINAL_STATUSES = ['sent', 'failed', 'dead', 'suppressed', 'cancelled'];
+
+class MessageQueue {
+  constructor() {
+    this.db = new sqlite3.Database(DB_PATH);
+    this.db.configure('busyTimeout', 5000); // Shared with SessionData's connection
+    this.writeQueue = Promise.resolve();
+    this.init();
+  }
+
+  init() {
+    this.db.serialize(() => {
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS message_batches (
+          id TEXT PRIMARY KEY,
+          session_id TEXT NOT NULL,
+          mo_username TEXT NOT NULL,
+          total INTEGER NOT NULL,
+          template_id INTEGER,
+          template_version INTEGER,
+          scheduled_for DATETIME,
+          cancelled_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // One row per recipient; idempotency_key doubles as the provider reference
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS message_jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          batch_id TEXT NOT NULL,
+          session_id TEXT NOT NULL,
+          mo_username TEXT NOT NULL,
+          capture_id INTEGER,
+          claimed_from TEXT,
+          encrypted_phone TEXT NOT NULL,
+          phone_index TEXT NOT NULL,
+          encrypted_body TEXT NOT NULL,
+          message_preview TEXT,
+          idempotency_key TEXT UNIQUE NOT NULL,
+          status TEXT NOT NULL DEFAULT 'queued',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at INTEGER NOT NULL,
+          locked_until INTEGER,
+          last_error TEXT,
+          delivery_id TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (batch_id) REFERENCES message_batches(id)
+        )
+      `);
+
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_message_jobs_due ON message_jobs (status, next_attempt_at)`);
+      this.db.run(`CREATE INDEX IF NOT EXISTS idx_message_jobs_batch ON message_jobs (batch_id)`);
+      this.migrate();
+    });
+
+    keyring.on('rotated', () => this.reencrypt());
+    this.db.get('SELECT 1', () => this.reencrypt());
+
+    // Drop finished jobs (and their encrypted bodies) after the retention period
+    setInterval(() => this.cleanupFinished(), 60 * 60 * 1000).unref();
+  }
+
+  /**
+   * Columns added after the queue tables first shipped
+   */
+  migrate() {
+    this.db.all(`PRAGMA table_info(message_batches)`, (err, columns) => {
+      if (err) return;
+      const existing = columns.map(c => c.name);
+      [
+        ['template_id', 'INTEGER'],
+        ['template_version', 'INTEGER'],
+        ['scheduled_for', 'DATETIME'],
+        ['cancelled_at', 'DATETIME']
+      ].filter(([name]) => !existing.includes(name)).forEach(([name, type]) => {
+        this.db.run(`ALTER TABLE message_batches ADD COLUMN ${name} ${type}`);
+      });
+    });
+
+    // Capture status before it was queued, restored if the batch is cancelled
+    this.db.all(`PRAGMA table_info(message_jobs)`, (err, columns) => {
+      if (err || columns.some(c => c.name === 'claimed_from')) return;
+      this.db.run(`ALTER TABLE message_jobs ADD COLUMN claimed_from TEXT`);
+    });
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  /**
+   * Writes on this connection go one at a time, so a single statement
+   * can never land inside (and roll back with) an unrelated transaction
+   */
+  serialWrite(work) {
+    const result = this.writeQueue.then(work);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  transaction(work) {
+    return this.serialWrite(async () => {
+      await this.run('BEGIN IMMEDIATE');
+      try {
+        const value = await work();
+        await this.run('COMMIT');
+        return value;
+      } catch (err) {
+        await this.run('ROLLBACK').catch(() => {});
+        throw err;
+      }
+    });
+  }
+
+  async reencrypt() {
+    try {
+      await keyring.reencryptColumns(this.db, 'message_jobs', ['encrypted_phone', 'encrypted_body']);
+    } catch (error) {
+      logger.error('Message queue re-encryption failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Queue one message per recipient and mark their captures 'queued' so a
+   * repeated send can't pick them up again. recipients: [{ captureId, phoneNumber, body, notBefore }]
+   * where notBefore (ms) is the earliest send time, template: { id, version } rendered for
+   * this batch, sendAt: the requested time for scheduled batches, claimFrom: capture
+   * statuses that may be queued ('new', or 'sent'/'failed' for a resend)
+   */
+  async enqueueBatch({
+    sessionId, username, preview, recipients, template = null, sendAt = null, claimFrom = ['new']
+  }) {
+    const batchId = crypto.randomUUID();
+    const now = Date.now();
+
+    const jobs = await this.transaction(async () => {
+      await this.run(
+        `INSERT INTO message_batches
+         (id, session_id, mo_username, total, template_id, template_version, scheduled_for)
+         VALUES (?, ?, ?, 0, ?, ?, ?)`,
+        [batchId, sessionId, username, template?.id ?? null, template?.version ?? null,
+          sendAt ? sendAt.toISOString() : null]
+      );
+
+      const queued = [];
+      for (const recipient of recipients) {
+        // Claim the capture first; a concurrent send may already have it
+        const [capture] = await this.all(
+          `SELECT status FROM captured_data
+           WHERE id = ? AND status IN (${claimFrom.map(() => '?').join(', ')})`,
+          [recipient.captureId, ...claimFrom]
+        );
+        if (!capture) continue;
+
+        const claim = await this.run(
+          `UPDATE captured_data SET status = 'queued' WHERE id = ? AND status = ?`,
+          [recipient.captureId, capture.status]
+        );
+        if (claim.changes === 0) continue;
+
+        const nextAttemptAt = Math.max(recipient.notBefore ?? now, now);
+        const result = await this.run(
+          `INSERT INTO message_jobs
+           (batch_id, session_id, mo_username, capture_id, claimed_from, encrypted_phone, phone_index,
+            encrypted_body, message_preview, idempotency_key, next_attempt_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [batchId, sessionId, username, recipient.captureId, capture.status,
+            keyring.encrypt(recipient.phoneNumber), phoneIndex(recipient.phoneNumber),
+            keyring.encrypt(recipient.body), preview, `${batchId}:${recipient.captureId}`, nextAttemptAt]
+        );
+
+        queued.push({
+          jobId: result.lastID,
+          captureId: recipient.captureId,
+          phone: maskPhone(recipient.phoneNumber),
+          status: 'queued',
+          scheduledFor: new Date(nextAttemptAt).toISOString()
+        });
+      }
+
+      if (queued.length === 0) {
+        const error = new Error('No eligible recipients in current session');
+        error.code = 'NO_RECIPIENTS';
+        throw error;
+      }
+
+      await this.run(`UPDATE message_batches SET total = ? WHERE id = ?`, [queued.length, batchId]);
+      return queued;
+    });
+
+    return { batchId, jobs };
+  }
+
+  /**
+   * Atomically lease due jobs (including ones abandoned mid-send). The
+   * lease allows for every claimed job being sent in turn; its expiry time
+   * identifies this claim, so a worker whose lease ran out can't touch a
+   * job another worker has since reclaimed.
+   */
+  async claimDue(limit) {
+    const now = Date.now();
+    const lockedUntil = now + limit * smsConfig.queue.lease;
+    const rows = await this.serialWrite(() => this.all(
+      `UPDATE message_jobs
+       SET status = 'sending', attempts = attempts + 1, locked_until = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM message_jobs
+         WHERE (status = 'queued' AND next_attempt_at <= ?)
+            OR (status = 'sending' AND locked_until < ?)
+         ORDER BY next_attempt_at, id
+         LIMIT ?
+       )
+       RETURNING *`,
+      [lockedUntil, now, now, limit]
+    ));
+
+    const jobs = [];
+    for (const row of rows) {
+      const job = {
+        id: row.id,
+        batchId: row.batch_id,
+        sessionId: row.session_id,
+        username: row.mo_username,
+        captureId: row.capture_id,
+        claimedFrom: row.claimed_from || 'new',
+        preview: row.message_preview,
+        idempotencyKey: row.idempotency_key,
+        attempts: row.attempts,
+        lockedUntil
+      };
+
+      try {
+        job.phoneNumber = keyring.decrypt(row.encrypted_phone);
+        job.body = keyring.decrypt(row.encrypted_body);
+        jobs.push(job);
+      } catch (error) {
+        // Written under a key that is gone; fail it rather than the whole claim
+        await this.failUnreadable(job, error);
+      }
+    }
+
+    return jobs;
+  }
+
+  async failUnreadable(job, error) {
+    logger.warn('Message job could not be decrypted', { jobId: job.id, batchId: job.batchId, error: error.message });
+
+    if (await this.markFailed(job, 'failed', 'Message could not be decrypted')) {
+      await this.serialWrite(() => this.run(
+        `UPDATE captured_data SET status = 'failed' WHERE id = ? AND status = 'queued'`,
+        [job.captureId]
+      ));
+    }
+  }
+
+  /**
+   * Update a claimed job only while this worker's lease on it holds.
+   * Resolves false if the lease expired and the job was reclaimed.
+   */
+  async updateLeased(job, assignments, params) {
+    const result = await this.serialWrite(() => this.run(
+      `UPDATE message_jobs SET ${assignments}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'sending' AND locked_until = ?`,
+      [...params, job.id, job.lockedUntil]
+    ));
+    return result.changes > 0;
+  }
+
+  /**
+   * Restart the lease just before a send, so the provider call always
+   * has a full lease period however long earlier jobs in the claim took
+   */
+  async renewLease(job) {
+    const lockedUntil = Date.now() + smsConfig.queue.lease;
+    const held = await this.updateLeased(job, 'locked_until = ?', [lockedUntil]);
+    if (held) job.lockedUntil = lockedUntil;
+    return held;
+  }
+
+  async markSent(job, deliveryId) {
+    return this.updateLeased(
+      job,
+      `status = 'sent', delivery_id = ?, locked_until = NULL, last_error = NULL`,
+      [deliveryId]
+    );
+  }
+
+  /**
+   * Put a claimed job back unsent (quiet hours); the claim doesn't count as an attempt
+   */
+  async defer(job, nextAttemptAt) {
+    return this.updateLeased(
+      job,
+      `status = 'queued', attempts = attempts - 1, next_attempt_at = ?, locked_until = NULL`,
+      [nextAttemptAt]
+    );
+  }
+
+  /**
+   * Resolves the next attempt time, or null if the lease was lost
+   */
+  async scheduleRetry(job, error) {
+    const { baseDelay, maxDelay } = smsConfig.queue;
+    const nextAttemptAt = Date.now() + Math.min(baseDelay * 2 ** (job.attempts - 1), maxDelay);
+
+    const held = await this.updateLeased(
+      job,
+      `status = 'queued', next_attempt_at = ?, locked_until = NULL, last_error = ?`,
+      [nextAttemptAt, error]
+    );
+    return held ? nextAttemptAt : null;
+  }
+
+  /**
+   * Terminal failure: 'dead' (retries exhausted), 'failed' (permanent) or 'suppressed'
+   */
+  async markFailed(job, status, error) {
+    return this.updateLeased(
+      job,
+      `status = ?, locked_until = NULL, last_error = ?`,
+      [status, error]
+    );
+  }
+
+  findBatch(batchId, username) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM message_batches WHERE id = ? AND mo_username = ?`,
+        [batchId, username],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  }
+
+  /**
+   * Cancel every job of a batch that hasn't been picked up for sending
+   * and return its captures to the status they were queued from ('new',
+   * or 'sent'/'failed' for a resend). Jobs already sending finish.
+   */
+  async cancelBatch(batchId, username) {
+    return this.transaction(async () => {
+      const batch = await this.findBatch(batchId, username);
+      if (!batch) return null;
+
+      const pending = await this.all(
+        `SELECT id, capture_id FROM message_jobs WHERE batch_id = ? AND status = 'queued'`,
+        [batchId]
+      );
+      if (pending.length === 0) {
+        const error = new Error('Batch has no messages waiting to be sent');
+        error.code = 'BATCH_NOT_PENDING';
+        throw error;
+      }
+
+      // Jobs queued before claimed_from was recorded fall back to 'new'
+      await this.run(
+        `UPDATE captured_data SET status = COALESCE((
+           SELECT claimed_from FROM message_jobs
+           WHERE batch_id = ? AND status = 'queued' AND capture_id = captured_data.id
+         ), 'new')
+         WHERE status = 'queued' AND id IN (
+           SELECT capture_id FROM message_jobs WHERE batch_id = ? AND status = 'queued'
+         )`,
+        [batchId, batchId]
+      );
+      await this.run(
+        `UPDATE message_jobs SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+         WHERE batch_id = ? AND status = 'queued'`,
+        [batchId]
+      );
+      await this.run(
+        `UPDATE message_batches SET cancelled_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [batchId]
+      );
+
+      return { cancelled: pending.length, jobIds: pending.map(job => job.id) };
+    });
+  }
+
+  /**
+   * Move a batch's not-yet-attempted jobs to a new send time.
+   * notBeforeFor(phoneNumber) gives each recipient's earliest time (ms).
+   */
+  async rescheduleBatch(batchId, username, sendAt, notBeforeFor) {
+    return this.transaction(async () => {
+      const batch = await this.findBatch(batchId, username);
+      if (!batch) return null;
+
+      const pending = await this.all(
+        `SELECT id, encrypted_phone FROM message_jobs
+         WHERE batch_id = ? AND status = 'queued' AND attempts = 0`,
+        [batchId]
+      );
+      if (pending.length === 0) {
+        const error = new Error('Batch has no messages waiting to be sent');
+        error.code = 'BATCH_NOT_PENDING';
+        throw error;
+      }
+
+      const jobs = [];
+      for (const job of pending) {
+        const nextAttemptAt = notBeforeFor(keyring.decrypt(job.encrypted_phone));
+        await this.run(
+          `UPDATE message_jobs SET next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ? AND status = 'queued'`,
+          [nextAttemptAt, job.id]
+        );
+        jobs.push({ jobId: job.id, scheduledFor: new Date(nextAttemptAt).toISOString() });
+      }
+
+      await this.run(
+        `UPDATE message_batches SET scheduled_for = ? WHERE id = ?`,
+        [sendAt.toISOString(), batchId]
+      );
+
+      return { rescheduled: jobs.length, jobs };
+    });
+  }
+
+  async getBatch(batchId, username) {
+    const batch = await this.findBatch(batchId, username);
+    if (!batch) return null;
+
+    const jobs = await this.all(
+      `SELECT * FROM message_jobs WHERE batch_id = ? ORDER BY id`,
+      [batchId]
+    );
+
+    const counts = { queued: 0, sending: 0, sent: 0, failed: 0, dead: 0, suppressed: 0, cancelled: 0 };
+    jobs.forEach((job) => { counts[job.status] += 1; });
+
+    return {
+      batchId: batch.id,
+      createdAt: batch.created_at,
+      scheduledFor: batch.scheduled_for,
+      cancelledAt: batch.cancelled_at,
+      total: batch.total,
+      template: batch.template_id ? { id: batch.template_id, version: batch.template_version } : null,
+      counts,
+      complete: jobs.every(job => TERMINAL_STATUSES.includes(job.status)),
+      recipients: jobs.map(job => ({
+        jobId: job.id,
+        captureId: job.capture_id,
+        phone: maskPhone(keyring.decrypt(job.encrypted_phone)),
+        status: job.status,
+        attempts: job.attempts,
+        nextAttemptAt: job.status === 'queued' ? new Date(job.next_attempt_at).toISOString() : null,
+        lastError: job.last_error,
+        deliveryId: job.delivery_id
+      }))
+    };
+  }
+
+  /**
+   * Queue jobs for one capture (pending, cancelled and finished), oldest first
+   */
+  async getJobsForCapture(captureId, username) {
+    const jobs = await this.all(
+      `SELECT * FROM message_jobs WHERE capture_id = ? AND mo_username = ? ORDER BY id`,
+      [captureId, username]
+    );
+
+    return jobs.map(job => ({
+      jobId: job.id,
+      batchId: job.batch_id,
+      status: job.status,
+      attempts: job.attempts,
+      nextAttemptAt: job.status === 'queued' ? new Date(job.next_attempt_at).toISOString() : null,
+      lastError: job.last_error,
+      deliveryId: job.delivery_id,
+      createdAt: job.created_at,
+      updatedAt: job.updated_at
+    }));
+  }
+
+  async cleanupFinished() {
+    const cutoff = new Date(Date.now() - smsConfig.queue.retention).toISOString();
+    const terminal = TERMINAL_STATUSES.map(() => '?').join(', ');
+
+    this.db.serialize(() => {
+      this.db.run(
+        `DELETE FROM message_jobs WHERE status IN (${terminal}) AND updated_at < datetime(?)`,
+        [...TERMINAL_STATUSES, cutoff]
+      );
+      this.db.run(
+        `DELETE FROM message_batches WHERE created_at < datetime(?)
+         AND id NOT IN (SELECT batch_id FROM message_jobs)`,
+        [cutoff]
+      );
+    });
+  }
+}
+
+module.exports = new MessageQueue();
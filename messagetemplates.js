@@ -0,0 +1,255 @@
+/**
+ * Message Templates Model - Centrally approved message wording
+ * Every content change creates a new immutable version; sends record
+ * the version they rendered so past messages stay explainable
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const storageConfig = require('../config/storage');
+
+const DB_PATH = storageConfig.dataPath('demo-sessions.db');
+
+// Seeded on first run; reproduces the original fixed wording
+const DEFAULT_TEMPLATE = {
+  name: 'default',
+  description: 'Free-text message followed by the safety code',
+  body: '{{message}}\n\nSafety Code: {{safetyCode}}',
+  language: 'en',
+  variables: { message: null }
+};
+
+const toTemplate = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  status: row.status,
+  version: row.version,
+  currentVersion: row.current_version,
+  body: row.body,
+  language: row.language,
+  variables: JSON.parse(row.variables || '{}'),
+  createdBy: row.version_created_by,
+  createdAt: row.version_created_at,
+  updatedAt: row.updated_at
+});
+
+class MessageTemplates {
+  constructor() {
+    this.db = new sqlite3.Database(DB_PATH);
+    this.db.configure('busyTimeout', 5000);
+    this.writeQueue = Promise.resolve();
+    this.ready = this.init();
+  }
+
+  async init() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS message_templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        description TEXT,
+        status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'archived')),
+        current_version INTEGER NOT NULL DEFAULT 1,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Immutable content history
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS message_template_versions (
+        template_id INTEGER NOT NULL,
+        version INTEGER NOT NULL,
+        body TEXT NOT NULL,
+        language TEXT NOT NULL DEFAULT 'en',
+        variables TEXT NOT NULL DEFAULT '{}',
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (template_id, version),
+        FOREIGN KEY (template_id) REFERENCES message_templates(id)
+      )
+    `);
+
+    const existing = await this.getByName(DEFAULT_TEMPLATE.name);
+    if (!existing) {
+      await this.create({ ...DEFAULT_TEMPLATE, createdBy: 'system' }).catch(() => {}); // Another worker may win
+    }
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  transaction(work) {
+    const result = this.writeQueue.then(async () => {
+      await this.run('BEGIN IMMEDIATE');
+      try {
+        const value = await work();
+        await this.run('COMMIT');
+        return value;
+      } catch (err) {
+        await this.run('ROLLBACK').catch(() => {});
+        throw err;
+      }
+    });
+
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Template at a version (current when omitted)
+   */
+  async findById(id, version = null) {
+    const row = await this.get(
+      `SELECT t.*, v.version, v.body, v.language, v.variables,
+              v.created_by AS version_created_by, v.created_at AS version_created_at
+       FROM message_templates t
+       JOIN message_template_versions v ON v.template_id = t.id
+       WHERE t.id = ? AND v.version = COALESCE(?, t.current_version)`,
+      [id, version]
+    );
+    return row ? toTemplate(row) : null;
+  }
+
+  async getByName(name) {
+    const row = await this.get(`SELECT id FROM message_templates WHERE name = ?`, [name]);
+    return row ? this.findById(row.id) : null;
+  }
+
+  async getDefault() {
+    return this.getByName(DEFAULT_TEMPLATE.name);
+  }
+
+  async list({ includeArchived = false } = {}) {
+    const rows = await this.all(
+      `SELECT t.*, v.version, v.body, v.language, v.variables,
+              v.created_by AS version_created_by, v.created_at AS version_created_at
+       FROM message_templates t
+       JOIN message_template_versions v ON v.template_id = t.id AND v.version = t.current_version
+       ${includeArchived ? '' : `WHERE t.status = 'active'`}
+       ORDER BY t.name`
+    );
+    return rows.map(toTemplate);
+  }
+
+  async listVersions(id) {
+    const rows = await this.all(
+      `SELECT version, body, language, variables, created_by, created_at
+       FROM message_template_versions WHERE template_id = ? ORDER BY version DESC`,
+      [id]
+    );
+    return rows.map(row => ({
+      version: row.version,
+      body: row.body,
+      language: row.language,
+      variables: JSON.parse(row.variables),
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    }));
+  }
+
+  async create({ name, description = null, body, language = 'en', variables = {}, createdBy }) {
+    const id = await this.transaction(async () => {
+      const existing = await this.get(`SELECT id FROM message_templates WHERE name = ?`, [name]);
+      if (existing) {
+        const error = new Error('A template with this name already exists');
+        error.code = 'TEMPLATE_EXISTS';
+        throw error;
+      }
+
+      const result = await this.run(
+        `INSERT INTO message_templates (name, description, created_by) VALUES (?, ?, ?)`,
+        [name, description, createdBy]
+      );
+      await this.run(
+        `INSERT INTO message_template_versions (template_id, version, body, language, variables, created_by)
+         VALUES (?, 1, ?, ?, ?, ?)`,
+        [result.lastID, body, language, JSON.stringify(variables), createdBy]
+      );
+      return result.lastID;
+    });
+
+    return this.findById(id);
+  }
+
+  /**
+   * Rename/describe in place; body, language or variables add a version
+   */
+  async update(id, changes, updatedBy) {
+    await this.transaction(async () => {
+      const current = await this.findById(id);
+      if (!current) {
+        const error = new Error('Template not found');
+        error.code = 'TEMPLATE_NOT_FOUND';
+        throw error;
+      }
+
+      if (changes.name !== undefined && changes.name !== current.name) {
+        const clash = await this.get(`SELECT id FROM message_templates WHERE name = ? AND id != ?`, [changes.name, id]);
+        if (clash) {
+          const error = new Error('A template with this name already exists');
+          error.code = 'TEMPLATE_EXISTS';
+          throw error;
+        }
+      }
+
+      const contentChanged = ['body', 'language', 'variables'].some(field => changes[field] !== undefined);
+      const version = contentChanged ? current.currentVersion + 1 : current.currentVersion;
+
+      if (contentChanged) {
+        await this.run(
+          `INSERT INTO message_template_versions (template_id, version, body, language, variables, created_by)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [id, version, changes.body ?? current.body, changes.language ?? current.language,
+            JSON.stringify(changes.variables ?? current.variables), updatedBy]
+        );
+      }
+
+      await this.run(
+        `UPDATE message_templates
+         SET name = ?, description = ?, current_version = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [changes.name ?? current.name, changes.description ?? current.description, version, id]
+      );
+    });
+
+    return this.findById(id);
+  }
+
+  /**
+   * Archived templates can't be used for new sends; history is kept
+   */
+  async setStatus(id, status) {
+    const result = await this.run(
+      `UPDATE message_templates SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [status, id]
+    );
+    return { updated: result.changes };
+  }
+}
+
+module.exports = new MessageTemplates();
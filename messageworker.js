@@ -0,0 +1,200 @@
+/**
+ * Message Worker - drains the outbound queue in the background
+ * Transient provider errors are retried with exponential backoff;
+ * jobs that exhaust their attempts are dead-lettered. A job that comes due
+ * inside the recipient's quiet hours (e.g. a retry) is put back until they end.
+ */
+
+const MessageQueue = require('../models/MessageQueue');
+const SessionData = require('../models/SessionData');
+const SuppressionList = require('../models/SuppressionList');
+const AuditLog = require('../models/AuditLog');
+const smsService = require('./smsService');
+const eventBus = require('./eventBus');
+const { timeZonesFor, nextAllowedTime } = require('./quietHours');
+const smsConfig = require('../config/sms');
+const logger = require('./logger');
+
+class MessageWorker {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.logger = logger;
+  }
+
+  start() {
+    this.stopped = false;
+    this.schedule(0);
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+  }
+
+  /**
+   * Poll now instead of waiting for the next interval (new batch queued)
+   */
+  wake() {
+    if (!this.stopped && !this.running) this.schedule(0);
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    let claimed = 0;
+
+    try {
+      const jobs = await MessageQueue.claimDue(smsConfig.queue.claimSize);
+      claimed = jobs.length;
+
+      for (const job of jobs) {
+        try {
+          await this.process(job);
+        } catch (error) {
+          await this.processFailed(job, error);
+        }
+      }
+    } catch (error) {
+      this.logger.error('Message worker error', { error: error.message });
+    } finally {
+      this.running = false;
+      // A full claim means more may be due; keep going without waiting
+      if (!this.stopped) {
+        this.schedule(claimed === smsConfig.queue.claimSize ? 0 : smsConfig.queue.pollInterval);
+      }
+    }
+  }
+
+  audit(action, job, details = {}) {
+    AuditLog.append({
+      timestamp: new Date().toISOString(),
+      action,
+      user: job.username,
+      sessionId: job.sessionId,
+      batchId: job.batchId,
+      jobId: job.id,
+      attempt: job.attempts,
+      ...details
+    }).catch((err) => {
+      this.logger.error('Audit store write failed', { error: err.message, action });
+    });
+  }
+
+  /**
+   * Push a recipient's progress to the sending session's open pages
+   */
+  notify(job, status, details = {}) {
+    eventBus.publish(job.sessionId, 'delivery.status', {
+      captureId: job.captureId,
+      batchId: job.batchId,
+      status,
+      ...details
+    });
+  }
+
+  /**
+   * Another worker reclaimed the job after this one's lease ran out; that
+   * worker owns it now, so nothing more is recorded here
+   */
+  leaseLost(job, stage) {
+    this.logger.warn('Message job lease lost', { jobId: job.id, batchId: job.batchId, stage });
+  }
+
+  async process(job) {
+    // Consent can be withdrawn while a job waits in the queue
+    if (await SuppressionList.isSuppressed(job.phoneNumber)) {
+      if (!(await MessageQueue.markFailed(job, 'suppressed', 'Recipient opted out'))) {
+        return this.leaseLost(job, 'suppress');
+      }
+      // Nothing was sent; the capture keeps the status it was queued from
+      await SessionData.setCaptureStatus(job.captureId, job.claimedFrom);
+      this.audit('MESSAGE_SUPPRESSED', job);
+      this.notify(job, 'suppressed');
+      return;
+    }
+
+    const now = new Date();
+    const allowedAt = nextAllowedTime(now, timeZonesFor(job.phoneNumber));
+    if (allowedAt > now) {
+      if (!(await MessageQueue.defer(job, allowedAt.getTime()))) return this.leaseLost(job, 'defer');
+      this.audit('MESSAGE_DEFERRED', job, { reason: 'quiet_hours', nextAttemptAt: allowedAt.toISOString() });
+      this.notify(job, 'deferred', { nextAttemptAt: allowedAt.toISOString() });
+      return;
+    }
+
+    if (!(await MessageQueue.renewLease(job))) return this.leaseLost(job, 'send');
+
+    let delivery;
+    try {
+      delivery = await smsService.send({
+        to: job.phoneNumber,
+        message: job.body,
+        reference: job.idempotencyKey
+      });
+    } catch (error) {
+      await this.handleFailure(job, error);
+      return;
+    }
+
+    // If bookkeeping fails the lease expires and the job is resent under the
+    // same idempotency key, which the provider can recognise
+    if (!(await MessageQueue.markSent(job, delivery.id))) return this.leaseLost(job, 'sent');
+    await SessionData.setCaptureStatus(job.captureId, 'sent');
+    await SessionData.logMessage(
+      job.sessionId, job.username, job.phoneNumber, job.preview, 'sent', delivery.id, job.captureId
+    );
+
+    this.audit('MESSAGE_SENT', job, { deliveryId: delivery.id });
+    this.notify(job, 'sent', { deliveryId: delivery.id });
+  }
+
+  /**
+   * process() threw (a storage error, not a provider answer): retry the job
+   * like a transient send failure and carry on with the rest of the claim.
+   * If even that fails, the lease runs out and the job is reclaimed.
+   */
+  async processFailed(job, error) {
+    this.logger.error('Message job processing failed', { jobId: job.id, batchId: job.batchId, error: error.message });
+
+    try {
+      const failure = new Error(error.message);
+      failure.retryable = true;
+      await this.handleFailure(job, failure);
+    } catch (releaseError) {
+      this.logger.error('Message job could not be released', { jobId: job.id, error: releaseError.message });
+    }
+  }
+
+  async handleFailure(job, error) {
+    const retryable = Boolean(error.retryable);
+
+    if (retryable && job.attempts < smsConfig.queue.maxAttempts) {
+      const nextAttemptAt = await MessageQueue.scheduleRetry(job, error.message);
+      if (!nextAttemptAt) return this.leaseLost(job, 'retry');
+      this.audit('MESSAGE_RETRY_SCHEDULED', job, {
+        error: error.message,
+        nextAttemptAt: new Date(nextAttemptAt).toISOString()
+      });
+      this.notify(job, 'retrying', { nextAttemptAt: new Date(nextAttemptAt).toISOString() });
+      return;
+    }
+
+    const status = retryable ? 'dead' : 'failed';
+    if (!(await MessageQueue.markFailed(job, status, error.message))) return this.leaseLost(job, status);
+    await SessionData.setCaptureStatus(job.captureId, 'failed');
+    await SessionData.logMessage(
+      job.sessionId, job.username, job.phoneNumber, job.preview, 'failed', null, job.captureId
+    );
+
+    this.audit(status === 'dead' ? 'MESSAGE_DEAD_LETTERED' : 'MESSAGE_FAILED', job, { error: error.message });
+    this.notify(job, 'failed');
+  }
+}
+
+module.exports = new MessageWorker();
@@ -0,0 +1,110 @@
+/**
+ * Password policy enforcement
+ * Single source for the rules in securityConfig.passwordPolicy
+ */
+
+const securityConfig = require('../config/security');
+
+const MAX_LENGTH = 128;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rules derived from config; each returns true when satisfied
+ */
+const buildRules = (policy = securityConfig.passwordPolicy) => [
+  {
+    id: 'minLength',
+    message: `At least ${policy.minLength} characters`,
+    test: (pw) => pw.length >= policy.minLength
+  },
+  {
+    id: 'maxLength',
+    message: `No more than ${MAX_LENGTH} characters`,
+    test: (pw) => pw.length <= MAX_LENGTH
+  },
+  policy.requireUppercase && {
+    id: 'uppercase',
+    message: 'An uppercase letter',
+    test: (pw) => /[A-Z]/.test(pw)
+  },
+  policy.requireLowercase && {
+    id: 'lowercase',
+    message: 'A lowercase letter',
+    test: (pw) => /[a-z]/.test(pw)
+  },
+  policy.requireNumbers && {
+    id: 'number',
+    message: 'A number',
+    test: (pw) => /\d/.test(pw)
+  },
+  policy.requireSpecialChars && {
+    id: 'special',
+    message: 'A special character',
+    test: (pw) => /[^A-Za-z0-9]/.test(pw)
+  }
+].filter(Boolean);
+
+/**
+ * Check a candidate password; returns the list of unmet rules
+ */
+const checkPassword = (password, { username } = {}) => {
+  const failures = buildRules()
+    .filter(rule => !rule.test(password))
+    .map(({ id, message }) => ({ rule: id, message }));
+
+  if (username && password.toLowerCase().includes(username.toLowerCase())) {
+    failures.push({ rule: 'username', message: 'Must not contain your username' });
+  }
+
+  return failures;
+};
+
+/**
+ * SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+ */
+const parseTimestamp = (value) => {
+  if (!value) return null;
+  const iso = value.includes('T') ? value : `${value.replace(' ', 'T')}Z`;
+  return new Date(iso);
+};
+
+/**
+ * Expired by age (maxAge days) or flagged for change by an admin reset
+ */
+const getPasswordStatus = (user) => {
+  if (user.mustChangePassword) {
+    return { changeRequired: true, code: 'PASSWORD_RESET_REQUIRED' };
+  }
+
+  const changedAt = parseTimestamp(user.passwordChangedAt);
+  const maxAgeMs = securityConfig.passwordPolicy.maxAge * DAY_MS;
+  if (!changedAt || Date.now() - changedAt.getTime() > maxAgeMs) {
+    return { changeRequired: true, code: 'PASSWORD_EXPIRED' };
+  }
+
+  return { changeRequired: false };
+};
+
+/**
+ * Policy description for clients (live strength meter)
+ */
+const describePolicy = () => {
+  const policy = securityConfig.passwordPolicy;
+  return {
+    minLength: policy.minLength,
+    maxLength: MAX_LENGTH,
+    requireUppercase: policy.requireUppercase,
+    requireLowercase: policy.requireLowercase,
+    requireNumbers: policy.requireNumbers,
+    requireSpecialChars: policy.requireSpecialChars,
+    maxAgeDays: policy.maxAge,
+    historyCount: policy.historyCount
+  };
+};
+
+module.exports = {
+  checkPassword,
+  getPasswordStatus,
+  describePolicy,
+  parseTimestamp
+};
@@ -0,0 +1,95 @@
+/**
+ * Role-based access control
+ * Declarative permission checks layered on top of requireAuth
+ */
+
+// Capabilities checked by routes
+const PERMISSIONS = {
+  CAPTURE_CREATE: 'capture:create',
+  CAPTURE_READ: 'capture:read',
+  MESSAGE_SEND: 'message:send',
+  MESSAGE_STATUS: 'message:status',
+  TEMPLATES_MANAGE: 'templates:manage',
+  AUDIT_READ: 'audit:read',
+  USERS_MANAGE: 'users:manage'
+};
+
+// Role grants (admin holds every permission)
+const ROLE_PERMISSIONS = {
+  admin: Object.values(PERMISSIONS),
+  operator: [
+    PERMISSIONS.CAPTURE_CREATE,
+    PERMISSIONS.CAPTURE_READ,
+    PERMISSIONS.MESSAGE_SEND,
+    PERMISSIONS.MESSAGE_STATUS
+  ]
+};
+
+/**
+ * Effective permissions for a role (unknown roles get none)
+ */
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+/**
+ * Structured 403 with an audit entry
+ */
+const denyAccess = (req, res, details) => {
+  req.auditLog('ACCESS_DENIED', {
+    role: req.session?.moUser?.role,
+    ...details
+  });
+
+  return res.status(403).json({
+    error: 'You do not have permission to perform this action',
+    code: 'FORBIDDEN',
+    ...details
+  });
+};
+
+/**
+ * Middleware: Require every listed permission (use after requireAuth)
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  const role = req.session?.moUser?.role;
+  if (!role) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      code: 'AUTH_REQUIRED'
+    });
+  }
+
+  const missing = permissions.filter(p => !hasPermission(role, p));
+  if (missing.length > 0) {
+    return denyAccess(req, res, { required: missing });
+  }
+  next();
+};
+
+/**
+ * Middleware: Require one of the listed roles (use after requireAuth)
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  const role = req.session?.moUser?.role;
+  if (!role) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      code: 'AUTH_REQUIRED'
+    });
+  }
+
+  if (!roles.includes(role)) {
+    return denyAccess(req, res, { requiredRole: roles });
+  }
+  next();
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission,
+  requirePermission,
+  requireRole
+};
@@ -0,0 +1,123 @@
+/**
+ * Phone number normalization
+ * Turns operator input (international or national format) into canonical
+ * E.164, rejects numbers that can't exist in their country, and classifies
+ * the line type where the numbering plan says. National-format input is read
+ * in the operator's default region, falling back to the deployment's.
+ */
+
+const { parsePhoneNumberWithError, ParseError, isSupportedCountry } = require('libphonenumber-js/max');
+
+const DEPLOYMENT_REGION = (process.env.PHONE_DEFAULT_REGION || 'US').toUpperCase();
+
+if (!isSupportedCountry(DEPLOYMENT_REGION)) {
+  throw new Error(`PHONE_DEFAULT_REGION "${DEPLOYMENT_REGION}" is not a supported region code`);
+}
+
+// libphonenumber types collapsed to what messaging cares about
+const LINE_TYPES = {
+  MOBILE: 'mobile',
+  FIXED_LINE: 'landline',
+  FIXED_LINE_OR_MOBILE: 'mobile_or_landline',
+  VOIP: 'voip',
+  PAGER: 'other',
+  PERSONAL_NUMBER: 'other',
+  TOLL_FREE: 'other',
+  PREMIUM_RATE: 'other',
+  SHARED_COST: 'other',
+  UAN: 'other',
+  VOICEMAIL: 'other'
+};
+
+const PARSE_REASONS = {
+  NOT_A_NUMBER: 'Not a phone number',
+  INVALID_COUNTRY: 'Unknown or missing country code (e.g. +44)',
+  TOO_SHORT: 'Phone number is too short',
+  TOO_LONG: 'Phone number is too long'
+};
+
+const phoneError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_PHONE';
+  return error;
+};
+
+/**
+ * Default region for an operator ({ defaultRegion } from the session)
+ */
+const regionFor = (user) => user?.defaultRegion || DEPLOYMENT_REGION;
+
+const parse = (input, region) => {
+  try {
+    return parsePhoneNumberWithError(input, region);
+  } catch (error) {
+    if (error instanceof ParseError) throw phoneError(PARSE_REASONS[error.message] || 'Invalid phone number');
+    throw error;
+  }
+};
+
+/**
+ * Canonical form of a number: { e164, country, lineType }.
+ * Throws INVALID_PHONE with a readable reason.
+ */
+const normalizePhone = (input, region = DEPLOYMENT_REGION) => {
+  const text = String(input ?? '').trim();
+  if (!/^[+\d\s().-]{3,25}$/.test(text)) throw phoneError('Invalid phone number format');
+
+  let number = parse(text, region);
+
+  // "447911123456": an international number typed without the +
+  if (!number.isValid() && !text.startsWith('+') && /^[1-9]/.test(text)) {
+    try {
+      const international = parse(`+${text}`, region);
+      if (international.isValid()) number = international;
+    } catch (error) {
+      // Keep the national reading and its error below
+    }
+  }
+
+  if (!number.isPossible()) throw phoneError(`Phone number has the wrong length for ${number.country || 'its country'}`);
+  if (!number.isValid()) throw phoneError(`Phone number does not exist in ${number.country || 'its country'}`);
+
+  return {
+    e164: number.number,
+    country: number.country || null,
+    lineType: LINE_TYPES[number.getType()] || 'unknown'
+  };
+};
+
+/**
+ * True when both inputs are the same number (double-entry check)
+ */
+const samePhone = (a, b, region = DEPLOYMENT_REGION) => {
+  try {
+    return normalizePhone(a, region).e164 === normalizePhone(b, region).e164;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Display mask keeping the country code and last three digits: +44 79*****456
+ */
+const maskPhone = (phoneNumber) => {
+  try {
+    const number = parsePhoneNumberWithError(String(phoneNumber));
+    const national = number.nationalNumber;
+    const shown = national.length > 6 ? 2 : 0;
+    return `+${number.countryCallingCode} ${national.slice(0, shown)}${'*'.repeat(national.length - shown - 3)}${national.slice(-3)}`;
+  } catch (error) {
+    // Not parseable (legacy data): keep only the last three digits
+    const digits = String(phoneNumber).replace(/\D/g, '');
+    return `${'*'.repeat(Math.max(digits.length - 3, 0))}${digits.slice(-3)}`;
+  }
+};
+
+module.exports = {
+  DEPLOYMENT_REGION,
+  regionFor,
+  normalizePhone,
+  samePhone,
+  maskPhone,
+  isSupportedCountry
+};
@@ -0,0 +1,130 @@
+/**
+ * Quiet hours - no messages land during the recipient's local night
+ * The recipient's time zone comes from the E.164 country calling code.
+ * Countries spanning several zones list them all, and a time only counts
+ * as allowed when it is outside quiet hours in every one of them.
+ */
+
+const smsConfig = require('../config/sms');
+
+// Calling code -> IANA time zones (longest prefix wins)
+const CALLING_CODE_ZONES = {
+  1: ['America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles'],
+  7: ['Europe/Moscow'],
+  20: ['Africa/Cairo'],
+  27: ['Africa/Johannesburg'],
+  30: ['Europe/Athens'],
+  31: ['Europe/Amsterdam'],
+  32: ['Europe/Brussels'],
+  33: ['Europe/Paris'],
+  34: ['Europe/Madrid'],
+  36: ['Europe/Budapest'],
+  39: ['Europe/Rome'],
+  40: ['Europe/Bucharest'],
+  41: ['Europe/Zurich'],
+  43: ['Europe/Vienna'],
+  44: ['Europe/London'],
+  45: ['Europe/Copenhagen'],
+  46: ['Europe/Stockholm'],
+  47: ['Europe/Oslo'],
+  48: ['Europe/Warsaw'],
+  49: ['Europe/Berlin'],
+  51: ['America/Lima'],
+  52: ['America/Mexico_City'],
+  54: ['America/Argentina/Buenos_Aires'],
+  55: ['America/Sao_Paulo'],
+  56: ['America/Santiago'],
+  57: ['America/Bogota'],
+  60: ['Asia/Kuala_Lumpur'],
+  61: ['Australia/Sydney', 'Australia/Perth'],
+  62: ['Asia/Jakarta'],
+  63: ['Asia/Manila'],
+  64: ['Pacific/Auckland'],
+  65: ['Asia/Singapore'],
+  66: ['Asia/Bangkok'],
+  81: ['Asia/Tokyo'],
+  82: ['Asia/Seoul'],
+  84: ['Asia/Ho_Chi_Minh'],
+  86: ['Asia/Shanghai'],
+  90: ['Europe/Istanbul'],
+  91: ['Asia/Kolkata'],
+  92: ['Asia/Karachi'],
+  212: ['Africa/Casablanca'],
+  234: ['Africa/Lagos'],
+  254: ['Africa/Nairobi'],
+  351: ['Europe/Lisbon'],
+  353: ['Europe/Dublin'],
+  880: ['Asia/Dhaka'],
+  966: ['Asia/Riyadh'],
+  971: ['Asia/Dubai'],
+  972: ['Asia/Jerusalem']
+};
+
+const formatters = new Map();
+
+const parseClock = (hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Minutes since local midnight in a zone
+ */
+const localMinutes = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  const parts = formatters.get(timeZone).formatToParts(date);
+  const hour = Number(parts.find(p => p.type === 'hour').value);
+  const minute = Number(parts.find(p => p.type === 'minute').value);
+  return hour * 60 + minute;
+};
+
+const timeZonesFor = (phoneNumber) => {
+  const digits = String(phoneNumber).replace(/\D/g, '');
+  for (const length of [3, 2, 1]) {
+    const zones = CALLING_CODE_ZONES[digits.substring(0, length)];
+    if (zones) return zones;
+  }
+  return smsConfig.quietHours.defaultTimeZones;
+};
+
+/**
+ * Minutes until quiet hours end in a zone (0 when not quiet)
+ */
+const minutesUntilAllowed = (date, timeZone) => {
+  const start = parseClock(smsConfig.quietHours.start);
+  const end = parseClock(smsConfig.quietHours.end);
+  const now = localMinutes(date, timeZone);
+
+  // Window may wrap midnight (21:00-08:00) or not (13:00-14:00)
+  const quiet = start > end ? (now >= start || now < end) : (now >= start && now < end);
+  if (!quiet) return 0;
+  return now < end ? end - now : 24 * 60 - now + end;
+};
+
+/**
+ * Earliest time at or after `date` outside quiet hours in every zone
+ */
+const nextAllowedTime = (date, zones) => {
+  if (!smsConfig.quietHours.enabled) return date;
+
+  let candidate = new Date(date);
+  // Each pass clears one zone's night; bounded in case zones never overlap
+  for (let i = 0; i < zones.length * 2 + 1; i++) {
+    const wait = Math.max(...zones.map(zone => minutesUntilAllowed(candidate, zone)));
+    if (wait === 0) return candidate;
+    candidate = new Date(candidate.getTime() + wait * 60 * 1000);
+  }
+  return candidate;
+};
+
+module.exports = {
+  timeZonesFor,
+  nextAllowedTime
+};
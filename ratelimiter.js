@@ -0,0 +1,151 @@
+/**
+ * Rate limiting middleware with named per-route policies
+ * Counters live in SQLite so they survive restarts and are shared by workers
+ */
+
+const rateLimit = require('express-rate-limit');
+const sqlite3 = require('sqlite3').verbose();
+const securityConfig = require('../config/security');
+const storageConfig = require('../config/storage');
+
+const DB_PATH = storageConfig.dataPath('rate-limits.db');
+
+/**
+ * express-rate-limit store backed by a shared SQLite table
+ */
+class SQLiteRateLimitStore {
+  constructor(db, prefix) {
+    this.db = db;
+    this.prefix = prefix;
+    this.localKeys = false; // Shared between processes
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT hits, reset_at FROM rate_limits WHERE key = ? AND reset_at > ?`,
+        [this.prefix + key, Date.now()],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row ? { totalHits: row.hits, resetTime: new Date(row.reset_at) } : undefined);
+        }
+      );
+    });
+  }
+
+  async increment(key) {
+    const now = Date.now();
+
+    return new Promise((resolve, reject) => {
+      // Start a fresh window once the previous one has elapsed
+      this.db.get(
+        `INSERT INTO rate_limits (key, hits, reset_at) VALUES (?, 1, ?)
+         ON CONFLICT(key) DO UPDATE SET
+           hits = CASE WHEN reset_at <= ? THEN 1 ELSE hits + 1 END,
+           reset_at = CASE WHEN reset_at <= ? THEN excluded.reset_at ELSE reset_at END
+         RETURNING hits, reset_at`,
+        [this.prefix + key, now + this.windowMs, now, now],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve({ totalHits: row.hits, resetTime: new Date(row.reset_at) });
+        }
+      );
+    });
+  }
+
+  async decrement(key) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE rate_limits SET hits = MAX(hits - 1, 0) WHERE key = ?`,
+        [this.prefix + key],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  async resetKey(key) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `DELETE FROM rate_limits WHERE key = ?`,
+        [this.prefix + key],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+}
+
+const db = new sqlite3.Database(DB_PATH);
+db.run(`
+  CREATE TABLE IF NOT EXISTS rate_limits (
+    key TEXT PRIMARY KEY,
+    hits INTEGER NOT NULL DEFAULT 0,
+    reset_at INTEGER NOT NULL
+  )
+`);
+
+// Expired windows are dead weight
+setInterval(() => {
+  db.run(`DELETE FROM rate_limits WHERE reset_at <= ?`, [Date.now()]);
+}, 10 * 60 * 1000).unref();
+
+/**
+ * One limiter for a policy and scope ('ip' or 'user')
+ */
+const createLimiter = (name, scope) => {
+  const { windowMs, limit, skipSuccessfulRequests = false } = securityConfig.rateLimits[name];
+
+  return rateLimit({
+    windowMs,
+    limit,
+    skipSuccessfulRequests, // Counted hits are taken back once a 2xx/3xx is sent
+    standardHeaders: 'draft-6', // RateLimit-Limit / -Remaining / -Reset
+    legacyHeaders: false,
+    store: new SQLiteRateLimitStore(db, `${name}:${scope}:`),
+    keyGenerator: (req) => (scope === 'user' ? req.session.moUser.username : req.ip),
+    // User scope only applies once someone is signed in
+    skip: (req) => scope === 'user' && !req.session?.moUser,
+    handler: (req, res, next, options) => {
+      req.auditLog('RATE_LIMIT_EXCEEDED', {
+        policy: name,
+        scope,
+        limit,
+        windowMs
+      });
+
+      res.status(options.statusCode).json({
+        error: 'Too many requests. Please slow down and try again later.',
+        code: 'RATE_LIMITED'
+      });
+    }
+  });
+};
+
+/**
+ * Policy middleware: IP limiter followed by the per-user limiter
+ */
+const createPolicy = (name, scopes = ['ip', 'user']) =>
+  scopes.map(scope => createLimiter(name, scope));
+
+const rateLimiter = {
+  general: createPolicy('general'),
+  login: createPolicy('login', ['ip']), // No user yet at login time
+  capture: createPolicy('capture'),
+  send: createPolicy('send'),
+  import: createPolicy('import'),
+  webhook: createPolicy('webhook', ['ip']) // Providers have no session
+};
+
+module.exports = {
+  rateLimiter,
+  SQLiteRateLimitStore
+};
@@ -5,9 +5,212 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
 const router = express.Router();
-const { requireAuth, validateMOCredentials, loginValidation, activeSessions } = require('../middleware/auth');
+const {
+  requireAuth,
+  requireAuthPassive,
+  trackSession,
+  checkConcurrentSessions,
+  validateMOCredentials,
+  loginValidation,
+  mfaCodeValidation,
+  totpCodeValidation,
+  passwordChangeValidation
+} = require('../middleware/auth');
 const { rateLimiter } = require('../middleware/rateLimiter');
+const { getPermissions } = require('../middleware/permissions');
+const securityConfig = require('../config/security');
 const SessionData = require('../models/SessionData');
+const sessionLifecycle = require('../services/sessionLifecycle');
+const eventBus = require('../services/eventBus');
+const UserMfa = require('../models/UserMfa');
+const UserStore = require('../models/UserStore');
+const LoginAttempts = require('../models/LoginAttempts');
+const { checkPassword, getPasswordStatus, describePolicy } = require('../services/passwordPolicy');
+const { regionFor } = require('../services/phoneNumber');
+
+/**
+ * Promise wrapper around session regeneration
+ */
+const regenerateSession = (req) => new Promise((resolve, reject) => {
+  req.session.regenerate((err) => (err ? reject(err) : resolve()));
+});
+
+/**
+ * Read the pending login (password verified, further steps outstanding)
+ */
+const getPendingLogin = (req) => {
+  const pending = req.session?.pendingLogin;
+  if (!pending) return null;
+
+  if (Date.now() - pending.startedAt > securityConfig.mfa.pendingTimeout) {
+    delete req.session.pendingLogin;
+    return null;
+  }
+  return pending;
+};
+
+/**
+ * Middleware: Require a pending login with steps still outstanding
+ */
+const requirePendingLogin = (req, res, next) => {
+  const pending = getPendingLogin(req);
+  if (!pending) {
+    return res.status(401).json({
+      error: 'Login expired. Please sign in again.',
+      code: 'LOGIN_REQUIRED'
+    });
+  }
+  req.pendingLogin = pending;
+  next();
+};
+
+/**
+ * Middleware: Enrollment is allowed for signed-in users and for
+ * pending logins that must enroll before they can finish
+ */
+const requireEnrollmentContext = (req, res, next) => {
+  const pending = getPendingLogin(req);
+  if (pending && pending.mfa === 'enroll') {
+    req.mfaUsername = pending.username;
+    return next();
+  }
+
+  requireAuth(req, res, (err) => {
+    if (err) return next(err);
+    req.mfaUsername = req.session.moUser.username;
+    next();
+  });
+};
+
+/**
+ * Middleware: Password change is allowed for signed-in users and for
+ * pending logins whose password has expired
+ */
+const requirePasswordChangeContext = (req, res, next) => {
+  const pending = getPendingLogin(req);
+  if (pending && !pending.mfa && pending.passwordChange) {
+    req.passwordUsername = pending.username;
+    return next();
+  }
+
+  requireAuth(req, res, (err) => {
+    if (err) return next(err);
+    req.passwordUsername = req.session.moUser.username;
+    next();
+  });
+};
+
+/**
+ * Count a failed password or second factor; locks the account at the threshold
+ */
+const recordLoginFailure = async (req, username) => {
+  const result = await LoginAttempts.recordFailure(username, req.ip);
+  if (!result.lockAccount) return;
+
+  const user = await UserStore.findByUsername(username);
+  if (user && !user.lockedAt) {
+    await UserStore.update(username, { lockedAt: new Date().toISOString() });
+    req.auditLog('ACCOUNT_LOCKED', {
+      username,
+      failures: result.userFailures,
+      reason: 'Failed login threshold reached'
+    });
+  }
+};
+
+/**
+ * Establish the authenticated session once every factor has passed.
+ * The account is read again, so role, region and status changes made
+ * while the login was pending apply.
+ */
+const completeLogin = async (req, res, login, extra = {}) => {
+  const user = await UserStore.findByUsername(login.username);
+  if (!user || user.status !== 'active' || user.lockedAt) {
+    req.auditLog('LOGIN_FAILED', { username: login.username, ip: req.ip, reason: 'Account unavailable' });
+    return res.status(401).json({
+      error: 'Invalid credentials',
+      code: 'AUTH_FAILED'
+    });
+  }
+
+  if (await checkConcurrentSessions(user)) {
+    req.auditLog('LOGIN_REFUSED', {
+      username: user.username,
+      reason: 'Maximum concurrent sessions',
+      allowedSessions: user.allowedSessions
+    });
+    return res.status(403).json({
+      error: 'Maximum concurrent sessions exceeded. Sign out elsewhere or ask an administrator to end a session.',
+      code: 'MAX_SESSIONS'
+    });
+  }
+
+  // Regenerate again: privilege level changes at this point
+  await regenerateSession(req);
+
+  await LoginAttempts.reset(user.username);
+
+  // Set session data (sessionStart anchors the absolute timeout)
+  req.session.moUser = {
+    username: user.username,
+    role: user.role,
+    defaultRegion: user.defaultRegion, // Reads national-format phone input
+    sessionStart: new Date().toISOString()
+  };
+  req.session.lastActivity = Date.now();
+  req.session.lastRegenerated = Date.now();
+
+  // Create MO demo session in database, expiring with the login
+  const { expiresAt } = sessionLifecycle.describe(req.session);
+  const demoSession = await SessionData.createSession(req.sessionID, user.username, new Date(expiresAt));
+  req.session.demoSessionId = demoSession.sessionId;
+  await trackSession(req);
+
+  // Log success
+  req.auditLog('LOGIN_SUCCESS', {
+    username: user.username,
+    role: user.role,
+    sessionId: req.sessionID
+  });
+
+  res.json({
+    success: true,
+    username: user.username,
+    role: user.role,
+    csrfToken: req.csrfToken(),
+    ...extra
+  });
+};
+
+/**
+ * Respond with the next outstanding login step, or finish the login.
+ * Order: second factor first, then any required password change.
+ */
+const advanceLogin = async (req, res, pending, extra = {}) => {
+  if (pending.mfa) {
+    return res.json({
+      success: false,
+      mfaRequired: true,
+      enrollmentRequired: pending.mfa === 'enroll',
+      code: pending.mfa === 'enroll' ? 'MFA_ENROLLMENT_REQUIRED' : 'MFA_REQUIRED',
+      csrfToken: req.csrfToken(),
+      ...extra
+    });
+  }
+
+  if (pending.passwordChange) {
+    return res.json({
+      success: false,
+      passwordChangeRequired: true,
+      code: pending.passwordChange,
+      csrfToken: req.csrfToken(),
+      ...extra
+    });
+  }
+
+  delete req.session.pendingLogin;
+  await completeLogin(req, res, pending, extra);
+};
 
 // Login route with brute force protection
 router.post('/login', 
@@ -19,12 +222,30 @@ router.post('/login',
       const ip = req.ip;
       const userAgent = req.headers['user-agent'];
 
+      // During backoff the password is not even checked
+      const throttle = await LoginAttempts.check(username, ip);
+      if (throttle.blocked) {
+        req.auditLog('LOGIN_THROTTLED', {
+          username,
+          ip,
+          scope: throttle.scope,
+          retryAt: new Date(throttle.retryAt).toISOString()
+        });
+
+        // Same response as a bad password so usernames cannot be probed
+        return res.status(401).json({
+          error: 'Invalid credentials',
+          code: 'AUTH_FAILED'
+        });
+      }
+
       // Validate credentials
       const user = await validateMOCredentials(username, password);
       
       if (!user) {
         // Log failed attempt
         req.auditLog('LOGIN_FAILED', { username, ip, reason: 'Invalid credentials' });
+        await recordLoginFailure(req, username);
         
         // Generic error to prevent user enumeration
         return res.status(401).json({ 
@@ -33,39 +254,41 @@ router.post('/login',
         });
       }
 
+      const mfaEnabled = await UserMfa.isEnabled(user.username);
+      const passwordStatus = getPasswordStatus(user);
+
+      let mfaStep = null;
+      if (mfaEnabled) mfaStep = 'verify';
+      else if (securityConfig.mfa.required) mfaStep = 'enroll';
+
+      if (!mfaStep && !passwordStatus.changeRequired) {
+        return await completeLogin(req, res, user);
+      }
+
       // Regenerate session to prevent fixation
-      req.session.regenerate(async (err) => {
-        if (err) {
-          return res.status(500).json({ error: 'Session creation failed' });
-        }
+      await regenerateSession(req);
 
-        // Create MO demo session in database
-        const demoSession = await SessionData.createSession(req.sessionID, username);
+      // Password verified: hold the login until the remaining steps pass
+      req.session.pendingLogin = {
+        username: user.username,
+        mfa: mfaStep,
+        passwordChange: passwordStatus.changeRequired ? passwordStatus.code : null,
+        startedAt: Date.now(),
+        attempts: 0
+      };
 
-        // Set session data
-        req.session.moUser = {
+      if (mfaStep) {
+        req.auditLog('LOGIN_MFA_REQUIRED', {
           username: user.username,
-          role: user.role,
-          sessionStart: new Date().toISOString()
-        };
-        req.session.demoSessionId = demoSession.sessionId;
-        req.session.lastActivity = Date.now();
-        req.session.lastRegenerated = Date.now();
-
-        // Log success
-        req.auditLog('LOGIN_SUCCESS', { 
-          username, 
-          role: user.role,
-          sessionId: req.sessionID 
+          enrollment: mfaStep === 'enroll'
         });
+      }
 
-        res.json({
-          success: true,
-          username: user.username,
-          role: user.role,
-          csrfToken: req.csrfToken()
-        });
-      });
+      if (passwordStatus.changeRequired) {
+        req.auditLog(passwordStatus.code, { username: user.username });
+      }
+
+      await advanceLogin(req, res, req.session.pendingLogin);
 
     } catch (error) {
       req.auditLog('LOGIN_ERROR', { error: error.message });
@@ -74,22 +297,250 @@ router.post('/login',
   }
 );
 
+// Second factor for an enrolled user
+router.post('/mfa/verify',
+  rateLimiter.login,
+  requirePendingLogin,
+  mfaCodeValidation,
+  async (req, res) => {
+    try {
+      const pending = req.pendingLogin;
+      const { code, recoveryCode } = req.body;
+
+      if (pending.mfa !== 'verify') {
+        return res.status(400).json({
+          error: pending.mfa === 'enroll'
+            ? 'Two-factor enrollment required'
+            : 'No verification pending',
+          code: pending.mfa === 'enroll' ? 'MFA_ENROLLMENT_REQUIRED' : 'MFA_NOT_PENDING'
+        });
+      }
+
+      const valid = recoveryCode
+        ? await UserMfa.useRecoveryCode(pending.username, recoveryCode)
+        : await UserMfa.verifyToken(pending.username, code);
+
+      if (!valid) {
+        pending.attempts += 1;
+        req.auditLog('MFA_FAILED', {
+          username: pending.username,
+          attempts: pending.attempts,
+          method: recoveryCode ? 'recovery_code' : 'totp'
+        });
+        await recordLoginFailure(req, pending.username);
+
+        // Too many guesses: force the password step again
+        if (pending.attempts >= securityConfig.mfa.maxAttempts) {
+          delete req.session.pendingLogin;
+          return res.status(401).json({
+            error: 'Too many invalid codes. Please sign in again.',
+            code: 'LOGIN_REQUIRED'
+          });
+        }
+
+        return res.status(401).json({
+          error: 'Invalid authentication code',
+          code: 'MFA_INVALID'
+        });
+      }
+
+      if (recoveryCode) {
+        req.auditLog('MFA_RECOVERY_CODE_USED', { username: pending.username });
+      }
+
+      pending.mfa = null;
+      await advanceLogin(req, res, pending);
+
+    } catch (error) {
+      req.auditLog('MFA_ERROR', { error: error.message });
+      res.status(500).json({ error: 'Authentication system error' });
+    }
+  }
+);
+
+// Start TOTP enrollment: returns a QR code data URI for authenticator apps
+router.post('/mfa/enroll', requireEnrollmentContext, async (req, res) => {
+  try {
+    const enrollment = await UserMfa.beginEnrollment(req.mfaUsername);
+
+    req.auditLog('MFA_ENROLLMENT_STARTED', { username: req.mfaUsername });
+
+    res.json({
+      success: true,
+      qrCode: enrollment.qrCode,
+      secret: enrollment.secret
+    });
+
+  } catch (error) {
+    if (error.code === 'MFA_ALREADY_ENABLED') {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: 'Enrollment failed' });
+  }
+});
+
+// Confirm enrollment with a first code; recovery codes are shown once
+router.post('/mfa/activate',
+  rateLimiter.login,
+  requireEnrollmentContext,
+  totpCodeValidation,
+  async (req, res) => {
+    try {
+      const username = req.mfaUsername;
+      const recoveryCodes = await UserMfa.activate(username, req.body.code);
+
+      if (!recoveryCodes) {
+        req.auditLog('MFA_ACTIVATION_FAILED', { username });
+        return res.status(401).json({
+          error: 'Invalid authentication code',
+          code: 'MFA_INVALID'
+        });
+      }
+
+      req.auditLog('MFA_ENABLED', { username });
+
+      // Enrollment was the outstanding step of a login
+      const pending = getPendingLogin(req);
+      if (pending && !req.session.moUser) {
+        pending.mfa = null;
+        return await advanceLogin(req, res, pending, { recoveryCodes });
+      }
+
+      res.json({ success: true, recoveryCodes });
+
+    } catch (error) {
+      req.auditLog('MFA_ERROR', { error: error.message });
+      res.status(500).json({ error: 'Activation failed' });
+    }
+  }
+);
+
+// Two-factor status for the signed-in user
+router.get('/mfa/status', requireAuth, async (req, res) => {
+  try {
+    const status = await UserMfa.getStatus(req.session.moUser.username);
+    res.json(status);
+  } catch (error) {
+    res.status(500).json({ error: 'Status check failed' });
+  }
+});
+
+// Replace recovery codes (requires a current TOTP code)
+router.post('/mfa/recovery-codes',
+  rateLimiter.login,
+  requireAuth,
+  totpCodeValidation,
+  async (req, res) => {
+    try {
+      const username = req.session.moUser.username;
+      const valid = await UserMfa.verifyToken(username, req.body.code);
+
+      if (!valid) {
+        req.auditLog('MFA_FAILED', { username, method: 'totp' });
+        await recordLoginFailure(req, username);
+        return res.status(401).json({
+          error: 'Invalid authentication code',
+          code: 'MFA_INVALID'
+        });
+      }
+
+      const recoveryCodes = await UserMfa.regenerateRecoveryCodes(username);
+      req.auditLog('MFA_RECOVERY_CODES_REGENERATED', { username });
+
+      res.json({ success: true, recoveryCodes });
+
+    } catch (error) {
+      res.status(500).json({ error: 'Recovery code generation failed' });
+    }
+  }
+);
+
+// Password rules for the client-side strength meter
+router.get('/password-policy', (req, res) => {
+  res.json(describePolicy());
+});
+
+// Change password (also completes a login held for an expired password)
+router.post('/password',
+  rateLimiter.login,
+  requirePasswordChangeContext,
+  passwordChangeValidation,
+  async (req, res) => {
+    try {
+      const username = req.passwordUsername;
+      const { currentPassword, newPassword } = req.body;
+
+      const user = await validateMOCredentials(username, currentPassword);
+      if (!user) {
+        req.auditLog('PASSWORD_CHANGE_FAILED', { username, reason: 'Invalid current password' });
+        return res.status(401).json({
+          error: 'Current password is incorrect',
+          code: 'AUTH_FAILED'
+        });
+      }
+
+      const failures = checkPassword(newPassword, { username });
+      if (failures.length > 0) {
+        return res.status(400).json({
+          error: 'Password does not meet the password policy',
+          code: 'PASSWORD_POLICY',
+          details: failures
+        });
+      }
+
+      if (await UserStore.isPasswordReused(username, newPassword)) {
+        return res.status(400).json({
+          error: `Password was used recently. Choose one not among your last ${securityConfig.passwordPolicy.historyCount}.`,
+          code: 'PASSWORD_REUSED'
+        });
+      }
+
+      await UserStore.setPassword(username, newPassword);
+      req.auditLog('PASSWORD_CHANGED', { username });
+
+      // Expired password was the outstanding step of a login
+      const pending = getPendingLogin(req);
+      if (pending && !req.session.moUser) {
+        pending.passwordChange = null;
+        return await advanceLogin(req, res, pending);
+      }
+
+      // Rotate the session after a credential change
+      const moUser = req.session.moUser;
+      const demoSessionId = req.session.demoSessionId;
+      await regenerateSession(req);
+      Object.assign(req.session, {
+        moUser,
+        demoSessionId,
+        lastActivity: Date.now(),
+        lastRegenerated: Date.now()
+      });
+      await trackSession(req); // New store ID
+
+      res.json({ success: true, csrfToken: req.csrfToken() });
+
+    } catch (error) {
+      req.auditLog('PASSWORD_CHANGE_ERROR', { error: error.message });
+      res.status(500).json({ error: 'Password change failed' });
+    }
+  }
+);
+
 // Logout route with complete cleanup
 router.post('/logout', requireAuth, async (req, res) => {
   try {
     const username = req.session.moUser?.username;
     const sessionId = req.session.demoSessionId;
 
-    // Purge all session data from database
-    if (sessionId) {
-      await SessionData.endSession(sessionId);
-    }
-
-    // Remove from active sessions tracking
-    activeSessions.delete(req.sessionID);
+    // Purge all session data from database (recipients of pending sends
+    // are kept until they go out) and drop it from active sessions
+    const purge = await sessionLifecycle.end(sessionId);
 
     // Audit log
-    req.auditLog('LOGOUT', { username, sessionId });
+    req.auditLog('LOGOUT', { username, sessionId, pendingSends: Boolean(purge?.pendingSends) });
+
+    // Every other open page of the session signs out too
+    eventBus.publish(sessionId, 'session.ended', { reason: 'logout' });
 
     // Destroy session
     req.session.destroy((err) => {
@@ -106,13 +557,36 @@ router.post('/logout', requireAuth, async (req, res) => {
   }
 });
 
-// Session status check
-router.get('/status', requireAuth, (req, res) => {
+// Explicit "stay signed in": counts as activity and syncs the stored
+// expiry at once (up to the absolute limit)
+router.post('/session/extend', requireAuth, async (req, res) => {
+  try {
+    await sessionLifecycle.touch(req.session, { force: true });
+    const session = sessionLifecycle.describe(req.session);
+
+    req.auditLog('SESSION_EXTENDED', {
+      username: req.session.moUser.username,
+      sessionId: req.session.demoSessionId,
+      expiresAt: session.expiresAt,
+      limitedBy: session.limitedBy
+    });
+
+    res.json({ success: true, session });
+  } catch (error) {
+    res.status(500).json({ error: 'Session extension failed' });
+  }
+});
+
+// Session status check (passive: polling it does not extend the session)
+router.get('/status', requireAuthPassive, (req, res) => {
   res.json({
     authenticated: true,
     username: req.session.moUser.username,
     role: req.session.moUser.role,
+    permissions: getPermissions(req.session.moUser.role),
+    phoneRegion: regionFor(req.session.moUser),
     sessionStart: req.session.moUser.sessionStart,
+    session: sessionLifecycle.describe(req.session),
     csrfToken: req.csrfToken()
   });
 });
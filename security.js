@@ -31,13 +31,52 @@ module.exports = {
     requireLowercase: true,
     requireNumbers: true,
     requireSpecialChars: true,
-    maxAge: 90 // days
+    maxAge: 90, // days
+    historyCount: 5 // Last passwords (current included) that cannot be reused
   },
 
   // Session settings
   session: {
     idleTimeout: 30 * 60 * 1000, // 30 minutes
-    absoluteTimeout: 8 * 60 * 60 * 1000 // 8 hours
+    absoluteTimeout: 8 * 60 * 60 * 1000, // 8 hours
+    warningTime: 5 * 60 * 1000 // Clients warn this long before expiry
+  },
+
+  // Rate limit policies (each applied per IP and per authenticated user)
+  rateLimits: {
+    general: { windowMs: 15 * 60 * 1000, limit: 300 },
+    // Password, MFA and forced-change steps share this budget, so only
+    // failed attempts count; a normal sign-in never uses it up
+    login: { windowMs: 15 * 60 * 1000, limit: 20, skipSuccessfulRequests: true },
+    capture: { windowMs: 60 * 1000, limit: 30 },
+    send: { windowMs: 60 * 60 * 1000, limit: 20 },
+    import: { windowMs: 15 * 60 * 1000, limit: 20 }, // Previews and commits of bulk capture files
+    webhook: { windowMs: 60 * 1000, limit: 600 } // Per provider IP; a large batch sends a burst of receipts
+  },
+
+  // Failed login tracking (per username and per IP)
+  lockout: {
+    threshold: 5, // Consecutive failures before the account is locked (admin unlock)
+    freeAttempts: 2, // Failures allowed before backoff starts
+    ipFreeAttempts: 10, // Shared IPs (NAT, office) get more headroom
+    baseDelay: 1000, // First backoff delay, doubled per further failure
+    maxDelay: 15 * 60 * 1000, // Backoff ceiling
+    failureWindow: 60 * 60 * 1000 // Failures older than this are forgotten
+  },
+
+  // Two-factor authentication (TOTP)
+  mfa: {
+    issuer: 'Mobile Objex',
+    required: true, // Password-only login is not permitted
+    window: 1, // Accept codes one 30s step either side for clock drift
+    recoveryCodeCount: 10,
+    maxAttempts: 5, // Per pending login before the password step must be repeated
+    pendingTimeout: 5 * 60 * 1000 // 5 minutes to complete the second factor
+  },
+
+  // Tamper-evident audit trail
+  audit: {
+    checkpointInterval: 60 * 60 * 1000 // Signed chain checkpoint every hour
   },
 
   // Encryption settings
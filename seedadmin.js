@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Seed the first MO administrator
+ * Usage: npm run seed:admin -- <username>
+ * Password comes from MO_ADMIN_PASSWORD, otherwise a temporary one is printed once
+ */
+
+require('dotenv').config();
+const UserStore = require('../models/UserStore');
+const { checkPassword } = require('../services/passwordPolicy');
+
+const run = async () => {
+  const username = process.argv[2];
+
+  if (!username || !/^[a-zA-Z0-9._-]{3,50}$/.test(username)) {
+    console.error('Usage: npm run seed:admin -- <username>');
+    process.exit(1);
+  }
+
+  await UserStore.ready;
+
+  if (await UserStore.countAdmins() > 0) {
+    console.error('An active administrator already exists. Use /api/admin/users instead.');
+    process.exit(1);
+  }
+
+  const suppliedPassword = process.env.MO_ADMIN_PASSWORD;
+  const failures = suppliedPassword ? checkPassword(suppliedPassword, { username }) : [];
+  if (failures.length > 0) {
+    console.error('MO_ADMIN_PASSWORD does not meet the password policy:');
+    failures.forEach(f => console.error(`  - ${f.message}`));
+    process.exit(1);
+  }
+
+  const password = suppliedPassword || UserStore.generateTemporaryPassword();
+
+  await UserStore.create({
+    username,
+    password,
+    role: 'admin',
+    allowedSessions: 5,
+    createdBy: 'seed'
+  });
+
+  console.log(`✅ Administrator "${username}" created`);
+  if (!suppliedPassword) {
+    console.log(`🔑 Temporary password (shown once): ${password}`);
+  }
+  console.log('   A password change is required at first login.');
+  process.exit(0);
+};
+
+run().catch((error) => {
+  console.error('Seeding failed:', error.message);
+  process.exit(1);
+});
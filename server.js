@@ -4,6 +4,7 @@
 
 const { body, param, validationResult } = require('express-validator');
 const xss = require('xss');
+const { normalizePhone, regionFor } = require('../services/phoneNumber');
 
 // XSS sanitization
 const sanitizeInput = (input) => {
@@ -47,22 +48,40 @@ const securityMiddleware = (req, res, next) => {
   next();
 };
 
+// Capture field rules, shared with the bulk import (services/captureImport).
+// Phone numbers are checked and canonicalized by services/phoneNumber.
+const CAPTURE_RULES = {
+  safetyCode: {
+    pattern: /^[A-Z0-9-]{6,20}$/,
+    message: 'Safety code must be 6-20 alphanumeric characters'
+  }
+};
+
 // Validation schemas
 const validators = {
+  // Any format valid in the operator's region; rewritten to E.164
   phoneNumber: body('phoneNumber')
     .trim()
-    .matches(/^\+?[1-9]\d{1,14}$/)
-    .withMessage('Invalid phone number format (E.164 required)'),
+    .custom((value, { req }) => {
+      normalizePhone(value, regionFor(req.session?.moUser));
+      return true;
+    })
+    .customSanitizer((value, { req }) => {
+      try {
+        return normalizePhone(value, regionFor(req.session?.moUser)).e164;
+      } catch (error) {
+        return value;
+      }
+    }),
   
   safetyCode: body('safetyCode')
     .trim()
-    .isLength({ min: 6, max: 20 })
-    .matches(/^[A-Z0-9-]+$/)
-    .withMessage('Safety code must be 6-20 alphanumeric characters'),
+    .matches(CAPTURE_RULES.safetyCode.pattern)
+    .withMessage(CAPTURE_RULES.safetyCode.message),
   
   messageContent: body('message')
     .trim()
-    .isLength({ min: 1, max: 1600 }) // SMS segment limit
+    .isLength({ min: 1, max: 1600 }) // Hard cap; encoding and segments come from services/smsEncoding
     .withMessage('Message must be 1-1600 characters')
 };
 
@@ -83,6 +102,7 @@ const handleValidationErrors = (req, res, next) => {
 module.exports = {
   securityMiddleware,
   validators,
+  CAPTURE_RULES,
   handleValidationErrors,
   sanitizeInput
 };
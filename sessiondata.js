@@ -4,89 +4,228 @@
  */
 
 const sqlite3 = require('sqlite3').verbose();
-const crypto = require('crypto');
-const path = require('path');
+const keyring = require('../services/keyring');
+const { phoneIndex } = require('../services/blindIndex');
+const logger = require('../services/logger');
+const storageConfig = require('../config/storage');
 
-const DB_PATH = path.join(__dirname, '../../data/demo-sessions.db');
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || crypto.randomBytes(32);
+const DB_PATH = storageConfig.dataPath('demo-sessions.db');
+
+// Columns holding keyring ciphertext, re-encrypted after key rotation
+const ENCRYPTED_COLUMNS = {
+  captured_data: ['encrypted_phone', 'encrypted_safety_code'],
+  message_logs: ['encrypted_phone']
+};
+
+// Receipt statuses that make a sent message eligible for resend
+const FAILED_DELIVERY = ['failed', 'expired', 'undeliverable'];
+
+// Capture statuses an operator may still correct (not yet messaged, or
+// failed); anything but a queued capture may be voided
+const EDITABLE_STATUSES = ['new', 'failed'];
+
+// Sessions whose recipients a scheduled or queued send still needs
+const PENDING_SEND_SESSIONS = `SELECT session_id FROM message_jobs WHERE status IN ('queued', 'sending')`;
+
+const captureError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
 
 class SessionData {
   constructor() {
     this.db = new sqlite3.Database(DB_PATH);
+    this.db.configure('busyTimeout', 5000); // The message queue writes here too
     this.init();
   }
 
   init() {
-    // Sessions table with automatic expiration
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS capture_sessions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        session_id TEXT UNIQUE NOT NULL,
-        mo_username TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        expires_at DATETIME NOT NULL,
-        status TEXT DEFAULT 'active'
-      )
-    `);
-
-    // Encrypted phone/safety code storage
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS captured_data (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        session_id TEXT NOT NULL,
-        encrypted_phone TEXT NOT NULL,
-        encrypted_safety_code TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        status TEXT DEFAULT 'new',
-        FOREIGN KEY (session_id) REFERENCES capture_sessions(session_id)
-      )
-    `);
-
-    // Message audit log
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS message_logs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        session_id TEXT NOT NULL,
-        mo_username TEXT NOT NULL,
-        encrypted_phone TEXT NOT NULL,
-        message_preview TEXT,
-        sent_at DATETIME,
-        status TEXT,
-        delivery_status TEXT,
-        FOREIGN KEY (session_id) REFERENCES capture_sessions(session_id)
-      )
-    `);
+    this.db.serialize(() => {
+      // Sessions table with automatic expiration
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS capture_sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT UNIQUE NOT NULL,
+          mo_username TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          expires_at DATETIME NOT NULL,
+          status TEXT DEFAULT 'active'
+        )
+      `);
+
+      // Encrypted phone/safety code storage; phone_index is a keyed HMAC
+      // blind index for equality lookup without decryption
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS captured_data (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL,
+          encrypted_phone TEXT NOT NULL,
+          encrypted_safety_code TEXT NOT NULL,
+          phone_index TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          status TEXT DEFAULT 'new',
+          FOREIGN KEY (session_id) REFERENCES capture_sessions(session_id)
+        )
+      `);
+
+      // Message audit log, correlated to its capture
+      this.db.run(`
+        CREATE TABLE IF NOT EXISTS message_logs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL,
+          mo_username TEXT NOT NULL,
+          encrypted_phone TEXT NOT NULL,
+          phone_index TEXT,
+          capture_id INTEGER,
+          message_preview TEXT,
+          sent_at DATETIME,
+          status TEXT,
+          delivery_id TEXT,
+          delivery_status TEXT,
+          delivery_updated_at DATETIME,
+          FOREIGN KEY (session_id) REFERENCES capture_sessions(session_id)
+        )
+      `);
+    });
 
     // Auto-cleanup expired sessions
-    setInterval(() => this.cleanupExpired(), 5 * 60 * 1000); // Every 5 minutes
+    setInterval(() => this.cleanupExpired(), 5 * 60 * 1000).unref(); // Every 5 minutes
+
+    // Move rows onto the active key after rotation, and finish any
+    // re-encryption (or legacy-format migration) interrupted by a restart
+    keyring.on('rotated', () => this.reencryptAll());
+
+    // Re-encryption runs even if a migration step fails
+    this.ready = this.migrate()
+      .catch((error) => {
+        logger.error('Session data migration failed', { error: error.message });
+      })
+      .then(() => this.reencryptAll());
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  /**
+   * Add columns introduced after a table was first created
+   */
+  async addMissingColumns(table, columns) {
+    const existing = (await this.all(`PRAGMA table_info(${table})`)).map(c => c.name);
+    for (const [name, type] of columns) {
+      if (!existing.includes(name)) {
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+      }
+    }
+  }
+
+  async migrate() {
+    await this.addMissingColumns('captured_data', [['phone_index', 'TEXT']]);
+    await this.addMissingColumns('message_logs', [
+      ['phone_index', 'TEXT'],
+      ['capture_id', 'INTEGER'],
+      ['delivery_id', 'TEXT'],
+      ['delivery_updated_at', 'DATETIME']
+    ]);
+
+    // Older rows hold ISO timestamps, which compare wrongly against datetime('now')
+    await this.run(`UPDATE capture_sessions SET expires_at = datetime(expires_at) WHERE expires_at LIKE '%T%'`);
+
+    await this.run(`CREATE INDEX IF NOT EXISTS idx_captured_phone ON captured_data (session_id, phone_index)`);
+    await this.run(`CREATE INDEX IF NOT EXISTS idx_message_logs_phone ON message_logs (phone_index)`);
+    await this.run(`CREATE INDEX IF NOT EXISTS idx_message_logs_capture ON message_logs (capture_id)`);
+    await this.run(`CREATE INDEX IF NOT EXISTS idx_message_logs_delivery ON message_logs (delivery_id)`);
+
+    // Backfill indexes for rows written before blind indexing. Voided
+    // captures drop their index on purpose; rows that can't be decrypted
+    // are left unindexed rather than failing the whole migration
+    const unindexed = {
+      captured_data: `SELECT id, encrypted_phone FROM captured_data WHERE phone_index IS NULL AND status != 'voided'`,
+      message_logs: `SELECT id, encrypted_phone FROM message_logs WHERE phone_index IS NULL`
+    };
+    for (const [table, sql] of Object.entries(unindexed)) {
+      const rows = await this.all(sql);
+      let skipped = 0;
+      for (const row of rows) {
+        try {
+          await this.run(
+            `UPDATE ${table} SET phone_index = ? WHERE id = ?`,
+            [phoneIndex(this.decrypt(row.encrypted_phone)), row.id]
+          );
+        } catch (error) {
+          skipped += 1;
+        }
+      }
+      if (skipped > 0) {
+        logger.warn('Rows left without a phone index', { table, skipped });
+      }
+    }
+
+    await this.run(
+      `UPDATE message_logs SET capture_id = (
+         SELECT MIN(cd.id) FROM captured_data cd
+         WHERE cd.session_id = message_logs.session_id AND cd.phone_index = message_logs.phone_index
+       )
+       WHERE capture_id IS NULL AND phone_index IS NOT NULL`
+    );
   }
 
   encrypt(text) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    const authTag = cipher.getAuthTag();
-    return `${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
+    return keyring.encrypt(text);
   }
 
   decrypt(encryptedData) {
-    const [ivHex, authTagHex, encrypted] = encryptedData.split(':');
-    const iv = Buffer.from(ivHex, 'hex');
-    const authTag = Buffer.from(authTagHex, 'hex');
-    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
-    decipher.setAuthTag(authTag);
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
-  }
-
-  async createSession(sessionId, moUsername) {
-    const expiresAt = new Date(Date.now() + 30 * 60 * 1000); // 30 min
+    return keyring.decrypt(encryptedData);
+  }
+
+  async reencryptAll() {
+    // A rotation during a run triggers one more pass under the newest key
+    if (this.reencrypting) {
+      this.reencryptAgain = true;
+      return this.reencrypting;
+    }
+
+    this.reencrypting = (async () => {
+      try {
+        do {
+          this.reencryptAgain = false;
+          for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+            const count = await keyring.reencryptColumns(this.db, table, columns);
+            if (count) logger.info('Re-encrypted session data', { table, count, keyId: keyring.activeKeyId });
+          }
+        } while (this.reencryptAgain);
+      } catch (error) {
+        logger.error('Session data re-encryption failed', { error: error.message });
+      } finally {
+        this.reencrypting = null;
+      }
+    })();
+
+    return this.reencrypting;
+  }
+
+  // expires_at is stored as SQLite datetime text ('YYYY-MM-DD HH:MM:SS',
+  // UTC) so it compares correctly against datetime('now')
+  async createSession(sessionId, moUsername, expiresAt) {
     return new Promise((resolve, reject) => {
       this.db.run(
         `INSERT INTO capture_sessions (session_id, mo_username, expires_at) 
-         VALUES (?, ?, ?)`,
+         VALUES (?, ?, datetime(?))`,
         [sessionId, moUsername, expiresAt.toISOString()],
         function(err) {
           if (err) reject(err);
@@ -96,31 +235,247 @@ class SessionData {
     });
   }
 
+  /**
+   * Move a session's expiry (services/sessionLifecycle slides it on activity)
+   */
+  async setSessionExpiry(sessionId, expiresAt) {
+    await this.run(
+      `UPDATE capture_sessions SET expires_at = datetime(?) WHERE session_id = ? AND status = 'active'`,
+      [expiresAt.toISOString(), sessionId]
+    );
+  }
+
+  async getSession(sessionId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT session_id, mo_username, expires_at, status FROM capture_sessions WHERE session_id = ?`,
+        [sessionId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row ? {
+            sessionId: row.session_id,
+            username: row.mo_username,
+            expiresAt: row.expires_at,
+            status: row.status
+          } : null);
+        }
+      );
+    });
+  }
+
   async captureData(sessionId, phoneNumber, safetyCode) {
     const encryptedPhone = this.encrypt(phoneNumber);
     const encryptedCode = this.encrypt(safetyCode);
+    const index = phoneIndex(phoneNumber);
     
+    // Insert only if the number isn't already captured in this session
+    const result = await this.run(
+      `INSERT INTO captured_data (session_id, encrypted_phone, encrypted_safety_code, phone_index) 
+       SELECT ?, ?, ?, ?
+       WHERE NOT EXISTS (
+         SELECT 1 FROM captured_data WHERE session_id = ? AND phone_index = ?
+       )`,
+      [sessionId, encryptedPhone, encryptedCode, index, sessionId, index]
+    );
+
+    if (result.changes === 0) {
+      const error = new Error('Phone number already captured in this session');
+      error.code = 'DUPLICATE_CAPTURE';
+      throw error;
+    }
+
+    return { id: result.lastID, status: 'captured', phoneIndex: index };
+  }
+
+  /**
+   * Insert many captures all-or-nothing. Runs on its own connection so no
+   * unrelated statement lands inside (or rolls back with) the transaction.
+   * captures: [{ line, phoneNumber, safetyCode }]; a number captured
+   * meanwhile aborts the import with DUPLICATE_CAPTURE and its line.
+   */
+  async importCaptures(sessionId, captures) {
+    const db = new sqlite3.Database(DB_PATH);
+    db.configure('busyTimeout', 5000);
+    const run = (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+
+    try {
+      await run('BEGIN IMMEDIATE');
+      try {
+        const ids = [];
+        for (const capture of captures) {
+          const index = phoneIndex(capture.phoneNumber);
+          const result = await run(
+            `INSERT INTO captured_data (session_id, encrypted_phone, encrypted_safety_code, phone_index)
+             SELECT ?, ?, ?, ?
+             WHERE NOT EXISTS (
+               SELECT 1 FROM captured_data WHERE session_id = ? AND phone_index = ?
+             )`,
+            [sessionId, this.encrypt(capture.phoneNumber), this.encrypt(capture.safetyCode), index, sessionId, index]
+          );
+
+          if (result.changes === 0) {
+            const error = new Error(`Phone number on line ${capture.line} already captured in this session`);
+            error.code = 'DUPLICATE_CAPTURE';
+            error.line = capture.line;
+            throw error;
+          }
+          ids.push(result.lastID);
+        }
+
+        await run('COMMIT');
+        return ids;
+      } catch (err) {
+        await run('ROLLBACK').catch(() => {});
+        throw err;
+      }
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * Blind indexes of every number already captured in a session
+   */
+  async getPhoneIndexes(sessionId) {
+    const rows = await this.all(
+      `SELECT phone_index FROM captured_data WHERE session_id = ?`,
+      [sessionId]
+    );
+    return new Set(rows.map(row => row.phone_index));
+  }
+
+  /**
+   * Equality lookup of a capture by phone number (via blind index)
+   */
+  async findCapture(sessionId, phoneNumber) {
     return new Promise((resolve, reject) => {
-      this.db.run(
-        `INSERT INTO captured_data (session_id, encrypted_phone, encrypted_safety_code) 
-         VALUES (?, ?, ?)`,
-        [sessionId, encryptedPhone, encryptedCode],
-        function(err) {
+      this.db.get(
+        `SELECT id, status, created_at FROM captured_data
+         WHERE session_id = ? AND phone_index = ?`,
+        [sessionId, phoneIndex(phoneNumber)],
+        (err, row) => {
           if (err) reject(err);
-          else resolve({ id: this.lastID, status: 'captured' });
+          else resolve(row ? { id: row.id, status: row.status, createdAt: row.created_at } : null);
         }
       );
     });
   }
 
-  async getSessionData(sessionId, moUsername) {
+  /**
+   * One decrypted capture of the caller's active session, or null
+   */
+  async getCapture(sessionId, moUsername, captureId) {
+    const rows = await this.all(
+      `SELECT cd.* FROM captured_data cd
+       JOIN capture_sessions cs ON cd.session_id = cs.session_id
+       WHERE cd.id = ? AND cd.session_id = ? AND cs.mo_username = ?
+       AND cs.expires_at > datetime('now')`,
+      [captureId, sessionId, moUsername]
+    );
+    if (rows.length === 0) return null;
+
+    const row = rows[0];
+    return {
+      id: row.id,
+      phoneNumber: this.decrypt(row.encrypted_phone),
+      safetyCode: this.decrypt(row.encrypted_safety_code),
+      phoneIndex: row.phone_index,
+      status: row.status,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Replace a capture's phone number and safety code. current is the
+   * capture as read by getCapture; the update only applies while its
+   * status is editable and its number unchanged, and never duplicates
+   * another number in the session.
+   */
+  async updateCapture(sessionId, current, { phoneNumber, safetyCode }) {
+    const index = phoneIndex(phoneNumber);
+
+    const result = await this.run(
+      `UPDATE captured_data
+       SET encrypted_phone = ?, encrypted_safety_code = ?, phone_index = ?
+       WHERE id = ? AND session_id = ? AND phone_index = ?
+       AND status IN (${EDITABLE_STATUSES.map(() => '?').join(', ')})
+       AND NOT EXISTS (
+         SELECT 1 FROM captured_data WHERE session_id = ? AND phone_index = ? AND id != ?
+       )`,
+      [this.encrypt(phoneNumber), this.encrypt(safetyCode), index,
+        current.id, sessionId, current.phoneIndex, ...EDITABLE_STATUSES,
+        sessionId, index, current.id]
+    );
+
+    if (result.changes === 0) {
+      const duplicate = await this.all(
+        `SELECT 1 FROM captured_data WHERE session_id = ? AND phone_index = ? AND id != ?`,
+        [sessionId, index, current.id]
+      );
+      throw captureError(
+        duplicate.length > 0 ? 'DUPLICATE_CAPTURE' : 'CAPTURE_LOCKED',
+        duplicate.length > 0
+          ? 'Phone number already captured in this session'
+          : 'Only unsent or failed captures can be edited'
+      );
+    }
+
+    return { id: current.id, phoneIndex: index };
+  }
+
+  /**
+   * Withdraw a capture so it is never messaged. Captures with message
+   * history are kept as 'voided' (their number freed for re-capture) so
+   * the history still resolves; others are deleted outright.
+   * Returns { removed }; a queued capture throws CAPTURE_LOCKED.
+   */
+  async voidCapture(sessionId, captureId) {
+    const history = await this.all(
+      `SELECT 1 FROM message_logs WHERE capture_id = ?
+       UNION ALL
+       SELECT 1 FROM message_jobs WHERE capture_id = ?
+       LIMIT 1`,
+      [captureId, captureId]
+    );
+
+    const result = history.length > 0
+      ? await this.run(
+        `UPDATE captured_data SET status = 'voided', phone_index = NULL
+         WHERE id = ? AND session_id = ? AND status NOT IN ('queued', 'voided')`,
+        [captureId, sessionId]
+      )
+      : await this.run(
+        `DELETE FROM captured_data WHERE id = ? AND session_id = ? AND status != 'queued'`,
+        [captureId, sessionId]
+      );
+
+    if (result.changes === 0) {
+      throw captureError('CAPTURE_LOCKED', 'Capture is queued for sending or already voided');
+    }
+    return { removed: history.length === 0 };
+  }
+
+  /**
+   * Decrypted captures of an active session; 'new' ones unless statuses
+   * says otherwise, optionally limited to specific capture IDs
+   */
+  async getSessionData(sessionId, moUsername, { statuses = ['new'], captureIds = null } = {}) {
+    const statusList = statuses.map(() => '?').join(', ');
+    const idFilter = captureIds ? `AND cd.id IN (${captureIds.map(() => '?').join(', ')})` : '';
+
     return new Promise((resolve, reject) => {
       this.db.all(
         `SELECT cd.* FROM captured_data cd
          JOIN capture_sessions cs ON cd.session_id = cs.session_id
-         WHERE cd.session_id = ? AND cs.mo_username = ? AND cd.status = 'new'
+         WHERE cd.session_id = ? AND cs.mo_username = ? AND cd.status IN (${statusList})
+         ${idFilter}
          AND cs.expires_at > datetime('now')`,
-        [sessionId, moUsername],
+        [sessionId, moUsername, ...statuses, ...(captureIds || [])],
         (err, rows) => {
           if (err) {
             reject(err);
@@ -132,6 +487,7 @@ class SessionData {
             id: row.id,
             phoneNumber: this.decrypt(row.encrypted_phone),
             safetyCode: this.decrypt(row.encrypted_safety_code),
+            status: row.status,
             createdAt: row.created_at
           }));
           resolve(decrypted);
@@ -141,13 +497,25 @@ class SessionData {
   }
 
   async markAsSent(sessionId, phoneNumber) {
-    const encryptedPhone = this.encrypt(phoneNumber);
-    
     return new Promise((resolve, reject) => {
       this.db.run(
         `UPDATE captured_data SET status = 'sent' 
-         WHERE session_id = ? AND encrypted_phone = ?`,
-        [sessionId, encryptedPhone],
+         WHERE session_id = ? AND phone_index = ?`,
+        [sessionId, phoneIndex(phoneNumber)],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ updated: this.changes });
+        }
+      );
+    });
+  }
+
+  async markAsFailed(sessionId, phoneNumber) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE captured_data SET status = 'failed' 
+         WHERE session_id = ? AND phone_index = ?`,
+        [sessionId, phoneIndex(phoneNumber)],
         function(err) {
           if (err) reject(err);
           else resolve({ updated: this.changes });
@@ -156,16 +524,96 @@ class SessionData {
     });
   }
 
-  async logMessage(sessionId, moUsername, phoneNumber, message, status) {
+  async setCaptureStatus(captureId, status) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE captured_data SET status = ? WHERE id = ?`,
+        [status, captureId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ updated: this.changes });
+        }
+      );
+    });
+  }
+
+  /**
+   * Current status of the given captures in a session: { id: status }
+   */
+  async getCaptureStatuses(sessionId, captureIds) {
+    const rows = await this.all(
+      `SELECT id, status FROM captured_data
+       WHERE session_id = ? AND id IN (${captureIds.map(() => '?').join(', ')})`,
+      [sessionId, ...captureIds]
+    );
+    return Object.fromEntries(rows.map(row => [row.id, row.status]));
+  }
+
+  /**
+   * Captures whose latest message failed, either at the provider or per
+   * delivery receipt, and that aren't already queued again
+   */
+  async getFailedCaptureIds(sessionId, moUsername) {
+    const rows = await this.all(
+      `SELECT ml.capture_id FROM message_logs ml
+       JOIN captured_data cd ON cd.id = ml.capture_id
+       WHERE ml.session_id = ? AND ml.mo_username = ?
+       AND cd.status IN ('sent', 'failed')
+       AND ml.id = (SELECT MAX(id) FROM message_logs WHERE capture_id = ml.capture_id)
+       AND (ml.status = 'failed' OR ml.delivery_status IN (${FAILED_DELIVERY.map(() => '?').join(', ')}))`,
+      [sessionId, moUsername, ...FAILED_DELIVERY]
+    );
+    return rows.map(row => row.capture_id);
+  }
+
+  /**
+   * Every message logged for a capture, oldest first. Owner-only; history
+   * outlives the capture itself, so either one proves ownership.
+   */
+  async getCaptureHistory(captureId, moUsername) {
+    const capture = await this.all(
+      `SELECT cd.id, cd.status, cd.created_at FROM captured_data cd
+       JOIN capture_sessions cs ON cd.session_id = cs.session_id
+       WHERE cd.id = ? AND cs.mo_username = ?`,
+      [captureId, moUsername]
+    );
+    const messages = await this.all(
+      `SELECT id, message_preview, sent_at, status, delivery_id, delivery_status, delivery_updated_at
+       FROM message_logs WHERE capture_id = ? AND mo_username = ? ORDER BY id`,
+      [captureId, moUsername]
+    );
+    if (capture.length === 0 && messages.length === 0) return null;
+
+    return {
+      capture: capture[0]
+        ? { id: capture[0].id, status: capture[0].status, createdAt: capture[0].created_at }
+        : null,
+      messages: messages.map((row, i) => ({
+        attempt: i + 1,
+        logId: row.id,
+        preview: row.message_preview,
+        status: row.status,
+        sentAt: row.sent_at,
+        deliveryId: row.delivery_id,
+        deliveryStatus: row.delivery_status,
+        deliveryUpdatedAt: row.delivery_updated_at
+      }))
+    };
+  }
+
+  async logMessage(sessionId, moUsername, phoneNumber, message, status, deliveryId = null, captureId = null) {
     const encryptedPhone = this.encrypt(phoneNumber);
+    const index = phoneIndex(phoneNumber);
     const preview = message.substring(0, 50) + (message.length > 50 ? '...' : '');
     
     return new Promise((resolve, reject) => {
       this.db.run(
         `INSERT INTO message_logs 
-         (session_id, mo_username, encrypted_phone, message_preview, sent_at, status) 
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [sessionId, moUsername, encryptedPhone, preview, new Date().toISOString(), status],
+         (session_id, mo_username, encrypted_phone, phone_index, capture_id, message_preview, sent_at, status, delivery_id) 
+         VALUES (?, ?, ?, ?, COALESCE(?, (SELECT id FROM captured_data WHERE session_id = ? AND phone_index = ?)),
+                 ?, ?, ?, ?)`,
+        [sessionId, moUsername, encryptedPhone, index, captureId, sessionId, index,
+          preview, new Date().toISOString(), status, deliveryId],
         function(err) {
           if (err) reject(err);
           else resolve({ id: this.lastID });
@@ -174,37 +622,86 @@ class SessionData {
     });
   }
 
+  /**
+   * Record a provider delivery receipt against the logged message.
+   * Returns { updated, sessionId, captureId } (IDs when matched).
+   */
+  async updateDeliveryStatus(deliveryId, deliveryStatus) {
+    const { changes } = await this.run(
+      `UPDATE message_logs SET delivery_status = ?, delivery_updated_at = ?
+       WHERE delivery_id = ?`,
+      [deliveryStatus, new Date().toISOString(), deliveryId]
+    );
+    if (changes === 0) return { updated: 0 };
+
+    const rows = await this.all(
+      `SELECT session_id, capture_id FROM message_logs WHERE delivery_id = ? LIMIT 1`,
+      [deliveryId]
+    );
+    return { updated: changes, sessionId: rows[0]?.session_id, captureId: rows[0]?.capture_id };
+  }
+
+  async getDeliveryStatus(deliveryId, moUsername) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT delivery_id, status, delivery_status, sent_at, delivery_updated_at
+         FROM message_logs WHERE delivery_id = ? AND mo_username = ?`,
+        [deliveryId, moUsername],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row ? {
+            id: row.delivery_id,
+            status: row.delivery_status || row.status,
+            sentAt: row.sent_at,
+            updatedAt: row.delivery_updated_at
+          } : null);
+        }
+      );
+    });
+  }
+
+  /**
+   * Expired sessions are purged once no scheduled or queued send still
+   * needs their recipients; the next sweep after the last send removes them
+   */
   async cleanupExpired() {
     this.db.run(
       `DELETE FROM captured_data WHERE session_id IN 
-       (SELECT session_id FROM capture_sessions WHERE expires_at < datetime('now'))`
+       (SELECT session_id FROM capture_sessions WHERE expires_at < datetime('now'))
+       AND session_id NOT IN (${PENDING_SEND_SESSIONS})`
     );
     this.db.run(
-      `DELETE FROM capture_sessions WHERE expires_at < datetime('now')`
+      `DELETE FROM capture_sessions WHERE expires_at < datetime('now')
+       AND session_id NOT IN (${PENDING_SEND_SESSIONS})`
     );
   }
 
   async endSession(sessionId) {
-    return new Promise((resolve, reject) => {
-      // Immediate purge of session data
-      this.db.run(
-        `DELETE FROM captured_data WHERE session_id = ?`,
-        [sessionId],
-        (err) => {
-          if (err) reject(err);
-          else {
-            this.db.run(
-              `DELETE FROM capture_sessions WHERE session_id = ?`,
-              [sessionId],
-              (err) => {
-                if (err) reject(err);
-                else resolve({ purged: true });
-              }
-            );
-          }
-        }
+    // Immediate purge of session data, except recipients of pending sends
+    await this.run(
+      `DELETE FROM captured_data WHERE session_id = ?
+       AND id NOT IN (
+         SELECT capture_id FROM message_jobs
+         WHERE status IN ('queued', 'sending') AND capture_id IS NOT NULL
+       )`,
+      [sessionId]
+    );
+
+    const pending = await this.all(
+      `SELECT 1 FROM message_jobs WHERE session_id = ? AND status IN ('queued', 'sending') LIMIT 1`,
+      [sessionId]
+    );
+    if (pending.length > 0) {
+      // Expire now; cleanupExpired purges the rest after the sends finish
+      await this.run(
+        `UPDATE capture_sessions SET status = 'ended', expires_at = datetime('now') WHERE session_id = ?`,
+        [sessionId]
       );
-    });
+      return { purged: false, pendingSends: true };
+    }
+
+    await this.run(`DELETE FROM capture_sessions WHERE session_id = ?`, [sessionId]);
+    return { purged: true };
   }
 }
 
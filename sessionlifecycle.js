@@ -0,0 +1,101 @@
+/**
+ * Session lifecycle - the single authority on when a signed-in session ends
+ * A session ends after idleTimeout without activity or absoluteTimeout after
+ * sign-in, whichever comes first. Activity slides the idle deadline and the
+ * demo session's expires_at with it, so stored captures are purged on the
+ * same schedule the operator sees counting down.
+ */
+
+const securityConfig = require('../config/security');
+const SessionData = require('../models/SessionData');
+const ActiveSessions = require('../models/ActiveSessions');
+
+const { idleTimeout, absoluteTimeout, warningTime } = securityConfig.session;
+
+// expires_at is rewritten only once it has drifted this far (not per request)
+const SYNC_INTERVAL = 60 * 1000;
+
+/**
+ * Deadlines of a session: { idleExpiresAt, absoluteExpiresAt, expiresAt } (ms)
+ */
+const deadlines = (session) => {
+  const startedAt = Date.parse(session.moUser.sessionStart);
+  const idleExpiresAt = (session.lastActivity || startedAt) + idleTimeout;
+  const absoluteExpiresAt = startedAt + absoluteTimeout;
+
+  return {
+    idleExpiresAt,
+    absoluteExpiresAt,
+    expiresAt: Math.min(idleExpiresAt, absoluteExpiresAt)
+  };
+};
+
+/**
+ * Why the session has ended ('idle' or 'absolute'), or null while it is live
+ */
+const expiredReason = (session, now = Date.now()) => {
+  const { idleExpiresAt, absoluteExpiresAt } = deadlines(session);
+  if (now >= absoluteExpiresAt) return 'absolute';
+  if (now >= idleExpiresAt) return 'idle';
+  return null;
+};
+
+/**
+ * Keep the demo session's expires_at on the live deadline.
+ * Resolves true when it wrote (at most about once a minute).
+ */
+const syncExpiry = async (session, { force = false } = {}) => {
+  if (!session.demoSessionId) return false;
+
+  const { expiresAt } = deadlines(session);
+  if (!force && Math.abs(expiresAt - (session.expirySyncedTo || 0)) < SYNC_INTERVAL) return false;
+
+  await SessionData.setSessionExpiry(session.demoSessionId, new Date(expiresAt));
+  session.expirySyncedTo = expiresAt;
+  return true;
+};
+
+/**
+ * Record activity: slides the idle deadline (never past the absolute one).
+ * Resolves true when the stored expiry moved with it.
+ */
+const touch = async (session, options) => {
+  session.lastActivity = Date.now();
+  return syncExpiry(session, options);
+};
+
+/**
+ * Remaining time as reported to the client
+ */
+const describe = (session, now = Date.now()) => {
+  const { idleExpiresAt, absoluteExpiresAt, expiresAt } = deadlines(session);
+
+  return {
+    expiresAt: new Date(expiresAt).toISOString(),
+    remaining: Math.max(expiresAt - now, 0),
+    limitedBy: absoluteExpiresAt <= idleExpiresAt ? 'absolute' : 'idle',
+    absoluteExpiresAt: new Date(absoluteExpiresAt).toISOString(),
+    idleTimeout,
+    warningTime,
+    // Extending only helps while the absolute limit is further away
+    extendable: absoluteExpiresAt - now > idleTimeout
+  };
+};
+
+/**
+ * Purge an ended session's demo data (recipients of pending sends are
+ * kept until they go out) and stop listing it as active. Takes the demo
+ * session ID, so admins can end sessions other than their own.
+ */
+const end = async (sessionId) => {
+  if (!sessionId) return null;
+  await ActiveSessions.remove(sessionId);
+  return SessionData.endSession(sessionId);
+};
+
+module.exports = {
+  expiredReason,
+  touch,
+  describe,
+  end
+};
@@ -0,0 +1,149 @@
+/**
+ * SMS delivery configuration
+ * SMS_PROVIDER selects the adapter: mock (default), http or file
+ */
+
+const storageConfig = require('./storage');
+
+const parseJson = (value, name) => {
+  if (!value) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} must be valid JSON`);
+  }
+};
+
+module.exports = {
+  provider: process.env.SMS_PROVIDER || 'mock',
+  sender: process.env.SMS_SENDER_ID || 'MobileObjex',
+
+  // Generic HTTP REST gateway
+  http: {
+    url: process.env.SMS_HTTP_URL || 'http://127.0.0.1:4010/messages',
+    method: process.env.SMS_HTTP_METHOD || 'POST',
+    // {id} is replaced with the provider message ID; unset disables status polling
+    statusUrl: process.env.SMS_HTTP_STATUS_URL || null,
+    timeout: parseInt(process.env.SMS_HTTP_TIMEOUT, 10) || 10000,
+
+    auth: {
+      type: process.env.SMS_HTTP_AUTH || 'none', // none | bearer | basic | header
+      token: process.env.SMS_HTTP_TOKEN,
+      username: process.env.SMS_HTTP_USERNAME,
+      password: process.env.SMS_HTTP_PASSWORD,
+      header: process.env.SMS_HTTP_AUTH_HEADER || 'X-API-Key'
+    },
+
+    // Request field names for our values; extra is merged into every payload
+    fields: {
+      to: 'to',
+      message: 'text',
+      from: 'from',
+      reference: 'reference',
+      ...parseJson(process.env.SMS_HTTP_FIELDS, 'SMS_HTTP_FIELDS')
+    },
+    extra: parseJson(process.env.SMS_HTTP_EXTRA, 'SMS_HTTP_EXTRA') || {},
+
+    // Dotted paths into the provider's JSON responses
+    response: {
+      id: process.env.SMS_HTTP_ID_PATH || 'messageId',
+      status: process.env.SMS_HTTP_STATUS_PATH || 'status'
+    },
+
+    // Provider status strings mapped onto queued | sent | delivered | failed
+    statusMap: {
+      accepted: 'queued',
+      queued: 'queued',
+      enroute: 'sent',
+      sent: 'sent',
+      delivered: 'delivered',
+      undelivered: 'failed',
+      rejected: 'failed',
+      expired: 'failed',
+      failed: 'failed',
+      ...parseJson(process.env.SMS_HTTP_STATUS_MAP, 'SMS_HTTP_STATUS_MAP')
+    }
+  },
+
+  // File/console sink; '-' writes to stdout
+  file: {
+    path: process.env.SMS_FILE_PATH || storageConfig.dataPath('sms-outbox.ndjson')
+  },
+
+  // Inbound provider callbacks (delivery receipts)
+  webhook: {
+    // hmac: X-Signature = sha256=HMAC(secret, `${X-Timestamp}.${rawBody}`)
+    // token: X-Webhook-Token must equal the secret
+    auth: process.env.SMS_WEBHOOK_AUTH || 'hmac',
+    secret: process.env.SMS_WEBHOOK_SECRET,
+    tolerance: 5 * 60 * 1000, // Max clock skew / replay window for signed requests
+
+    fields: {
+      id: 'messageId',
+      status: 'status',
+      error: 'errorCode',
+      ...parseJson(process.env.SMS_WEBHOOK_FIELDS, 'SMS_WEBHOOK_FIELDS')
+    },
+
+    // Inbound message (reply) payload
+    inboundFields: {
+      id: 'messageId',
+      from: 'from',
+      text: 'text',
+      ...parseJson(process.env.SMS_INBOUND_FIELDS, 'SMS_INBOUND_FIELDS')
+    },
+
+    // Final receipt statuses; anything unlisted is treated as in-flight and ignored
+    statusMap: {
+      delivered: 'delivered',
+      delivrd: 'delivered',
+      failed: 'failed',
+      rejected: 'failed',
+      rejectd: 'failed',
+      expired: 'expired',
+      undelivered: 'undeliverable',
+      undeliv: 'undeliverable',
+      undeliverable: 'undeliverable',
+      ...parseJson(process.env.SMS_WEBHOOK_STATUS_MAP, 'SMS_WEBHOOK_STATUS_MAP')
+    }
+  },
+
+  // Estimates shown by the send preview
+  pricing: {
+    costPerSegment: parseFloat(process.env.SMS_COST_PER_SEGMENT || '0.0075'),
+    currency: process.env.SMS_COST_CURRENCY || 'USD'
+  },
+
+  // Reply keywords (whole message, case-insensitive) that change consent
+  keywords: {
+    optOut: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'],
+    optIn: ['START', 'UNSTOP', 'SUBSCRIBE']
+  },
+
+  // Recipients' local night (time zone from the calling code); messages
+  // due inside it wait until it ends
+  quietHours: {
+    enabled: process.env.SMS_QUIET_HOURS !== 'off',
+    start: process.env.SMS_QUIET_START || '21:00',
+    end: process.env.SMS_QUIET_END || '08:00',
+    defaultTimeZones: [process.env.SMS_DEFAULT_TIMEZONE || 'UTC'] // Unknown calling codes
+  },
+
+  // Outbound job queue drained by the message worker
+  queue: {
+    pollInterval: 1000,
+    claimSize: 10,
+    lease: 60 * 1000, // Per claimed job, above the HTTP timeout; a 'sending' job is reclaimed after this (worker crash)
+    maxAttempts: 5,
+    baseDelay: 5000, // Retry backoff doubles from here...
+    maxDelay: 10 * 60 * 1000, // ...up to this
+    retention: 7 * 24 * 60 * 60 * 1000, // Finished jobs and batches kept for a week
+    maxScheduleAhead: 30 * 24 * 60 * 60 * 1000 // Latest allowed sendAt
+  },
+
+  // In-memory mock
+  mock: {
+    failureRate: parseFloat(process.env.SMS_MOCK_FAILURE_RATE || '0.1'),
+    deliveryDelay: 1000
+  }
+};
@@ -0,0 +1,83 @@
+/**
+ * SMS encoding and segment calculation
+ * GSM-7 (3GPP TS 23.038 default alphabet + extension table) when every
+ * character fits, otherwise UCS-2 for the whole message
+ */
+
+const GSM_BASIC = new Set(Array.from(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+));
+
+// Sent as ESC + char: two septets each
+const GSM_EXTENDED = new Set(Array.from('^{}\\[~]|€\f'));
+
+const LIMITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 }
+};
+
+/**
+ * Units per character: septets for GSM-7, UTF-16 code units for UCS-2
+ */
+const unitsFor = (char, encoding) => {
+  if (encoding === 'UCS-2') return char.length; // Astral characters (emoji) take a surrogate pair
+  return GSM_EXTENDED.has(char) ? 2 : 1;
+};
+
+/**
+ * Characters that force UCS-2 (unique, in order of appearance)
+ */
+const nonGsmCharacters = (text) =>
+  Array.from(new Set(Array.from(text).filter(char => !GSM_BASIC.has(char) && !GSM_EXTENDED.has(char))));
+
+/**
+ * Encoding, length and segment breakdown for one message body
+ */
+const analyze = (text) => {
+  const chars = Array.from(text); // Code points, so surrogate pairs stay together
+  const forcing = nonGsmCharacters(text);
+  const encoding = forcing.length === 0 ? 'GSM-7' : 'UCS-2';
+  const limits = LIMITS[encoding];
+  const units = chars.reduce((sum, char) => sum + unitsFor(char, encoding), 0);
+
+  if (units <= limits.single) {
+    return {
+      encoding,
+      characters: chars.length,
+      units,
+      segments: units === 0 ? 0 : 1,
+      perSegment: limits.single,
+      remainingInSegment: limits.single - units,
+      nonGsmCharacters: forcing
+    };
+  }
+
+  // Multipart: a character (escape pair or surrogate pair) never straddles segments
+  let segments = 1;
+  let used = 0;
+  for (const char of chars) {
+    const size = unitsFor(char, encoding);
+    if (used + size > limits.multipart) {
+      segments += 1;
+      used = 0;
+    }
+    used += size;
+  }
+
+  return {
+    encoding,
+    characters: chars.length,
+    units,
+    segments,
+    perSegment: limits.multipart,
+    remainingInSegment: limits.multipart - used,
+    nonGsmCharacters: forcing
+  };
+};
+
+module.exports = {
+  analyze,
+  nonGsmCharacters,
+  LIMITS
+};
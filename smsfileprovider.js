@@ -0,0 +1,52 @@
+/**
+ * File/console SMS sink - appends each message as an NDJSON line
+ * For development and demos; nothing leaves the machine
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { maskPhone } = require('../phoneNumber');
+
+class FileProvider {
+  constructor({ path: filePath }) {
+    this.name = 'file';
+    this.filePath = filePath;
+    this.deliveries = new Map();
+
+    if (filePath !== '-') {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+  }
+
+  async send({ to, message, from, reference }) {
+    const delivery = {
+      id: `FILE-${crypto.randomUUID()}`,
+      timestamp: new Date().toISOString(),
+      to: maskPhone(to), // Mask the recipient even here
+      from,
+      reference,
+      message
+    };
+    const line = JSON.stringify(delivery) + '\n';
+
+    if (this.filePath === '-') {
+      process.stdout.write(line);
+    } else {
+      await fs.promises.appendFile(this.filePath, line, { mode: 0o600 });
+    }
+
+    this.deliveries.set(delivery.id, { id: delivery.id, status: 'sent', timestamp: delivery.timestamp });
+    return { id: delivery.id, status: 'sent' };
+  }
+
+  async getStatus(deliveryId) {
+    const delivery = this.deliveries.get(deliveryId);
+    if (!delivery) {
+      throw new Error('Delivery not found');
+    }
+    return delivery;
+  }
+}
+
+module.exports = FileProvider;
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in SMS gateway for development and integration tests
+ * Usage: npm run sms:gateway   (then SMS_PROVIDER=http, SMS_HTTP_STATUS_URL=http://127.0.0.1:4010/messages/{id})
+ *
+ * Speaks the http provider's default payload ({ to, text, from, reference }).
+ * Failures are injected by the last four digits of the recipient:
+ *   0400 rejected (400)   0429 throttled (429)   0500 server error (500)
+ *   0408 never answers in time   0999 accepted, then undelivered
+ * Everything else is accepted and delivered after SMS_GATEWAY_DELAY ms.
+ * With SMS_GATEWAY_DLR_URL and SMS_WEBHOOK_SECRET set, final statuses are
+ * posted back as signed delivery receipts (e.g. .../api/webhooks/sms/dlr).
+ * POST /simulate/inbound { from, text } forwards a signed reply to
+ * SMS_GATEWAY_INBOUND_URL (e.g. .../api/webhooks/sms/inbound).
+ */
+
+require('dotenv').config();
+const express = require('express');
+const crypto = require('crypto');
+
+/**
+ * POST a signed webhook, as a real provider's callbacks would
+ */
+const postSigned = async (url, secret, payload) => {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Timestamp': String(timestamp),
+      'X-Signature': `sha256=${signature}`
+    },
+    body
+  });
+  return response.status;
+};
+
+const sendReceipt = async (dlrUrl, secret, message) => {
+  try {
+    const status = await postSigned(dlrUrl, secret, {
+      messageId: message.messageId,
+      status: message.status,
+      timestamp: message.deliveredAt
+    });
+    console.log(`📬 DLR ${message.messageId} ${message.status} -> ${status}`);
+  } catch (error) {
+    console.error(`DLR ${message.messageId} failed: ${error.message}`);
+  }
+};
+
+const createGateway = ({
+  token = process.env.SMS_GATEWAY_TOKEN,
+  deliveryDelay = 500,
+  dlrUrl = process.env.SMS_GATEWAY_DLR_URL,
+  dlrSecret = process.env.SMS_WEBHOOK_SECRET,
+  inboundUrl = process.env.SMS_GATEWAY_INBOUND_URL
+} = {}) => {
+  const app = express();
+  const messages = new Map();
+  const idempotencyKeys = new Map(); // Idempotency-Key -> messageId
+
+  app.use(express.json({ limit: '16kb' }));
+
+  // Optional auth: Bearer token or X-API-Key, matching the provider's auth types
+  app.use((req, res, next) => {
+    if (!token) return next();
+    const supplied = (req.get('authorization') || '').replace(/^Bearer /, '') || req.get('x-api-key');
+    if (supplied !== token) {
+      return res.status(401).json({ error: 'invalid credentials' });
+    }
+    next();
+  });
+
+  app.post('/messages', (req, res) => {
+    const { to, text, from, reference } = req.body;
+
+    if (typeof to !== 'string' || !/^\+?[1-9]\d{1,14}$/.test(to)) {
+      return res.status(400).json({ error: 'invalid recipient' });
+    }
+    if (typeof text !== 'string' || text.length === 0) {
+      return res.status(400).json({ error: 'text is required' });
+    }
+
+    // A retried request gets the original acceptance, not a second message
+    const idempotencyKey = req.get('idempotency-key');
+    if (idempotencyKey && idempotencyKeys.has(idempotencyKey)) {
+      const existing = messages.get(idempotencyKeys.get(idempotencyKey));
+      return res.status(200).json({ messageId: existing.messageId, status: existing.status });
+    }
+
+    const suffix = to.slice(-4);
+    if (suffix === '0400') return res.status(400).json({ error: 'recipient rejected' });
+    if (suffix === '0429') return res.status(429).json({ error: 'throttled' });
+    if (suffix === '0500') return res.status(500).json({ error: 'internal gateway error' });
+    if (suffix === '0408') return; // Leave the request hanging until the client times out
+
+    const message = {
+      messageId: `GW-${crypto.randomUUID()}`,
+      status: 'accepted',
+      to: to.replace(/\d(?=\d{4})/g, '*'),
+      from,
+      reference,
+      length: text.length,
+      timestamp: new Date().toISOString()
+    };
+    messages.set(message.messageId, message);
+    if (idempotencyKey) idempotencyKeys.set(idempotencyKey, message.messageId);
+
+    setTimeout(() => {
+      message.status = suffix === '0999' ? 'undelivered' : 'delivered';
+      message.deliveredAt = new Date().toISOString();
+      if (dlrUrl && dlrSecret) sendReceipt(dlrUrl, dlrSecret, message);
+    }, deliveryDelay).unref();
+
+    console.log(`📨 ${message.messageId} -> ${message.to} (${text.length} chars)`);
+    res.status(202).json({ messageId: message.messageId, status: message.status });
+  });
+
+  app.get('/messages/:id', (req, res) => {
+    const message = messages.get(req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: 'message not found' });
+    }
+    res.json(message);
+  });
+
+  // Test helper: simulate a handset reply (e.g. STOP) to the app's inbound webhook
+  app.post('/simulate/inbound', async (req, res) => {
+    const { from, text } = req.body;
+    if (!inboundUrl || !dlrSecret) {
+      return res.status(409).json({ error: 'SMS_GATEWAY_INBOUND_URL and SMS_WEBHOOK_SECRET are required' });
+    }
+
+    try {
+      const messageId = `GW-IN-${crypto.randomUUID()}`;
+      const status = await postSigned(inboundUrl, dlrSecret, { messageId, from, text });
+      res.json({ messageId, webhookStatus: status });
+    } catch (error) {
+      res.status(502).json({ error: error.message });
+    }
+  });
+
+  // Test helpers: inspect and clear what was received
+  app.get('/messages', (req, res) => {
+    res.json({ messages: Array.from(messages.values()) });
+  });
+
+  app.delete('/messages', (req, res) => {
+    messages.clear();
+    idempotencyKeys.clear();
+    res.status(204).end();
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.SMS_GATEWAY_PORT, 10) || 4010;
+  const deliveryDelay = parseInt(process.env.SMS_GATEWAY_DELAY, 10) || 500;
+
+  createGateway({ deliveryDelay }).listen(port, '127.0.0.1', () => {
+    console.log(`🛰️  Stand-in SMS gateway listening on http://127.0.0.1:${port}`);
+  });
+}
+
+module.exports = { createGateway };
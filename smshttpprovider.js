@@ -0,0 +1,129 @@
+/**
+ * Generic HTTP REST SMS provider
+ * Auth scheme, request field names and response paths come from config,
+ * so most JSON SMS gateways can be used without code changes
+ */
+
+const getPath = (obj, dotted) =>
+  dotted.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+
+/**
+ * Provider failure; retryable for timeouts, network errors, 429 and 5xx
+ */
+const providerError = (message, { retryable, httpStatus } = {}) => {
+  const error = new Error(message);
+  error.code = 'SMS_PROVIDER_ERROR';
+  error.retryable = Boolean(retryable);
+  error.httpStatus = httpStatus;
+  return error;
+};
+
+class HttpProvider {
+  constructor(config) {
+    this.name = 'http';
+    this.config = config;
+
+    if (!config.url) {
+      throw new Error('SMS_HTTP_URL is required for the http SMS provider');
+    }
+  }
+
+  authHeaders() {
+    const { type, token, username, password, header } = this.config.auth;
+
+    switch (type) {
+      case 'none':
+        return {};
+      case 'bearer':
+        return { Authorization: `Bearer ${token}` };
+      case 'basic':
+        return { Authorization: `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}` };
+      case 'header':
+        return { [header]: token };
+      default:
+        throw new Error(`Unsupported SMS_HTTP_AUTH type: ${type}`);
+    }
+  }
+
+  async request(url, options) {
+    let response;
+    try {
+      response = await fetch(url, {
+        ...options,
+        headers: {
+          Accept: 'application/json',
+          ...this.authHeaders(),
+          ...options.headers
+        },
+        signal: AbortSignal.timeout(this.config.timeout)
+      });
+    } catch (error) {
+      const reason = error.name === 'TimeoutError' ? 'timed out' : 'unreachable';
+      throw providerError(`SMS gateway ${reason}`, { retryable: true });
+    }
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw providerError(
+        `SMS gateway responded ${response.status}${body.error ? `: ${body.error}` : ''}`,
+        {
+          retryable: response.status === 429 || response.status >= 500,
+          httpStatus: response.status
+        }
+      );
+    }
+
+    return body;
+  }
+
+  normalizeStatus(providerStatus) {
+    const key = String(providerStatus || '').toLowerCase();
+    return this.config.statusMap[key] || 'queued';
+  }
+
+  async send({ to, message, from, reference }) {
+    const { fields, extra, response } = this.config;
+    const payload = { ...extra };
+    const values = { to, message, from, reference };
+
+    Object.entries(fields).forEach(([ours, theirs]) => {
+      if (theirs && values[ours] !== undefined) payload[theirs] = values[ours];
+    });
+
+    const body = await this.request(this.config.url, {
+      method: this.config.method,
+      headers: {
+        'Content-Type': 'application/json',
+        // Lets the gateway drop a resend of a message it already accepted
+        ...(reference && { 'Idempotency-Key': reference })
+      },
+      body: JSON.stringify(payload)
+    });
+
+    const id = getPath(body, response.id);
+    if (!id) {
+      throw providerError('SMS gateway response did not include a message ID');
+    }
+
+    return { id: String(id), status: this.normalizeStatus(getPath(body, response.status)) };
+  }
+
+  async getStatus(deliveryId) {
+    if (!this.config.statusUrl) {
+      throw new Error('Delivery status lookup is not configured (SMS_HTTP_STATUS_URL)');
+    }
+
+    const url = this.config.statusUrl.replace('{id}', encodeURIComponent(deliveryId));
+    const body = await this.request(url, { method: 'GET' });
+
+    return {
+      id: deliveryId,
+      status: this.normalizeStatus(getPath(body, this.config.response.status)),
+      timestamp: body.timestamp,
+      deliveredAt: body.deliveredAt
+    };
+  }
+}
+
+module.exports = HttpProvider;
@@ -0,0 +1,62 @@
+/**
+ * Mock SMS provider - in-memory deliveries with simulated outcomes
+ */
+
+class MockProvider {
+  constructor({ failureRate, deliveryDelay }) {
+    this.name = 'mock';
+    this.failureRate = failureRate;
+    this.deliveryDelay = deliveryDelay;
+    this.deliveryQueue = new Map();
+    this.deliveryCounter = 0;
+  }
+
+  async send({ to, reference }) {
+    const deliveryId = `MO-${Date.now()}-${++this.deliveryCounter}`;
+
+    // Mock delivery record
+    const delivery = {
+      id: deliveryId,
+      to: to.replace(/\d(?=\d{4})/g, '*'), // Mask in logs
+      timestamp: new Date().toISOString(),
+      status: 'queued',
+      reference
+    };
+
+    this.deliveryQueue.set(deliveryId, delivery);
+
+    // Simulate async delivery
+    setTimeout(() => {
+      delivery.status = Math.random() >= this.failureRate ? 'delivered' : 'failed';
+      delivery.deliveredAt = new Date().toISOString();
+      if (this.onStatus) this.onStatus(deliveryId, delivery.status); // Simulated receipt
+    }, this.deliveryDelay);
+
+    return { id: deliveryId, status: 'queued' };
+  }
+
+  async getStatus(deliveryId) {
+    const delivery = this.deliveryQueue.get(deliveryId);
+    if (!delivery) {
+      throw new Error('Delivery not found');
+    }
+    return {
+      id: delivery.id,
+      status: delivery.status,
+      timestamp: delivery.timestamp,
+      deliveredAt: delivery.deliveredAt
+    };
+  }
+
+  getStats() {
+    const all = Array.from(this.deliveryQueue.values());
+    return {
+      total: all.length,
+      queued: all.filter(d => d.status === 'queued').length,
+      delivered: all.filter(d => d.status === 'delivered').length,
+      failed: all.filter(d => d.status === 'failed').length
+    };
+  }
+}
+
+module.exports = MockProvider;
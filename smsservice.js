@@ -1,67 +1,80 @@
 /**
  * SMS Service - Integration with MO SMS Composer
- * Mock implementation for demo with audit logging
+ * Delegates delivery to the provider adapter selected by config/sms
  */
 
+const smsConfig = require('../config/sms');
+const SessionData = require('../models/SessionData');
+const eventBus = require('./eventBus');
+const logger = require('./logger');
+const MockProvider = require('./sms/mockProvider');
+const HttpProvider = require('./sms/httpProvider');
+const FileProvider = require('./sms/fileProvider');
+
+const PROVIDERS = {
+  mock: () => new MockProvider(smsConfig.mock),
+  http: () => new HttpProvider(smsConfig.http),
+  file: () => new FileProvider(smsConfig.file)
+};
+
+const createProvider = (name) => {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return factory();
+};
+
 class SMSService {
   constructor() {
-    this.deliveryQueue = new Map();
-    this.deliveryCounter = 0;
+    this.provider = createProvider(smsConfig.provider);
+
+    // Providers that learn outcomes themselves (mock) report like a DLR would
+    this.provider.onStatus = (deliveryId, status) => {
+      this.reportStatus(deliveryId, status).catch((error) => {
+        logger.error('Delivery status update failed', { error: error.message, deliveryId });
+      });
+    };
   }
 
-  async send({ to, message, sessionId, username }) {
+  async send({ to, message, reference }) {
     // Validate phone format
     const phoneRegex = /^\+?[1-9]\d{1,14}$/;
     if (!phoneRegex.test(to)) {
       throw new Error('Invalid phone number format');
     }
 
-    // Simulate SMS Composer API call
-    const deliveryId = `MO-${Date.now()}-${++this.deliveryCounter}`;
-    
-    // Mock delivery record
-    const delivery = {
-      id: deliveryId,
-      to: to.replace(/\d(?=\d{4})/g, '*'), // Mask in logs
-      timestamp: new Date().toISOString(),
-      status: 'queued',
-      sessionId,
-      username
-    };
-
-    this.deliveryQueue.set(deliveryId, delivery);
-
-    // Simulate async delivery
-    setTimeout(() => {
-      delivery.status = Math.random() > 0.1 ? 'delivered' : 'failed';
-      delivery.deliveredAt = new Date().toISOString();
-    }, 1000);
+    return this.provider.send({
+      to,
+      message,
+      from: smsConfig.sender,
+      reference
+    });
+  }
 
-    return { id: deliveryId, status: 'queued' };
+  /**
+   * Record a final delivery status (from a receipt) and push it to the
+   * sending session's open pages. Returns { updated } like the model.
+   */
+  async reportStatus(deliveryId, status) {
+    const receipt = await SessionData.updateDeliveryStatus(deliveryId, status);
+    if (receipt.updated > 0) {
+      eventBus.publish(receipt.sessionId, 'delivery.status', {
+        captureId: receipt.captureId,
+        deliveryId,
+        status
+      });
+    }
+    return receipt;
   }
 
   async getStatus(deliveryId) {
-    const delivery = this.deliveryQueue.get(deliveryId);
-    if (!delivery) {
-      throw new Error('Delivery not found');
-    }
-    return {
-      id: delivery.id,
-      status: delivery.status,
-      timestamp: delivery.timestamp,
-      deliveredAt: delivery.deliveredAt
-    };
+    return this.provider.getStatus(deliveryId);
   }
 
-  // For demo: Get queue stats
+  // For demo: Get queue stats (mock provider only)
   getStats() {
-    const all = Array.from(this.deliveryQueue.values());
-    return {
-      total: all.length,
-      queued: all.filter(d => d.status === 'queued').length,
-      delivered: all.filter(d => d.status === 'delivered').length,
-      failed: all.filter(d => d.status === 'failed').length
-    };
+    return this.provider.getStats ? this.provider.getStats() : null;
   }
 }
 
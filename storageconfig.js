@@ -0,0 +1,16 @@
+/**
+ * Storage configuration
+ * DATA_DIR holds the SQLite databases and file outbox (default: ./data
+ * at the project root)
+ */
+
+const path = require('path');
+
+const dataDir = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, '../../data');
+
+module.exports = {
+  dataDir,
+  dataPath: (file) => path.join(dataDir, file)
+};
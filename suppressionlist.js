@@ -0,0 +1,68 @@
+/**
+ * Suppression List Model - Recipients who opted out (STOP) of messages
+ * Keyed by phone blind index only; the number itself is never stored here
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const { phoneIndex } = require('../services/blindIndex');
+const storageConfig = require('../config/storage');
+
+const DB_PATH = storageConfig.dataPath('demo-sessions.db');
+
+class SuppressionList {
+  constructor() {
+    this.db = new sqlite3.Database(DB_PATH);
+    this.db.configure('busyTimeout', 5000);
+    this.init();
+  }
+
+  init() {
+    // Kept indefinitely: consent outlives any demo session
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS suppression_list (
+        phone_index TEXT PRIMARY KEY,
+        suppressed INTEGER NOT NULL DEFAULT 1,
+        keyword TEXT,
+        source TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async isSuppressed(phoneNumber) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT suppressed FROM suppression_list WHERE phone_index = ?`,
+        [phoneIndex(phoneNumber)],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(Boolean(row && row.suppressed));
+        }
+      );
+    });
+  }
+
+  /**
+   * Opt a number out (suppressed = true) or back in
+   */
+  async setSuppressed(phoneNumber, suppressed, { keyword = null, source = 'inbound' } = {}) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO suppression_list (phone_index, suppressed, keyword, source, updated_at)
+         VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(phone_index) DO UPDATE SET
+           suppressed = excluded.suppressed,
+           keyword = excluded.keyword,
+           source = excluded.source,
+           updated_at = excluded.updated_at`,
+        [phoneIndex(phoneNumber), suppressed ? 1 : 0, keyword, source],
+        (err) => {
+          if (err) reject(err);
+          else resolve({ suppressed });
+        }
+      );
+    });
+  }
+}
+
+module.exports = new SuppressionList();
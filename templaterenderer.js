@@ -0,0 +1,88 @@
+/**
+ * Message template rendering
+ * Placeholders are {{name}}. Built-ins are filled per recipient by the
+ * system; custom variables come from template defaults or send overrides.
+ */
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
+// Filled by the send pipeline; senders cannot override these
+const BUILT_INS = ['safetyCode', 'operator', 'expiresAt'];
+
+// Every template must deliver the safety code
+const REQUIRED = ['safetyCode'];
+
+const MAX_BODY_LENGTH = 1600;
+
+const placeholdersIn = (body) =>
+  Array.from(new Set(Array.from(body.matchAll(PLACEHOLDER), m => m[1])));
+
+/**
+ * Problems with a template definition (empty when valid)
+ */
+const validateTemplate = (body, variables = {}) => {
+  const errors = [];
+  const used = placeholdersIn(body);
+
+  REQUIRED.filter(name => !used.includes(name)).forEach((name) => {
+    errors.push(`Template must include {{${name}}}`);
+  });
+
+  used.filter(name => !BUILT_INS.includes(name) && !Object.hasOwn(variables, name)).forEach((name) => {
+    errors.push(`Unknown placeholder {{${name}}}; declare it as a variable`);
+  });
+
+  Object.keys(variables).filter(name => BUILT_INS.includes(name)).forEach((name) => {
+    errors.push(`{{${name}}} is built in and cannot be declared as a variable`);
+  });
+
+  if (/[<>]/.test(body)) {
+    errors.push('Template cannot contain < or >');
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    errors.push(`Template cannot exceed ${MAX_BODY_LENGTH} characters`);
+  }
+
+  return errors;
+};
+
+/**
+ * Resolve custom variables: override, then default. Throws listing any
+ * variable left without a value, or overrides the template doesn't declare.
+ */
+const resolveVariables = (variables = {}, overrides = {}) => {
+  const unknown = Object.keys(overrides).filter(name => !Object.hasOwn(variables, name));
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown template variables: ${unknown.join(', ')}`);
+    error.code = 'TEMPLATE_VARIABLES';
+    throw error;
+  }
+
+  const values = {};
+  const missing = [];
+  for (const [name, defaultValue] of Object.entries(variables)) {
+    const value = overrides[name] ?? defaultValue;
+    if (value === null || value === undefined || value === '') missing.push(name);
+    else values[name] = String(value).replace(/[<>]/g, '');
+  }
+
+  if (missing.length > 0) {
+    const error = new Error(`Missing values for template variables: ${missing.join(', ')}`);
+    error.code = 'TEMPLATE_VARIABLES';
+    throw error;
+  }
+  return values;
+};
+
+const render = (body, values) =>
+  body.replace(PLACEHOLDER, (match, name) => (Object.hasOwn(values, name) ? values[name] : match));
+
+module.exports = {
+  BUILT_INS,
+  REQUIRED,
+  MAX_BODY_LENGTH,
+  placeholdersIn,
+  validateTemplate,
+  resolveVariables,
+  render
+};
@@ -0,0 +1,223 @@
+/**
+ * Message template routes
+ * Operators can read templates to send with them; admins manage wording
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { requirePermission, PERMISSIONS } = require('../middleware/permissions');
+const { handleValidationErrors } = require('../middleware/security');
+const MessageTemplates = require('../models/MessageTemplates');
+const { validateTemplate, BUILT_INS } = require('../services/templateRenderer');
+
+router.use(requireAuth);
+
+const idParam = param('id').isInt({ min: 1 }).withMessage('Invalid template ID').toInt();
+
+const nameField = () => body('name')
+  .trim()
+  .matches(/^[a-z0-9][a-z0-9_-]{1,49}$/)
+  .withMessage('Name must be 2-50 lowercase letters, digits, - or _');
+
+const descriptionField = () => body('description')
+  .trim()
+  .isLength({ max: 200 })
+  .withMessage('Description cannot exceed 200 characters');
+
+const bodyField = () => body('body')
+  .isString()
+  .isLength({ min: 1, max: 1600 })
+  .withMessage('Body must be 1-1600 characters');
+
+const languageField = () => body('language')
+  .matches(/^[a-z]{2}(-[A-Z]{2})?$/)
+  .withMessage('Language must be a code such as en or es-MX');
+
+// Custom variables: { name: default-or-null }
+const variablesField = () => body('variables')
+  .custom((value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('Variables must be an object of name: default');
+    }
+    for (const [name, defaultValue] of Object.entries(value)) {
+      if (!/^[a-zA-Z][a-zA-Z0-9_]{0,29}$/.test(name)) throw new Error(`Invalid variable name: ${name}`);
+      if (defaultValue !== null && typeof defaultValue !== 'string') {
+        throw new Error(`Default for ${name} must be a string or null`);
+      }
+    }
+    return true;
+  });
+
+/**
+ * Reject bodies missing required placeholders or using undeclared ones
+ */
+const checkTemplate = (res, templateBody, variables) => {
+  const errors = validateTemplate(templateBody, variables);
+  if (errors.length === 0) return true;
+
+  res.status(400).json({
+    error: 'Invalid template',
+    code: 'INVALID_TEMPLATE',
+    details: errors.map(message => ({ field: 'body', message }))
+  });
+  return false;
+};
+
+// List templates (current versions)
+router.get('/',
+  requirePermission(PERMISSIONS.MESSAGE_SEND),
+  [
+    query('includeArchived').optional().isBoolean().toBoolean(),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const templates = await MessageTemplates.list({ includeArchived: req.query.includeArchived });
+      res.json({ success: true, templates, builtIns: BUILT_INS });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to list templates' });
+    }
+  }
+);
+
+// One template with its version history
+router.get('/:id',
+  requirePermission(PERMISSIONS.MESSAGE_SEND),
+  [idParam, handleValidationErrors],
+  async (req, res) => {
+    try {
+      const template = await MessageTemplates.findById(req.params.id);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found', code: 'TEMPLATE_NOT_FOUND' });
+      }
+
+      const versions = await MessageTemplates.listVersions(req.params.id);
+      res.json({ success: true, template, versions });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to load template' });
+    }
+  }
+);
+
+// Create template
+router.post('/',
+  requirePermission(PERMISSIONS.TEMPLATES_MANAGE),
+  [
+    nameField(),
+    descriptionField().optional(),
+    bodyField(),
+    languageField().optional(),
+    variablesField().optional(),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const { name, description, language } = req.body;
+      const variables = req.body.variables || {};
+
+      if (!checkTemplate(res, req.body.body, variables)) return;
+
+      const template = await MessageTemplates.create({
+        name,
+        description,
+        body: req.body.body,
+        language,
+        variables,
+        createdBy: req.session.moUser.username
+      });
+
+      req.auditLog('TEMPLATE_CREATED', { templateId: template.id, name, version: template.version });
+
+      res.status(201).json({ success: true, template });
+
+    } catch (error) {
+      if (error.code === 'TEMPLATE_EXISTS') {
+        return res.status(409).json({ error: error.message, code: error.code });
+      }
+      res.status(500).json({ error: 'Failed to create template' });
+    }
+  }
+);
+
+// Update template; content changes publish a new version
+router.put('/:id',
+  requirePermission(PERMISSIONS.TEMPLATES_MANAGE),
+  [
+    idParam,
+    nameField().optional(),
+    descriptionField().optional(),
+    bodyField().optional(),
+    languageField().optional(),
+    variablesField().optional(),
+    handleValidationErrors
+  ],
+  async (req, res) => {
+    try {
+      const current = await MessageTemplates.findById(req.params.id);
+      if (!current) {
+        return res.status(404).json({ error: 'Template not found', code: 'TEMPLATE_NOT_FOUND' });
+      }
+
+      const changes = {
+        name: req.body.name,
+        description: req.body.description,
+        body: req.body.body,
+        language: req.body.language,
+        variables: req.body.variables
+      };
+
+      if (!checkTemplate(res, changes.body ?? current.body, changes.variables ?? current.variables)) return;
+
+      const template = await MessageTemplates.update(req.params.id, changes, req.session.moUser.username);
+
+      req.auditLog('TEMPLATE_UPDATED', {
+        templateId: template.id,
+        name: template.name,
+        version: template.version,
+        previousVersion: current.version
+      });
+
+      res.json({ success: true, template });
+
+    } catch (error) {
+      if (error.code === 'TEMPLATE_EXISTS') {
+        return res.status(409).json({ error: error.message, code: error.code });
+      }
+      if (error.code === 'TEMPLATE_NOT_FOUND') {
+        return res.status(404).json({ error: error.message, code: error.code });
+      }
+      res.status(500).json({ error: 'Failed to update template' });
+    }
+  }
+);
+
+// Archive template (kept for history, unusable for new sends)
+router.delete('/:id',
+  requirePermission(PERMISSIONS.TEMPLATES_MANAGE),
+  [idParam, handleValidationErrors],
+  async (req, res) => {
+    try {
+      const template = await MessageTemplates.findById(req.params.id);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found', code: 'TEMPLATE_NOT_FOUND' });
+      }
+      if (template.name === 'default') {
+        return res.status(409).json({
+          error: 'The default template cannot be archived',
+          code: 'DEFAULT_TEMPLATE'
+        });
+      }
+
+      await MessageTemplates.setStatus(req.params.id, 'archived');
+      req.auditLog('TEMPLATE_ARCHIVED', { templateId: template.id, name: template.name });
+
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: 'Failed to archive template' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,120 @@
+/**
+ * Tamper-evident audit chain: edits and forged checkpoints are detected.
+ * Export streams every matching event.
+ */
+
+const app = require('../server/app');
+const AuditLog = require('../server/models/AuditLog');
+const { uniqueName, createUser, removeUsers, signIn } = require('./helpers');
+
+afterAll(removeUsers);
+
+const appendEvent = (details = {}) => AuditLog.append({
+  timestamp: new Date().toISOString(),
+  action: 'TEST_EVENT',
+  user: uniqueName('audit'),
+  ...details
+});
+
+describe('audit chain verification', () => {
+  test('an untouched chain verifies', async () => {
+    await appendEvent();
+    await appendEvent();
+
+    const result = await AuditLog.verifyChain();
+    expect(result.valid).toBe(true);
+    expect(result.firstBroken).toBeNull();
+  });
+
+  test('an edited entry breaks the chain at that entry', async () => {
+    const { id } = await appendEvent({ note: 'original' });
+    await appendEvent();
+
+    await AuditLog.run(`UPDATE audit_events SET details = ? WHERE id = ?`, [JSON.stringify({ note: 'edited' }), id]);
+    try {
+      const result = await AuditLog.verifyChain();
+      expect(result.valid).toBe(false);
+      expect(result.firstBroken).toMatchObject({ id, reason: 'Entry contents do not match its hash' });
+    } finally {
+      await AuditLog.run(`UPDATE audit_events SET details = ? WHERE id = ?`, [JSON.stringify({ note: 'original' }), id]);
+    }
+
+    expect((await AuditLog.verifyChain()).valid).toBe(true);
+  });
+
+  test('a deleted entry shows as a sequence gap', async () => {
+    const { id } = await appendEvent();
+    await appendEvent();
+
+    const [row] = await new Promise((resolve, reject) => {
+      AuditLog.db.all(`SELECT * FROM audit_events WHERE id = ?`, [id], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    await AuditLog.run(`DELETE FROM audit_events WHERE id = ?`, [id]);
+    try {
+      const result = await AuditLog.verifyChain();
+      expect(result.valid).toBe(false);
+      expect(result.firstBroken.reason).toMatch(/^Sequence gap/);
+    } finally {
+      const columns = Object.keys(row);
+      await AuditLog.run(
+        `INSERT INTO audit_events (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => row[column])
+      );
+    }
+  });
+
+  test('a checkpoint with a forged signature is reported', async () => {
+    await appendEvent();
+    const checkpoint = await AuditLog.createCheckpoint();
+
+    const forged = await AuditLog.run(
+      `INSERT INTO audit_checkpoints (seq, hash, created_at, signature) VALUES (?, ?, ?, ?)`,
+      [checkpoint.seq, checkpoint.hash, new Date().toISOString(), 'f'.repeat(64)]
+    );
+    try {
+      const result = await AuditLog.verifyChain();
+      expect(result.valid).toBe(false);
+      expect(result.checkpointFailure).toMatchObject({ reason: 'Invalid checkpoint signature' });
+    } finally {
+      await AuditLog.run(`DELETE FROM audit_checkpoints WHERE id = ?`, [forged.lastID]);
+    }
+  });
+});
+
+describe('audit export', () => {
+  test('each() pages through every matching event in order', async () => {
+    const user = uniqueName('audit');
+    const ids = [];
+    for (let i = 0; i < 5; i++) {
+      ids.push((await appendEvent({ user })).id);
+    }
+
+    const visited = [];
+    const count = await AuditLog.each({ user }, async (event) => {
+      await new Promise(resolve => setImmediate(resolve));
+      visited.push(event.id);
+    }, { pageSize: 2 });
+
+    expect(count).toBe(5);
+    expect(visited).toEqual(ids);
+  });
+
+  test('the export endpoint streams all matching events', async () => {
+    const user = uniqueName('audit');
+    for (let i = 0; i < 3; i++) {
+      await appendEvent({ user });
+    }
+
+    const { agent } = await signIn(app, await createUser({ role: 'admin' }));
+    const res = await agent.get('/api/audit/export').query({ user, format: 'ndjson' });
+
+    expect(res.status).toBe(200);
+    const events = res.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(events).toHaveLength(3);
+    expect(events.every(event => event.user === user)).toBe(true);
+  });
+});
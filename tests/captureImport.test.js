@@ -0,0 +1,147 @@
+/**
+ * Bulk capture import: CSV/TSV parsing, row validation and the
+ * preview (dry run) then confirm-token commit flow
+ */
+
+const app = require('../server/app');
+const { parseImport, validateRows } = require('../server/services/captureImport');
+const { phoneIndex } = require('../server/services/blindIndex');
+const { createUser, removeUsers, signIn } = require('./helpers');
+
+afterAll(removeUsers);
+
+const FILE = [
+  'phoneNumber,safetyCode',
+  '+447400123401,SAFE-001',
+  '+447400123402,SAFE-002'
+].join('\n');
+
+describe('parseImport', () => {
+  test('reads quoted fields holding delimiters, quotes and line breaks', () => {
+    const rows = parseImport('phone,code,note\n"+447400123401","SAFE-001","a, ""b""\nc"\n+447400123402,SAFE-002,');
+
+    expect(rows).toEqual([
+      { line: 2, values: { phoneNumber: '+447400123401', safetyCode: 'SAFE-001' } },
+      { line: 4, values: { phoneNumber: '+447400123402', safetyCode: 'SAFE-002' } }
+    ]);
+  });
+
+  test('detects tab and semicolon delimiters and strips a spreadsheet BOM', () => {
+    const tab = parseImport('\uFEFFMobile\tSafety Code\n+447400123401\tSAFE-001');
+    const semicolon = parseImport('phone_number;safety-code\n+447400123401;SAFE-001');
+
+    expect(tab[0].values).toEqual({ phoneNumber: '+447400123401', safetyCode: 'SAFE-001' });
+    expect(semicolon[0].values).toEqual(tab[0].values);
+  });
+
+  test('skips blank lines and keeps source line numbers', () => {
+    const rows = parseImport('phone,code\r\n\r\n+447400123401,SAFE-001\r\n');
+    expect(rows).toEqual([{ line: 3, values: { phoneNumber: '+447400123401', safetyCode: 'SAFE-001' } }]);
+  });
+
+  test.each([
+    ['a header without the required columns', 'name,email\nx,y', 'IMPORT_FORMAT'],
+    ['an unterminated quote', 'phone,code\n"+447400123401,SAFE-001', 'IMPORT_FORMAT'],
+    ['a header with no data rows', 'phone,code\n', 'IMPORT_EMPTY']
+  ])('rejects %s', (description, text, code) => {
+    expect(() => parseImport(text)).toThrow(expect.objectContaining({ code }));
+  });
+});
+
+describe('validateRows', () => {
+  test('reports invalid, mismatched and duplicate rows and keeps the rest', () => {
+    const rows = parseImport([
+      'phone,confirm phone,code,confirm code',
+      '+447400123401,+447400123401,SAFE-001,SAFE-001',
+      'not-a-number,not-a-number,SAFE-002,SAFE-002',
+      '+447400123403,+447400123499,SAFE-003,SAFE-003',
+      '+447400123404,+447400123404,safe-004,SAFE-999',
+      '07400 123401,07400 123401,SAFE-005,SAFE-005',
+      '+447400123406,+447400123406,SAFE-006,SAFE-006'
+    ].join('\n'));
+
+    const existing = new Set([phoneIndex('+447400123406')]);
+    const { report, captures, summary } = validateRows(rows, existing, 'GB');
+
+    expect(summary).toEqual({ rows: 6, valid: 1, invalid: 3, duplicate: 2 });
+    expect(captures).toEqual([{ line: 2, phoneNumber: '+447400123401', safetyCode: 'SAFE-001' }]);
+    expect(report.map(row => row.status)).toEqual(['valid', 'invalid', 'invalid', 'invalid', 'duplicate', 'duplicate']);
+    expect(report[2].errors).toContain('Phone numbers do not match');
+    expect(report[3].errors).toContain('Safety codes do not match');
+    expect(report[4].errors).toContain('Same phone number as line 2');
+    expect(report[5].errors).toContain('Phone number already captured in this session');
+    expect(report[0].phone).not.toContain('123401'); // Masked
+  });
+});
+
+describe('POST /api/capture/import', () => {
+  let session;
+
+  beforeEach(async () => {
+    session = await signIn(app, await createUser());
+  });
+
+  const postImport = (body, query) => session.agent
+    .post('/api/capture/import')
+    .query(query)
+    .set('CSRF-Token', session.csrfToken)
+    .set('Content-Type', 'text/csv')
+    .send(body);
+
+  test('refuses to commit without a preview', async () => {
+    const res = await postImport(FILE, {});
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('IMPORT_CONFIRMATION_REQUIRED');
+  });
+
+  test('a dry run reports the rows and imports nothing', async () => {
+    const preview = await postImport(FILE, { dryRun: 'true' });
+
+    expect(preview.status).toBe(200);
+    expect(preview.body).toMatchObject({ dryRun: true, summary: { rows: 2, valid: 2 } });
+    expect(preview.body.confirmToken).toMatch(/^[0-9a-f]{32}$/);
+
+    const again = await postImport(FILE, { dryRun: 'true' });
+    expect(again.body.summary.duplicate).toBe(0);
+  });
+
+  test('the confirm token commits exactly the previewed file, once', async () => {
+    const preview = await postImport(FILE, { dryRun: 'true' });
+    const { confirmToken } = preview.body;
+
+    const otherFile = await postImport(`${FILE}\n+447400123403,SAFE-003`, { confirmToken });
+    expect(otherFile.status).toBe(409);
+    expect(otherFile.body.code).toBe('IMPORT_TOKEN_INVALID');
+
+    const commit = await postImport(FILE, { confirmToken });
+    expect(commit.status).toBe(200);
+    expect(commit.body.imported).toBe(2);
+
+    const reuse = await postImport(FILE, { confirmToken });
+    expect(reuse.status).toBe(409);
+    expect(reuse.body.code).toBe('IMPORT_TOKEN_INVALID');
+
+    // Now already in the session
+    const preview2 = await postImport(FILE, { dryRun: 'true' });
+    expect(preview2.body.summary).toMatchObject({ valid: 0, duplicate: 2 });
+    expect(preview2.body.confirmToken).toBeNull();
+  });
+
+  test('a token from a preview that no longer matches the session is refused', async () => {
+    const { confirmToken } = (await postImport(FILE, { dryRun: 'true' })).body;
+
+    await session.agent
+      .post('/api/capture')
+      .set('CSRF-Token', session.csrfToken)
+      .send({
+        phoneNumber: '+447400123401',
+        confirmPhoneNumber: '+447400123401',
+        safetyCode: 'SAFE-001',
+        confirmSafetyCode: 'SAFE-001'
+      });
+
+    const commit = await postImport(FILE, { confirmToken });
+    expect(commit.status).toBe(409);
+    expect(commit.body.code).toBe('IMPORT_CHANGED');
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * Run the suites against a throwaway data directory so they never touch
+ * the real databases (workers inherit DATA_DIR from this process)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+module.exports = () => {
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mo-test-data-'));
+};
@@ -0,0 +1,9 @@
+/**
+ * Remove the data directory created by globalSetup
+ */
+
+const fs = require('fs');
+
+module.exports = () => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+};
@@ -0,0 +1,114 @@
+/**
+ * Shared setup for the API tests: accounts with two-factor enabled and
+ * signed-in supertest agents
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const speakeasy = require('speakeasy');
+const UserStore = require('../server/models/UserStore');
+const UserMfa = require('../server/models/UserMfa');
+const LoginAttempts = require('../server/models/LoginAttempts');
+const ActiveSessions = require('../server/models/ActiveSessions');
+
+const PASSWORD = 'Test-Passw0rd!';
+
+// Random names keep suites sharing the data directory apart
+const uniqueName = (prefix) => `${prefix}-${crypto.randomBytes(4).toString('hex')}`;
+
+// Each test gets its own client address, so IP rate limits and IP
+// backoff from one test never reach another
+const clientIp = () => `10.${[0, 0, 0].map(() => crypto.randomInt(1, 255)).join('.')}`;
+
+/**
+ * TOTP code for a secret, steps (30s) away from now
+ */
+const totp = (secret, steps = 0) => speakeasy.totp({
+  secret,
+  encoding: 'base32',
+  time: Math.floor(Date.now() / 1000) + steps * 30
+});
+
+/**
+ * Active account with a current password; with mfa, enrolled using the
+ * previous step's code so the current one is still unused
+ */
+const createdUsers = [];
+
+const createUser = async ({ role = 'operator', mfa = true, ...options } = {}) => {
+  const username = uniqueName(role);
+  await UserStore.create({ username, password: PASSWORD, role, mustChangePassword: false, ...options });
+  createdUsers.push(username);
+
+  let secret = null;
+  if (mfa) {
+    ({ secret } = await UserMfa.beginEnrollment(username));
+    await UserMfa.activate(username, totp(secret, -1));
+  }
+
+  return { username, password: PASSWORD, secret };
+};
+
+const exec = (db, sql, params) => new Promise((resolve, reject) => {
+  db.run(sql, params, (err) => {
+    if (err) reject(err);
+    else resolve();
+  });
+});
+
+/**
+ * Delete every account createUser made in this suite (call from afterAll)
+ */
+const removeUsers = async () => {
+  for (const username of createdUsers.splice(0)) {
+    await exec(UserMfa.db, `DELETE FROM mfa_recovery_codes WHERE username = ?`, [username]);
+    await exec(UserMfa.db, `DELETE FROM user_mfa WHERE username = ?`, [username]);
+    await exec(UserStore.db, `DELETE FROM password_history WHERE username = ?`, [username]);
+    await exec(UserStore.db, `DELETE FROM users WHERE username = ?`, [username]);
+    await ActiveSessions.run(`DELETE FROM active_sessions WHERE username = ?`, [username]);
+    await LoginAttempts.reset(username);
+  }
+};
+
+/**
+ * Agent with a CSRF token, sending every request from one client address
+ */
+const newAgent = async (app, ip = clientIp()) => {
+  const agent = request.agent(app).set('X-Forwarded-For', ip);
+  const res = await agent.get('/api/csrf-token');
+  return { agent, csrfToken: res.body.csrfToken, ip };
+};
+
+/**
+ * Complete both login steps; resolves with the agent and its current CSRF token
+ */
+const signIn = async (app, user, ip) => {
+  const { agent, csrfToken } = await newAgent(app, ip);
+
+  const login = await agent
+    .post('/api/auth/login')
+    .set('CSRF-Token', csrfToken)
+    .send({ username: user.username, password: user.password });
+
+  const verify = await agent
+    .post('/api/auth/mfa/verify')
+    .set('CSRF-Token', login.body.csrfToken)
+    .send({ code: totp(user.secret) });
+
+  if (!verify.body.success) {
+    throw new Error(`Sign-in failed for ${user.username}: ${JSON.stringify(verify.body)}`);
+  }
+
+  return { agent, csrfToken: verify.body.csrfToken };
+};
+
+module.exports = {
+  PASSWORD,
+  uniqueName,
+  clientIp,
+  totp,
+  createUser,
+  removeUsers,
+  newAgent,
+  signIn
+};
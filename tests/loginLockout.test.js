@@ -0,0 +1,87 @@
+/**
+ * Failed sign-ins: backoff and account lockout
+ */
+
+const app = require('../server/app');
+const UserStore = require('../server/models/UserStore');
+const LoginAttempts = require('../server/models/LoginAttempts');
+const securityConfig = require('../server/config/security');
+const { createUser, removeUsers, newAgent, signIn } = require('./helpers');
+
+afterAll(removeUsers);
+
+describe('failed login backoff and lockout', () => {
+  const realNow = Date.now;
+  let offset;
+
+  // Move the clock forward instead of waiting out each backoff period
+  const advance = (ms) => { offset += ms; };
+
+  beforeEach(() => {
+    offset = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => realNow() + offset);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const attempt = async (session, user, password) => session.agent
+    .post('/api/auth/login')
+    .set('CSRF-Token', session.csrfToken)
+    .send({ username: user.username, password });
+
+  test('backoff starts after the free attempts and refuses even the right password', async () => {
+    const user = await createUser();
+    const session = await newAgent(app);
+    const { freeAttempts, baseDelay } = securityConfig.lockout;
+
+    for (let i = 0; i <= freeAttempts; i++) {
+      const res = await attempt(session, user, 'Wrong-Passw0rd!');
+      expect(res.status).toBe(401);
+    }
+
+    const throttle = await LoginAttempts.check(user.username, session.ip);
+    expect(throttle).toMatchObject({ blocked: true, scope: 'user' });
+
+    // Same answer as a bad password while the backoff lasts
+    const blocked = await attempt(session, user, user.password);
+    expect(blocked.status).toBe(401);
+    expect(blocked.body.code).toBe('AUTH_FAILED');
+
+    advance(baseDelay + 1);
+    const allowed = await attempt(session, user, user.password);
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.mfaRequired).toBe(true);
+  });
+
+  test('the account locks at the failure threshold', async () => {
+    const user = await createUser();
+    const session = await newAgent(app);
+    const { threshold, maxDelay } = securityConfig.lockout;
+
+    for (let i = 0; i < threshold; i++) {
+      await attempt(session, user, 'Wrong-Passw0rd!');
+      advance(maxDelay); // Past any backoff, inside the failure window
+    }
+
+    const stored = await UserStore.findByUsername(user.username);
+    expect(stored.lockedAt).toBeTruthy();
+
+    const res = await attempt(session, user, user.password);
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('AUTH_FAILED');
+  });
+
+  test('a successful login clears the account failure count', async () => {
+    const user = await createUser();
+    const session = await newAgent(app);
+
+    await attempt(session, user, 'Wrong-Passw0rd!');
+    await attempt(session, user, 'Wrong-Passw0rd!');
+    await signIn(app, user);
+
+    const result = await LoginAttempts.recordFailure(user.username, session.ip);
+    expect(result.userFailures).toBe(1);
+  });
+});
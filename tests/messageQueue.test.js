@@ -0,0 +1,251 @@
+/**
+ * Outbound queue against the stand-in gateway (scripts/smsGateway):
+ * retries with backoff, dead-lettering, permanent failures, leases,
+ * cancellation and suppression.
+ * The gateway fails by recipient suffix: 0429 throttled, 0500 server
+ * error, 0400 rejected.
+ */
+
+const crypto = require('crypto');
+const { once } = require('events');
+const { createGateway } = require('../server/scripts/smsGateway');
+
+const USERNAME = 'queue-test';
+
+let gateway;
+let MessageQueue;
+let SessionData;
+let SuppressionList;
+let messageWorker;
+let smsConfig;
+
+const sessionIds = [];
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {}); // Gateway request log
+
+  gateway = createGateway({ token: null, deliveryDelay: 10 }).listen(0, '127.0.0.1');
+  await once(gateway, 'listening');
+
+  // Config is read when the modules load
+  process.env.SMS_PROVIDER = 'http';
+  process.env.SMS_HTTP_URL = `http://127.0.0.1:${gateway.address().port}/messages`;
+  process.env.SMS_QUIET_HOURS = 'off';
+
+  MessageQueue = require('../server/models/MessageQueue');
+  SessionData = require('../server/models/SessionData');
+  SuppressionList = require('../server/models/SuppressionList');
+  messageWorker = require('../server/services/messageWorker');
+  smsConfig = require('../server/config/sms');
+
+  messageWorker.stop(); // Ticks are driven by the tests
+  await SessionData.ready;
+});
+
+afterAll(async () => {
+  gateway.close();
+  jest.restoreAllMocks();
+
+  const placeholders = sessionIds.map(() => '?').join(', ');
+  await MessageQueue.run(`DELETE FROM message_jobs WHERE session_id IN (${placeholders})`, sessionIds);
+  await MessageQueue.run(`DELETE FROM message_batches WHERE session_id IN (${placeholders})`, sessionIds);
+  await SessionData.run(`DELETE FROM message_logs WHERE session_id IN (${placeholders})`, sessionIds);
+  await SessionData.run(`DELETE FROM captured_data WHERE session_id IN (${placeholders})`, sessionIds);
+  await SessionData.run(`DELETE FROM capture_sessions WHERE session_id IN (${placeholders})`, sessionIds);
+});
+
+const createSession = async () => {
+  const sessionId = crypto.randomUUID();
+  await SessionData.createSession(sessionId, USERNAME, new Date(Date.now() + 60 * 60 * 1000));
+  sessionIds.push(sessionId);
+  return sessionId;
+};
+
+/**
+ * Capture each number in a fresh session and queue one batch to them
+ */
+const queueBatch = async (numbers, options = {}) => {
+  const sessionId = await createSession();
+
+  const recipients = [];
+  for (const phoneNumber of numbers) {
+    const { id } = await SessionData.captureData(sessionId, phoneNumber, 'SAFE-001');
+    recipients.push({ captureId: id, phoneNumber, body: 'Test message' });
+  }
+
+  return MessageQueue.enqueueBatch({ sessionId, username: USERNAME, preview: 'Test message', recipients, ...options });
+};
+
+const recipientsOf = async (batchId) => (await MessageQueue.getBatch(batchId, USERNAME)).recipients;
+
+// Skip the backoff wait so a retry is due on the next tick
+const makeDue = (batchId) => MessageQueue.run(
+  `UPDATE message_jobs SET next_attempt_at = 0 WHERE batch_id = ? AND status = 'queued'`,
+  [batchId]
+);
+
+describe('message worker', () => {
+  test('an accepted message is marked sent with the gateway message ID', async () => {
+    const { batchId, jobs } = await queueBatch(['+447700900123']);
+    await messageWorker.tick();
+
+    const [job] = await recipientsOf(batchId);
+    expect(job).toMatchObject({ status: 'sent', attempts: 1 });
+    expect(job.deliveryId).toMatch(/^GW-/);
+
+    const [capture] = await SessionData.all(`SELECT status FROM captured_data WHERE id = ?`, [jobs[0].captureId]);
+    expect(capture.status).toBe('sent');
+  });
+
+  test('throttling and server errors are retried with growing backoff', async () => {
+    const { batchId } = await queueBatch(['+447700900429', '+447700900500']);
+
+    await messageWorker.tick();
+    const first = await recipientsOf(batchId);
+    first.forEach((job) => {
+      expect(job).toMatchObject({ status: 'queued', attempts: 1 });
+      expect(Date.parse(job.nextAttemptAt)).toBeGreaterThan(Date.now());
+    });
+    expect(first[0].lastError).toMatch(/429/);
+    expect(first[1].lastError).toMatch(/500/);
+
+    await makeDue(batchId);
+    const before = Date.now();
+    await messageWorker.tick();
+    const [second] = await recipientsOf(batchId);
+    expect(second.attempts).toBe(2);
+    expect(Date.parse(second.nextAttemptAt) - before).toBeGreaterThanOrEqual(smsConfig.queue.baseDelay * 2 - 1000);
+  });
+
+  test('a job that keeps failing is dead-lettered after the last attempt', async () => {
+    const { batchId, jobs } = await queueBatch(['+447700900500']);
+
+    for (let i = 0; i < smsConfig.queue.maxAttempts; i++) {
+      await makeDue(batchId);
+      await messageWorker.tick();
+    }
+
+    const [job] = await recipientsOf(batchId);
+    expect(job).toMatchObject({ status: 'dead', attempts: smsConfig.queue.maxAttempts });
+
+    const capture = await SessionData.all(`SELECT status FROM captured_data WHERE id = ?`, [jobs[0].captureId]);
+    expect(capture[0].status).toBe('failed');
+  });
+
+  test('a job that can no longer be decrypted fails without holding up the rest', async () => {
+    const { batchId, jobs } = await queueBatch(['+447700900123', '+447700900124']);
+    await MessageQueue.run(`UPDATE message_jobs SET encrypted_body = 'unreadable' WHERE id = ?`, [jobs[0].jobId]);
+
+    await messageWorker.tick();
+
+    const [unreadable, readable] = await recipientsOf(batchId);
+    expect(unreadable).toMatchObject({ status: 'failed', lastError: 'Message could not be decrypted' });
+    expect(readable.status).toBe('sent');
+  });
+
+  test('a job that errors while processing is retried without holding up the rest', async () => {
+    const { batchId } = await queueBatch(['+447700900125', '+447700900126']);
+    const isSuppressed = SuppressionList.isSuppressed.bind(SuppressionList);
+    const spy = jest.spyOn(SuppressionList, 'isSuppressed').mockImplementation(async (phoneNumber) => {
+      if (phoneNumber === '+447700900125') throw new Error('SQLITE_BUSY: database is locked');
+      return isSuppressed(phoneNumber);
+    });
+
+    try {
+      await messageWorker.tick();
+    } finally {
+      spy.mockRestore();
+    }
+
+    const [errored, other] = await recipientsOf(batchId);
+    expect(errored).toMatchObject({ status: 'queued', attempts: 1, lastError: 'SQLITE_BUSY: database is locked' });
+    expect(other.status).toBe('sent');
+  });
+
+  test('a permanent rejection fails at once', async () => {
+    const { batchId } = await queueBatch(['+447700900400']);
+    await messageWorker.tick();
+
+    const [job] = await recipientsOf(batchId);
+    expect(job).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(job.lastError).toMatch(/400/);
+  });
+});
+
+describe('job leases', () => {
+  test('a worker whose lease ran out cannot update the reclaimed job', async () => {
+    const { batchId } = await queueBatch(['+447700900123']);
+
+    const [stale] = (await MessageQueue.claimDue(smsConfig.queue.claimSize)).filter(job => job.batchId === batchId);
+    await MessageQueue.run(`UPDATE message_jobs SET locked_until = 0 WHERE id = ?`, [stale.id]);
+    const [current] = (await MessageQueue.claimDue(smsConfig.queue.claimSize)).filter(job => job.batchId === batchId);
+
+    expect(await MessageQueue.markSent(stale, 'GW-stale')).toBe(false);
+    expect(await MessageQueue.renewLease(stale)).toBe(false);
+    expect(await MessageQueue.markSent(current, 'GW-current')).toBe(true);
+
+    const [job] = await recipientsOf(batchId);
+    expect(job.deliveryId).toBe('GW-current');
+  });
+
+  test('a claim is leased long enough for every job in it to be sent', async () => {
+    const { batchId } = await queueBatch(['+447700900123']);
+    const before = Date.now();
+
+    const [job] = (await MessageQueue.claimDue(smsConfig.queue.claimSize)).filter(claimed => claimed.batchId === batchId);
+    expect(job.lockedUntil - before).toBeGreaterThanOrEqual(smsConfig.queue.claimSize * smsConfig.queue.lease);
+    expect(smsConfig.queue.lease).toBeGreaterThan(smsConfig.http.timeout);
+
+    await MessageQueue.markSent(job, 'GW-test');
+  });
+});
+
+describe('batch cancellation', () => {
+  test('captures return to the status they were queued from', async () => {
+    const sessionId = await createSession();
+    const { id } = await SessionData.captureData(sessionId, '+447700900123', 'SAFE-001');
+    await SessionData.setCaptureStatus(id, 'failed');
+
+    const { batchId } = await MessageQueue.enqueueBatch({
+      sessionId,
+      username: USERNAME,
+      preview: 'Resend',
+      recipients: [{ captureId: id, phoneNumber: '+447700900123', body: 'Resend', notBefore: Date.now() + 60 * 60 * 1000 }],
+      claimFrom: ['sent', 'failed']
+    });
+
+    await MessageQueue.cancelBatch(batchId, USERNAME);
+
+    const [capture] = await SessionData.all(`SELECT status FROM captured_data WHERE id = ?`, [id]);
+    expect(capture.status).toBe('failed');
+  });
+});
+
+describe('suppression', () => {
+  test('a job for an opted-out number is not sent and its capture keeps its previous status', async () => {
+    const sessionId = await createSession();
+    const { id } = await SessionData.captureData(sessionId, '+447700900127', 'SAFE-001');
+    await SessionData.setCaptureStatus(id, 'sent');
+
+    const { batchId } = await MessageQueue.enqueueBatch({
+      sessionId,
+      username: USERNAME,
+      preview: 'Resend',
+      recipients: [{ captureId: id, phoneNumber: '+447700900127', body: 'Resend' }],
+      claimFrom: ['sent', 'failed']
+    });
+    await SuppressionList.setSuppressed('+447700900127', true, { keyword: 'STOP' });
+
+    try {
+      await messageWorker.tick();
+    } finally {
+      await SuppressionList.setSuppressed('+447700900127', false, { keyword: 'START' });
+    }
+
+    const [job] = await recipientsOf(batchId);
+    expect(job.status).toBe('suppressed');
+
+    const [capture] = await SessionData.all(`SELECT status FROM captured_data WHERE id = ?`, [id]);
+    expect(capture.status).toBe('sent');
+  });
+});
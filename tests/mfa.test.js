@@ -0,0 +1,89 @@
+/**
+ * Sign-in second factor: codes, replays and attempt limits
+ */
+
+const app = require('../server/app');
+const securityConfig = require('../server/config/security');
+const { createUser, removeUsers, newAgent, signIn, totp } = require('./helpers');
+
+afterAll(removeUsers);
+
+describe('two-factor sign-in', () => {
+  test('the password alone only reaches the second-factor step', async () => {
+    const user = await createUser();
+    const { agent, csrfToken } = await newAgent(app);
+
+    const login = await agent
+      .post('/api/auth/login')
+      .set('CSRF-Token', csrfToken)
+      .send({ username: user.username, password: user.password });
+
+    expect(login.status).toBe(200);
+    expect(login.body).toMatchObject({ success: false, mfaRequired: true, code: 'MFA_REQUIRED' });
+
+    const status = await agent.get('/api/auth/mfa/status');
+    expect(status.status).toBe(401);
+  });
+
+  test('a current authenticator code completes the login', async () => {
+    const user = await createUser();
+    const { agent } = await signIn(app, user);
+
+    const status = await agent.get('/api/auth/mfa/status');
+    expect(status.status).toBe(200);
+    expect(status.body.enabled).toBe(true);
+  });
+
+  test('a code that was already accepted is rejected', async () => {
+    const user = await createUser();
+    const code = totp(user.secret);
+    await signIn(app, user);
+
+    const { agent, csrfToken } = await newAgent(app);
+    const login = await agent
+      .post('/api/auth/login')
+      .set('CSRF-Token', csrfToken)
+      .send({ username: user.username, password: user.password });
+
+    const replay = await agent
+      .post('/api/auth/mfa/verify')
+      .set('CSRF-Token', login.body.csrfToken)
+      .send({ code });
+
+    expect(replay.status).toBe(401);
+    expect(replay.body.code).toBe('MFA_INVALID');
+  });
+
+  test('too many wrong codes send the user back to the password step', async () => {
+    const user = await createUser();
+    const { agent, csrfToken } = await newAgent(app);
+
+    const login = await agent
+      .post('/api/auth/login')
+      .set('CSRF-Token', csrfToken)
+      .send({ username: user.username, password: user.password });
+
+    let res;
+    for (let i = 0; i < securityConfig.mfa.maxAttempts; i++) {
+      res = await agent
+        .post('/api/auth/mfa/verify')
+        .set('CSRF-Token', login.body.csrfToken)
+        .send({ code: '000000' });
+    }
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('LOGIN_REQUIRED');
+  });
+
+  test('replacing recovery codes needs an authenticator code, not a recovery code', async () => {
+    const user = await createUser();
+    const { agent, csrfToken } = await signIn(app, user);
+
+    const res = await agent
+      .post('/api/auth/mfa/recovery-codes')
+      .set('CSRF-Token', csrfToken)
+      .send({ recoveryCode: 'ABCDE-12345' });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * Password reuse: historyCount covers the current password and the ones
+ * before it, no more
+ */
+
+const UserStore = require('../server/models/UserStore');
+const securityConfig = require('../server/config/security');
+const { createUser, removeUsers, PASSWORD } = require('./helpers');
+
+afterAll(removeUsers);
+
+describe('password history', () => {
+  test('the last historyCount passwords are refused and the one before is allowed', async () => {
+    const { historyCount } = securityConfig.passwordPolicy;
+    const { username } = await createUser({ mfa: false });
+
+    // PASSWORD, then Next-Passw0rd!1 .. !historyCount (the current one)
+    const next = (i) => `Next-Passw0rd!${i}`;
+    for (let i = 1; i <= historyCount; i++) {
+      await UserStore.setPassword(username, next(i));
+    }
+
+    for (let i = 1; i <= historyCount; i++) {
+      expect(await UserStore.isPasswordReused(username, next(i))).toBe(true);
+    }
+    expect(await UserStore.isPasswordReused(username, PASSWORD)).toBe(false);
+  }, 60 * 1000); // Deliberately slow bcrypt work factor
+});
@@ -0,0 +1,56 @@
+/**
+ * GSM-7 / UCS-2 detection and segment counts
+ */
+
+const { analyze, nonGsmCharacters } = require('../server/services/smsEncoding');
+
+describe('GSM-7 messages', () => {
+  test('fit 160 characters in one segment', () => {
+    expect(analyze('a'.repeat(160))).toMatchObject({
+      encoding: 'GSM-7', units: 160, segments: 1, remainingInSegment: 0
+    });
+  });
+
+  test('split into 153-character segments beyond 160', () => {
+    expect(analyze('a'.repeat(161))).toMatchObject({ segments: 2, perSegment: 153, remainingInSegment: 145 });
+    expect(analyze('a'.repeat(306))).toMatchObject({ segments: 2, remainingInSegment: 0 });
+    expect(analyze('a'.repeat(307)).segments).toBe(3);
+  });
+
+  test('count extension characters as two septets', () => {
+    expect(analyze('€'.repeat(80))).toMatchObject({ encoding: 'GSM-7', characters: 80, units: 160, segments: 1 });
+    expect(analyze('{'.repeat(81))).toMatchObject({ units: 162, segments: 2 });
+  });
+
+  test('never split an escape pair across segments', () => {
+    const result = analyze(`${'a'.repeat(152)}€${'a'.repeat(10)}`);
+    expect(result.segments).toBe(2);
+    expect(result.remainingInSegment).toBe(153 - 12);
+  });
+
+  test('report an empty message as no segments', () => {
+    expect(analyze('')).toMatchObject({ units: 0, segments: 0 });
+  });
+});
+
+describe('UCS-2 messages', () => {
+  test('one character outside GSM-7 switches the whole message', () => {
+    expect(analyze(`${'a'.repeat(69)}ł`)).toMatchObject({
+      encoding: 'UCS-2', units: 70, segments: 1, perSegment: 70, nonGsmCharacters: ['ł']
+    });
+  });
+
+  test('split into 67-unit segments beyond 70', () => {
+    expect(analyze(`${'a'.repeat(70)}ł`)).toMatchObject({ units: 71, segments: 2, perSegment: 67 });
+  });
+
+  test('count emoji as a surrogate pair kept in one segment', () => {
+    const result = analyze(`${'a'.repeat(66)}😀${'a'.repeat(10)}`);
+    expect(result).toMatchObject({ characters: 77, units: 78, segments: 2 });
+    expect(result.remainingInSegment).toBe(67 - 12);
+  });
+
+  test('list the forcing characters once, in order', () => {
+    expect(nonGsmCharacters('żółw ż')).toEqual(['ż', 'ó', 'ł']);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Provider webhooks: only correctly signed, fresh requests get through
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+
+const SECRET = 'test-webhook-secret';
+process.env.SMS_WEBHOOK_SECRET = SECRET;
+process.env.SMS_WEBHOOK_AUTH = 'hmac';
+
+const app = require('../server/app');
+
+const sign = (body, timestamp, secret = SECRET) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const postReceipt = (body, headers = {}, contentType = 'application/json') => request(app)
+  .post('/api/webhooks/sms/dlr')
+  .set('Content-Type', contentType)
+  .set(headers)
+  .send(body);
+
+describe('delivery receipt signatures', () => {
+  const body = JSON.stringify({ messageId: `GW-${crypto.randomUUID()}`, status: 'delivered' });
+
+  test('an unsigned request is rejected', async () => {
+    const res = await postReceipt(body);
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('BAD_SIGNATURE');
+  });
+
+  test('a signature made with another secret is rejected', async () => {
+    const timestamp = now();
+    const res = await postReceipt(body, {
+      'X-Timestamp': String(timestamp),
+      'X-Signature': sign(body, timestamp, 'some-other-secret')
+    });
+    expect(res.status).toBe(401);
+  });
+
+  test('a body changed after signing is rejected', async () => {
+    const timestamp = now();
+    const tampered = body.replace('delivered', 'failed');
+    const res = await postReceipt(tampered, {
+      'X-Timestamp': String(timestamp),
+      'X-Signature': sign(body, timestamp)
+    });
+    expect(res.status).toBe(401);
+  });
+
+  test('a correctly signed but stale request is rejected', async () => {
+    const timestamp = now() - 10 * 60;
+    const res = await postReceipt(body, {
+      'X-Timestamp': String(timestamp),
+      'X-Signature': sign(body, timestamp)
+    });
+    expect(res.status).toBe(401);
+  });
+
+  test('a correctly signed request reaches the handler', async () => {
+    const timestamp = now();
+    const res = await postReceipt(body, {
+      'X-Timestamp': String(timestamp),
+      'X-Signature': sign(body, timestamp)
+    });
+
+    // Signature accepted; the message ID just isn't one of ours
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('UNKNOWN_MESSAGE');
+  });
+
+  test('a correctly signed form-encoded request reaches the handler', async () => {
+    const form = new URLSearchParams({ messageId: `GW-${crypto.randomUUID()}`, status: 'delivered' }).toString();
+    const timestamp = now();
+    const res = await postReceipt(form, {
+      'X-Timestamp': String(timestamp),
+      'X-Signature': sign(form, timestamp)
+    }, 'application/x-www-form-urlencoded');
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('UNKNOWN_MESSAGE');
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * User MFA Model - TOTP enrollment, verification and recovery codes
+ * Secrets are encrypted at rest, recovery codes are stored hashed
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const crypto = require('crypto');
+const speakeasy = require('speakeasy');
+const QRCode = require('qrcode');
+const securityConfig = require('../config/security');
+const SessionData = require('./SessionData');
+const keyring = require('../services/keyring');
+const logger = require('../services/logger');
+const storageConfig = require('../config/storage');
+
+const DB_PATH = storageConfig.dataPath('users.db');
+const TOTP_STEP = 30; // seconds
+
+// Unambiguous alphabet for recovery codes (no 0/O, 1/I)
+const RECOVERY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+class UserMfa {
+  constructor() {
+    this.db = new sqlite3.Database(DB_PATH);
+    this.init();
+  }
+
+  init() {
+    // One TOTP secret per user, pending until the first code is verified
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS user_mfa (
+        username TEXT PRIMARY KEY,
+        encrypted_secret TEXT NOT NULL,
+        enabled INTEGER DEFAULT 0,
+        last_used_step INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        activated_at DATETIME
+      )
+    `);
+
+    // Single-use recovery codes (SHA-256 hashes only)
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at DATETIME,
+        FOREIGN KEY (username) REFERENCES user_mfa(username)
+      )
+    `);
+
+    // Keep TOTP secrets on the active encryption key
+    keyring.on('rotated', () => this.reencryptSecrets());
+    this.db.get('SELECT 1', () => this.reencryptSecrets());
+  }
+
+  async reencryptSecrets() {
+    try {
+      await keyring.reencryptColumns(this.db, 'user_mfa', ['encrypted_secret']);
+    } catch (error) {
+      logger.error('MFA secret re-encryption failed', { error: error.message });
+    }
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = code.replace(/[\s-]/g, '').toUpperCase();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  generateRecoveryCode() {
+    const bytes = crypto.randomBytes(10);
+    const chars = Array.from(bytes, b => RECOVERY_ALPHABET[b % RECOVERY_ALPHABET.length]);
+    return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+  }
+
+  async getRecord(username) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM user_mfa WHERE username = ?`,
+        [username],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        }
+      );
+    });
+  }
+
+  async isEnabled(username) {
+    const record = await this.getRecord(username);
+    return Boolean(record && record.enabled);
+  }
+
+  async getStatus(username) {
+    const record = await this.getRecord(username);
+    if (!record || !record.enabled) {
+      return { enabled: false, recoveryCodesRemaining: 0 };
+    }
+
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT COUNT(*) AS remaining FROM mfa_recovery_codes
+         WHERE username = ? AND used_at IS NULL`,
+        [username],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve({
+            enabled: true,
+            activatedAt: record.activated_at,
+            recoveryCodesRemaining: row.remaining
+          });
+        }
+      );
+    });
+  }
+
+  /**
+   * Start (or restart) enrollment with a fresh secret
+   */
+  async beginEnrollment(username) {
+    if (await this.isEnabled(username)) {
+      const error = new Error('Two-factor authentication already enabled');
+      error.code = 'MFA_ALREADY_ENABLED';
+      throw error;
+    }
+
+    const { issuer } = securityConfig.mfa;
+    const secret = speakeasy.generateSecret({ length: 20 });
+    const otpauthUrl = speakeasy.otpauthURL({
+      secret: secret.base32,
+      encoding: 'base32',
+      label: `${issuer}:${username}`,
+      issuer
+    });
+
+    await new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT OR REPLACE INTO user_mfa (username, encrypted_secret, enabled)
+         VALUES (?, ?, 0)`,
+        [username, SessionData.encrypt(secret.base32)],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+
+    return {
+      qrCode: await QRCode.toDataURL(otpauthUrl),
+      secret: secret.base32 // For manual entry in authenticator apps
+    };
+  }
+
+  /**
+   * Check a TOTP code, rejecting reuse of an already accepted time step
+   */
+  async checkToken(record, token) {
+    const secret = SessionData.decrypt(record.encrypted_secret);
+    const result = speakeasy.totp.verifyDelta({
+      secret,
+      encoding: 'base32',
+      token,
+      window: securityConfig.mfa.window,
+      step: TOTP_STEP
+    });
+    if (!result) return false;
+
+    const step = Math.floor(Date.now() / 1000 / TOTP_STEP) + result.delta;
+    if (step <= record.last_used_step) return false; // Replayed code
+
+    return new Promise((resolve, reject) => {
+      // Conditional update so two concurrent requests cannot both use the step
+      this.db.run(
+        `UPDATE user_mfa SET last_used_step = ?
+         WHERE username = ? AND last_used_step < ?`,
+        [step, record.username, step],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes === 1);
+        }
+      );
+    });
+  }
+
+  /**
+   * Confirm enrollment with a first valid code and issue recovery codes
+   */
+  async activate(username, token) {
+    const record = await this.getRecord(username);
+    if (!record || record.enabled) return null;
+
+    const valid = await this.checkToken(record, token);
+    if (!valid) return null;
+
+    await new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE user_mfa SET enabled = 1, activated_at = ? WHERE username = ?`,
+        [new Date().toISOString(), username],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+
+    return this.regenerateRecoveryCodes(username);
+  }
+
+  async verifyToken(username, token) {
+    const record = await this.getRecord(username);
+    if (!record || !record.enabled) return false;
+    return this.checkToken(record, token);
+  }
+
+  /**
+   * Consume a single-use recovery code
+   */
+  async useRecoveryCode(username, code) {
+    const codeHash = this.hashRecoveryCode(code);
+
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE mfa_recovery_codes SET used_at = ?
+         WHERE username = ? AND code_hash = ? AND used_at IS NULL`,
+        [new Date().toISOString(), username, codeHash],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes === 1);
+        }
+      );
+    });
+  }
+
+  /**
+   * Replace all recovery codes; plaintext is returned once and never stored
+   */
+  async regenerateRecoveryCodes(username) {
+    const codes = Array.from(
+      { length: securityConfig.mfa.recoveryCodeCount },
+      () => this.generateRecoveryCode()
+    );
+
+    return new Promise((resolve, reject) => {
+      this.db.serialize(() => {
+        this.db.run(`DELETE FROM mfa_recovery_codes WHERE username = ?`, [username]);
+        const stmt = this.db.prepare(
+          `INSERT INTO mfa_recovery_codes (username, code_hash) VALUES (?, ?)`
+        );
+        codes.forEach(code => stmt.run(username, this.hashRecoveryCode(code)));
+        stmt.finalize((err) => {
+          if (err) reject(err);
+          else resolve(codes);
+        });
+      });
+    });
+  }
+
+  /**
+   * Remove enrollment entirely (user must enroll again)
+   */
+  async reset(username) {
+    return new Promise((resolve, reject) => {
+      this.db.serialize(() => {
+        this.db.run(`DELETE FROM mfa_recovery_codes WHERE username = ?`, [username]);
+        this.db.run(
+          `DELETE FROM user_mfa WHERE username = ?`,
+          [username],
+          (err) => {
+            if (err) reject(err);
+            else resolve({ reset: true });
+          }
+        );
+      });
+    });
+  }
+}
+
+module.exports = new UserMfa();
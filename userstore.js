@@ -0,0 +1,311 @@
+/**
+ * User Store Model - Persistent MO user accounts
+ * Replaces the hardcoded demo user list; lives next to the session data DB
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const securityConfig = require('../config/security');
+const storageConfig = require('../config/storage');
+
+const DB_PATH = storageConfig.dataPath('users.db');
+const BCRYPT_ROUNDS = 12;
+
+const ROLES = ['admin', 'operator'];
+
+// Map a DB row to the camelCase shape used by the auth middleware
+const toUser = (row) => row && ({
+  id: row.id,
+  username: row.username,
+  passwordHash: row.password_hash,
+  role: row.role,
+  allowedSessions: row.allowed_sessions,
+  defaultRegion: row.default_region || null, // For national-format phone input; null = deployment default
+  status: row.status,
+  lockedAt: row.locked_at,
+  mustChangePassword: Boolean(row.must_change_password),
+  passwordChangedAt: row.password_changed_at,
+  createdAt: row.created_at,
+  createdBy: row.created_by,
+  updatedAt: row.updated_at
+});
+
+// Shape safe to return from APIs (never the password hash)
+const toPublicUser = (row) => {
+  const { passwordHash, ...user } = toUser(row);
+  return user;
+};
+
+class UserStore {
+  constructor() {
+    this.db = new sqlite3.Database(DB_PATH);
+    this.roles = ROLES;
+    this.ready = this.init().then(() => this.migrate());
+  }
+
+  init() {
+    return new Promise((resolve, reject) => {
+      this.db.serialize(() => {
+        this.db.run(`
+          CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT UNIQUE NOT NULL,
+            password_hash TEXT NOT NULL,
+            role TEXT NOT NULL CHECK (role IN ('admin', 'operator')),
+            allowed_sessions INTEGER NOT NULL DEFAULT 3,
+            status TEXT NOT NULL DEFAULT 'active',
+            locked_at DATETIME,
+            must_change_password INTEGER DEFAULT 0,
+            password_changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            created_by TEXT,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+
+        // Previous password hashes, for reuse prevention
+        this.db.run(`
+          CREATE TABLE IF NOT EXISTS password_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL,
+            password_hash TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (username) REFERENCES users(username)
+          )
+        `, (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    });
+  }
+
+  /**
+   * Columns added after the users table first shipped
+   */
+  migrate() {
+    return new Promise((resolve, reject) => {
+      this.db.all(`PRAGMA table_info(users)`, (err, columns) => {
+        if (err) return reject(err);
+        if (columns.some(c => c.name === 'default_region')) return resolve();
+
+        this.db.run(`ALTER TABLE users ADD COLUMN default_region TEXT`, (alterErr) => {
+          if (alterErr) reject(alterErr);
+          else resolve();
+        });
+      });
+    });
+  }
+
+  hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+  }
+
+  /**
+   * Random password with every character class, for admin resets
+   */
+  generateTemporaryPassword() {
+    const pick = (chars) => chars[crypto.randomInt(chars.length)];
+    const required = [
+      pick('ABCDEFGHJKLMNPQRSTUVWXYZ'),
+      pick('abcdefghijkmnpqrstuvwxyz'),
+      pick('23456789'),
+      pick('!@#$%^&*-_=+')
+    ];
+    const chars = [...required, ...crypto.randomBytes(12).toString('base64url')];
+
+    // Fisher-Yates so the required classes are not always up front
+    for (let i = chars.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+    return chars.join('');
+  }
+
+  async findByUsername(username) {
+    const row = await this.getRow(username);
+    return row ? toUser(row) : null;
+  }
+
+  async list() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM users ORDER BY username`,
+        [],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(toPublicUser));
+        }
+      );
+    });
+  }
+
+  async countAdmins() {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND status = 'active'`,
+        [],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row.count);
+        }
+      );
+    });
+  }
+
+  async create({
+    username, password, role, allowedSessions = 3, defaultRegion = null, createdBy = null, mustChangePassword = true
+  }) {
+    const passwordHash = await this.hashPassword(password);
+
+    await new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO users
+         (username, password_hash, role, allowed_sessions, default_region, must_change_password,
+          password_changed_at, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [username, passwordHash, role, allowedSessions, defaultRegion, mustChangePassword ? 1 : 0,
+          new Date().toISOString(), createdBy],
+        (err) => {
+          if (err && err.code === 'SQLITE_CONSTRAINT') {
+            const error = new Error('Username already exists');
+            error.code = 'USER_EXISTS';
+            reject(error);
+          } else if (err) {
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+
+    return toPublicUser(await this.getRow(username));
+  }
+
+  async getRow(username) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT * FROM users WHERE username = ?`,
+        [username],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  }
+
+  /**
+   * Apply a partial update; returns the updated user or null if missing
+   */
+  async update(username, changes) {
+    const columns = {
+      role: 'role',
+      allowedSessions: 'allowed_sessions',
+      defaultRegion: 'default_region',
+      status: 'status',
+      lockedAt: 'locked_at',
+      mustChangePassword: 'must_change_password'
+    };
+
+    const fields = Object.keys(changes).filter(key => columns[key]);
+    if (fields.length === 0) {
+      const row = await this.getRow(username);
+      return row ? toPublicUser(row) : null;
+    }
+
+    const assignments = fields.map(key => `${columns[key]} = ?`).join(', ');
+    const values = fields.map(key => (
+      typeof changes[key] === 'boolean' ? Number(changes[key]) : changes[key]
+    ));
+
+    const updated = await new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE users SET ${assignments}, updated_at = ? WHERE username = ?`,
+        [...values, new Date().toISOString(), username],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+
+    if (!updated) return null;
+    return toPublicUser(await this.getRow(username));
+  }
+
+  async setStatus(username, status) {
+    return this.update(username, { status });
+  }
+
+  async unlock(username) {
+    return this.update(username, { lockedAt: null });
+  }
+
+  /**
+   * True if the password is one of the last historyCount passwords: the
+   * current one plus the historyCount - 1 before it
+   */
+  async isPasswordReused(username, password) {
+    const { historyCount } = securityConfig.passwordPolicy;
+    const user = await this.findByUsername(username);
+    if (!user) return false;
+
+    const history = await new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT password_hash FROM password_history
+         WHERE username = ? ORDER BY id DESC LIMIT ?`,
+        [username, Math.max(historyCount - 1, 0)],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(row => row.password_hash));
+        }
+      );
+    });
+
+    for (const hash of [user.passwordHash, ...history]) {
+      if (await bcrypt.compare(password, hash)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Replace the password; admin resets force a change at next login
+   * The outgoing hash moves to history (trimmed to historyCount - 1)
+   */
+  async setPassword(username, password, { mustChange = false } = {}) {
+    const user = await this.findByUsername(username);
+    if (!user) return { updated: false };
+
+    const passwordHash = await this.hashPassword(password);
+    const now = new Date().toISOString();
+    const { historyCount } = securityConfig.passwordPolicy;
+
+    return new Promise((resolve, reject) => {
+      this.db.serialize(() => {
+        this.db.run(
+          `INSERT INTO password_history (username, password_hash, created_at) VALUES (?, ?, ?)`,
+          [username, user.passwordHash, now]
+        );
+        this.db.run(
+          `DELETE FROM password_history WHERE username = ? AND id NOT IN
+           (SELECT id FROM password_history WHERE username = ? ORDER BY id DESC LIMIT ?)`,
+          [username, username, Math.max(historyCount - 1, 0)]
+        );
+        this.db.run(
+          `UPDATE users SET password_hash = ?, must_change_password = ?,
+           password_changed_at = ?, updated_at = ? WHERE username = ?`,
+          [passwordHash, mustChange ? 1 : 0, now, now, username],
+          function(err) {
+            if (err) reject(err);
+            else resolve({ updated: this.changes === 1 });
+          }
+        );
+      });
+    });
+  }
+}
+
+module.exports = new UserStore();
@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+/**
+ * Verify the tamper-evident audit chain
+ * Usage: npm run audit:verify
+ * Exits non-zero and prints the first broken link if verification fails
+ */
+
+require('dotenv').config();
+const AuditLog = require('../models/AuditLog');
+
+const run = async () => {
+  const result = await AuditLog.verifyChain();
+
+  console.log(`Entries checked:     ${result.entriesChecked}`);
+  console.log(`Last valid sequence: ${result.lastValidSeq}`);
+  console.log(`Checkpoints checked: ${result.checkpointsChecked}`);
+
+  if (result.valid) {
+    console.log('✅ Audit chain intact');
+    process.exit(0);
+  }
+
+  if (result.firstBroken) {
+    console.error(`❌ Broken link at seq ${result.firstBroken.seq} (row ${result.firstBroken.id}): ${result.firstBroken.reason}`);
+  }
+  if (result.checkpointFailure) {
+    console.error(`❌ Checkpoint ${result.checkpointFailure.checkpointId} (seq ${result.checkpointFailure.seq}): ${result.checkpointFailure.reason}`);
+  }
+  process.exit(2);
+};
+
+run().catch((error) => {
+  console.error('Verification failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,165 @@
+/**
+ * SMS provider webhooks (delivery receipts, inbound replies)
+ * No session or CSRF token here: every request must carry a valid
+ * signature or shared secret instead
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const smsService = require('../services/smsService');
+const InboundMessages = require('../models/InboundMessages');
+const SuppressionList = require('../models/SuppressionList');
+const { phoneIndex } = require('../services/blindIndex');
+const smsConfig = require('../config/sms');
+
+const { webhook } = smsConfig;
+
+/**
+ * Consent keyword in a reply, if the whole message is one
+ */
+const matchKeyword = (text) => {
+  const word = text.trim().replace(/[^A-Za-z]/g, '').toUpperCase();
+  if (smsConfig.keywords.optOut.includes(word)) return { keyword: word, suppressed: true };
+  if (smsConfig.keywords.optIn.includes(word)) return { keyword: word, suppressed: false };
+  return null;
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Authenticate the provider before anything reads the payload
+ */
+const verifyWebhook = (req, res, next) => {
+  if (!webhook.secret) {
+    req.auditLog('WEBHOOK_REJECTED', { reason: 'not_configured' });
+    return res.status(503).json({ error: 'Webhooks are not configured', code: 'WEBHOOK_DISABLED' });
+  }
+
+  let valid = false;
+
+  if (webhook.auth === 'token') {
+    valid = safeEqual(req.get('x-webhook-token') || '', webhook.secret);
+  } else {
+    const timestamp = req.get('x-timestamp');
+    const signature = (req.get('x-signature') || '').replace(/^sha256=/, '');
+    const age = Math.abs(Date.now() - Number(timestamp) * 1000);
+
+    if (timestamp && age <= webhook.tolerance && req.rawBody) {
+      const expected = crypto.createHmac('sha256', webhook.secret)
+        .update(`${timestamp}.`)
+        .update(req.rawBody)
+        .digest('hex');
+      valid = safeEqual(signature, expected);
+    }
+  }
+
+  if (!valid) {
+    req.auditLog('WEBHOOK_REJECTED', { reason: 'bad_signature' });
+    return res.status(401).json({ error: 'Invalid webhook signature', code: 'BAD_SIGNATURE' });
+  }
+
+  next();
+};
+
+router.use(verifyWebhook);
+
+// Delivery receipt (DLR)
+router.post('/sms/dlr', async (req, res) => {
+  try {
+    const payload = req.body || {};
+    const deliveryId = payload[webhook.fields.id];
+    const providerStatus = payload[webhook.fields.status];
+
+    if (!deliveryId || typeof deliveryId !== 'string' || !providerStatus) {
+      return res.status(400).json({ error: 'Missing message ID or status', code: 'INVALID_RECEIPT' });
+    }
+
+    const status = webhook.statusMap[String(providerStatus).toLowerCase()];
+
+    // In-flight states (accepted, enroute...) carry nothing to record
+    if (!status) {
+      return res.json({ received: true, recorded: false });
+    }
+
+    const { updated } = await smsService.reportStatus(deliveryId, status);
+
+    if (updated === 0) {
+      // Receipt may beat our own log write; a 404 makes the provider retry
+      req.auditLog('DELIVERY_RECEIPT_UNMATCHED', { deliveryId, providerStatus });
+      return res.status(404).json({ error: 'Unknown message ID', code: 'UNKNOWN_MESSAGE' });
+    }
+
+    req.auditLog('DELIVERY_STATUS_UPDATED', {
+      deliveryId,
+      status,
+      providerStatus,
+      errorCode: payload[webhook.fields.error]
+    });
+
+    res.json({ received: true, recorded: true });
+
+  } catch (error) {
+    req.auditLog('WEBHOOK_ERROR', { error: error.message });
+    res.status(500).json({ error: 'Receipt processing failed' });
+  }
+});
+
+// Inbound reply; STOP/START keywords update the suppression list
+router.post('/sms/inbound', async (req, res) => {
+  try {
+    const payload = req.body || {};
+    const { inboundFields: fields } = webhook;
+    const providerMessageId = payload[fields.id];
+    const from = payload[fields.from];
+    const text = payload[fields.text];
+
+    if (typeof providerMessageId !== 'string' || typeof from !== 'string' || typeof text !== 'string'
+      || !/^\+?[1-9]\d{1,14}$/.test(from)) {
+      return res.status(400).json({ error: 'Missing or invalid message fields', code: 'INVALID_MESSAGE' });
+    }
+
+    const consent = matchKeyword(text);
+
+    // Consent first: it is idempotent, and must not be lost if storing fails
+    if (consent) {
+      await SuppressionList.setSuppressed(from, consent.suppressed, { keyword: consent.keyword });
+    }
+
+    const stored = await InboundMessages.record({
+      providerMessageId,
+      from,
+      text: text.substring(0, 1600),
+      keyword: consent ? consent.keyword : null
+    });
+
+    // Provider retry of a message we already handled
+    if (stored.duplicate) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    const phoneHash = phoneIndex(from).substring(0, 16);
+
+    if (consent) {
+      req.auditLog(consent.suppressed ? 'SMS_OPT_OUT' : 'SMS_OPT_IN', {
+        phoneHash,
+        keyword: consent.keyword,
+        inboundId: stored.id
+      });
+    } else {
+      req.auditLog('INBOUND_SMS_RECEIVED', { phoneHash, inboundId: stored.id });
+    }
+
+    res.json({ received: true });
+
+  } catch (error) {
+    req.auditLog('WEBHOOK_ERROR', { error: error.message });
+    res.status(500).json({ error: 'Inbound message processing failed' });
+  }
+});
+
+module.exports = router;